@@ -8,8 +8,13 @@ const state = {
   files: [],       // { name, buffer (ArrayBuffer), wb (parsed), summary, generated? }
   outputBuffer: null,
   outputFilename: null,
+  outputMime: null,
+  outputWorkbook: null, // spreadsheet form of the output for preview and diff (null for e.g. a zip bundle)
+  previousOutput: null, // { name, buffer } of the last successful output, for diffs
   abortController: null,
+  runId: null, // server id of the streaming run, for cancelling it
   running: false,
+  sessionId: null, // server session; follow-up prompts build on its earlier runs
   tokens: { explore: { input: 0, output: 0 }, codegen: { input: 0, output: 0 } },
 };
 
@@ -28,15 +33,81 @@ function summarizeWorkbook(wb) {
   }).join(', ');
 }
 
-const sheetJsonCache = new WeakMap();
-function getSheetRows(ws) {
-  if (sheetJsonCache.has(ws)) return sheetJsonCache.get(ws);
-  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null });
-  sheetJsonCache.set(ws, rows);
-  return rows;
+// ── Output Styles ─────────────────────────────────────────
+// SheetJS community builds drop fonts and custom number formats on read, so the
+// preview reads them from the workbook XML: sheet name → Map(cell ref → style).
+function readZipText(cfb, name) {
+  const entry = XLSX.CFB.find(cfb, '/' + name);
+  return entry ? new TextDecoder().decode(entry.content) : null;
 }
 
-const MAX_PREVIEW_ROWS = 50;
+function parseXml(text) {
+  return new DOMParser().parseFromString(text, 'application/xml');
+}
+
+function childElements(parent, name) {
+  return parent ? [...parent.children].filter(el => el.localName === name) : [];
+}
+
+function xmlColor(el) {
+  const rgb = el?.getAttribute('rgb');
+  return rgb ? '#' + rgb.slice(-6) : null;
+}
+
+function isFlagSet(font, name) {
+  const el = childElements(font, name)[0];
+  return Boolean(el) && !['0', 'false', 'none'].includes(el.getAttribute('val'));
+}
+
+function readCellStyles(buffer) {
+  const cfb = XLSX.CFB.read(new Uint8Array(buffer), { type: 'array' });
+  const stylesXml = readZipText(cfb, 'xl/styles.xml');
+  const workbookXml = readZipText(cfb, 'xl/workbook.xml');
+  const relsXml = readZipText(cfb, 'xl/_rels/workbook.xml.rels');
+  if (!stylesXml || !workbookXml || !relsXml) return {};
+
+  const styles = parseXml(stylesXml);
+  const numFmts = {};
+  for (const el of styles.getElementsByTagName('numFmt')) numFmts[el.getAttribute('numFmtId')] = el.getAttribute('formatCode');
+  const fonts = childElements(styles.getElementsByTagName('fonts')[0], 'font').map(font => ({
+    bold: isFlagSet(font, 'b'),
+    italic: isFlagSet(font, 'i'),
+    underline: isFlagSet(font, 'u'),
+    color: xmlColor(childElements(font, 'color')[0]),
+  }));
+  const fills = childElements(styles.getElementsByTagName('fills')[0], 'fill').map(fill => {
+    const pattern = childElements(fill, 'patternFill')[0];
+    return pattern?.getAttribute('patternType') === 'solid' ? xmlColor(childElements(pattern, 'fgColor')[0]) : null;
+  });
+  // Built-in formats (ids < 164) are already applied by SheetJS in cell.w
+  const xfs = childElements(styles.getElementsByTagName('cellXfs')[0], 'xf').map(xf => ({
+    ...fonts[Number(xf.getAttribute('fontId')) || 0],
+    fill: fills[Number(xf.getAttribute('fillId')) || 0] || null,
+    numFmt: numFmts[xf.getAttribute('numFmtId')] || null,
+  }));
+
+  const targets = {};
+  for (const rel of parseXml(relsXml).getElementsByTagName('Relationship')) {
+    const target = rel.getAttribute('Target');
+    targets[rel.getAttribute('Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  const bySheet = {};
+  for (const sheet of parseXml(workbookXml).getElementsByTagName('sheet')) {
+    const xml = readZipText(cfb, targets[sheet.getAttribute('r:id')] || '');
+    if (!xml) continue;
+    const cells = new Map();
+    for (const c of parseXml(xml).getElementsByTagName('c')) {
+      const style = xfs[Number(c.getAttribute('s'))];
+      if (c.getAttribute('s') && style) cells.set(c.getAttribute('r'), style);
+    }
+    bySheet[sheet.getAttribute('name')] = cells;
+  }
+  return bySheet;
+}
+
+const PREVIEW_ROW_HEIGHT = 24; // px; must match .preview-table row height
+const PREVIEW_OVERSCAN = 10;   // rows rendered beyond the visible window
+const MAX_PREVIEW_COLS = 100;
 
 // ── DOM Refs ──────────────────────────────────────────────
 const $apiKey = document.getElementById('apiKey');
@@ -49,6 +120,7 @@ const $status = document.getElementById('status');
 const $codePanel = document.getElementById('codePanel');
 const $logPanel = document.getElementById('logPanel');
 const $previewPanel = document.getElementById('previewPanel');
+const $diffPanel = document.getElementById('diffPanel');
 const $cancelBtn = document.getElementById('cancelBtn');
 const $tokenCounter = document.getElementById('tokenCounter');
 const $downloadBtn = document.getElementById('downloadBtn');
@@ -66,6 +138,13 @@ function logTo(panel, text, cls = 'log-info') {
   panel.scrollTop = panel.scrollHeight;
 }
 
+function decodeBase64(b64) {
+  const raw = atob(b64);
+  const bytes = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i);
+  return bytes.buffer;
+}
+
 function clearPanel(panel) { panel.innerHTML = ''; }
 function setStatus(text) { $status.textContent = text; }
 
@@ -81,6 +160,13 @@ function switchTab(name) {
   });
   $codePanel.classList.toggle('hidden', name !== 'code');
   $previewPanel.classList.toggle('hidden', name !== 'preview');
+  $diffPanel.classList.toggle('hidden', name !== 'diff');
+  if (name === 'diff') showDiffOptions();
+  // The grid measures its height to pick rows, which reads 0 while hidden
+  if (name === 'preview') {
+    preview.window = null;
+    renderPreviewRows();
+  }
 }
 
 function updateTokenCounter() {
@@ -94,6 +180,18 @@ function updateTokenCounter() {
   $tokenCounter.textContent = `Explore: \u2191${fmtK(ei)} \u2193${fmtK(eo)} | Code: \u2191${fmtK(ci)} \u2193${fmtK(co)}`;
 }
 
+function updateTokensFromMeta(meta) {
+  if (meta?.explore) {
+    state.tokens.explore.input = meta.explore.inputTokens || 0;
+    state.tokens.explore.output = meta.explore.outputTokens || 0;
+  }
+  if (meta?.codegen) {
+    state.tokens.codegen.input = meta.codegen.inputTokens || 0;
+    state.tokens.codegen.output = meta.codegen.outputTokens || 0;
+  }
+  updateTokenCounter();
+}
+
 function updatePipeline(phase) {
   if ($pipeline) $pipeline.dataset.phase = phase;
 }
@@ -154,6 +252,10 @@ async function addFiles(fileListObj) {
 
 function removeFile(index) {
   state.files.splice(index, 1);
+  if (state.files.length === 0) {
+    state.sessionId = null;
+    state.previousOutput = null;
+  }
   renderFileList();
   updateRunBtn();
 }
@@ -175,29 +277,204 @@ function renderFileList() {
   `).join('');
 }
 
-function showPreview(wb) {
+// ── Output Preview ────────────────────────────────────────
+// Sheet tabs over a virtually scrolled grid: only the rows in view (plus
+// overscan) are in the DOM, so full sheets preview without a row limit.
+const preview = { wb: null, styles: {}, sheetIndex: 0, window: null };
+
+function showPreview(wb, buffer) {
+  preview.wb = wb;
+  preview.styles = {};
   if (!wb) { $previewPanel.innerHTML = '<div class="preview-empty">Could not preview output</div>'; return; }
+  try { preview.styles = readCellStyles(buffer); } catch { /* preview without styles */ }
+
+  const tabs = wb.SheetNames.map((name, i) =>
+    `<button class="preview-sheet-tab" data-sheet="${i}" role="tab">${esc(name)}</button>`
+  ).join('');
+  $previewPanel.innerHTML = `<div class="preview-tabs" role="tablist">${tabs}</div><div class="preview-grid"></div>`;
+  selectPreviewSheet(0);
+}
+
+function selectPreviewSheet(index) {
+  preview.sheetIndex = index;
+  preview.window = null;
+  $previewPanel.querySelectorAll('.preview-sheet-tab').forEach(tab => {
+    const isActive = Number(tab.dataset.sheet) === index;
+    tab.classList.toggle('active', isActive);
+    tab.setAttribute('aria-selected', isActive);
+  });
+  const $grid = $previewPanel.querySelector('.preview-grid');
+  $grid.scrollTop = 0;
+  $grid.scrollLeft = 0;
+  renderPreviewRows();
+}
+
+function cellText(cell, style) {
+  if (!cell) return '';
+  if (style?.numFmt && cell.t === 'n') {
+    try { return XLSX.SSF.format(style.numFmt, cell.v); } catch { /* fall back to SheetJS text */ }
+  }
+  return cell.w ?? (cell.v == null ? '' : String(cell.v));
+}
+
+function cellCss(style) {
+  if (!style) return '';
+  const css = [];
+  if (style.bold) css.push('font-weight:700');
+  if (style.italic) css.push('font-style:italic');
+  if (style.underline) css.push('text-decoration:underline');
+  if (style.fill) css.push(`background:${style.fill}`);
+  // Excel's default text is black; keep filled cells readable on the dark theme
+  if (style.color || style.fill) css.push(`color:${style.color || '#000'}`);
+  return css.join(';');
+}
+
+function renderPreviewRows() {
+  const $grid = $previewPanel.querySelector('.preview-grid');
+  if (!$grid || !preview.wb) return;
+  const name = preview.wb.SheetNames[preview.sheetIndex];
+  const ws = preview.wb.Sheets[name];
+  if (!ws?.['!ref']) { $grid.innerHTML = '<div class="preview-empty">Sheet is empty</div>'; return; }
+
+  const range = XLSX.utils.decode_range(ws['!ref']);
+  const rowCount = range.e.r + 1;
+  const colCount = Math.min(range.e.c + 1, MAX_PREVIEW_COLS);
+  const first = Math.max(0, Math.floor($grid.scrollTop / PREVIEW_ROW_HEIGHT) - PREVIEW_OVERSCAN);
+  const last = Math.min(rowCount, Math.ceil(($grid.scrollTop + $grid.clientHeight) / PREVIEW_ROW_HEIGHT) + PREVIEW_OVERSCAN);
+  const key = `${first}:${last}`;
+  if (preview.window === key) return;
+  preview.window = key;
+
+  const styles = preview.styles[name];
+  const parts = ['<table class="preview-table"><thead><tr><th class="row-num"></th>'];
+  for (let c = 0; c < colCount; c++) parts.push(`<th>${XLSX.utils.encode_col(c)}</th>`);
+  parts.push('</tr></thead><tbody>');
+  if (first > 0) parts.push(`<tr class="spacer-row" style="height:${first * PREVIEW_ROW_HEIGHT}px"></tr>`);
+  for (let r = first; r < last; r++) {
+    parts.push(`<tr><th class="row-num">${r + 1}</th>`);
+    for (let c = 0; c < colCount; c++) {
+      const ref = XLSX.utils.encode_cell({ r, c });
+      const style = styles?.get(ref);
+      const css = cellCss(style);
+      parts.push(`<td${css ? ` style="${css}"` : ''}>${esc(cellText(ws[ref], style))}</td>`);
+    }
+    parts.push('</tr>');
+  }
+  if (last < rowCount) parts.push(`<tr class="spacer-row" style="height:${(rowCount - last) * PREVIEW_ROW_HEIGHT}px"></tr>`);
+  parts.push('</tbody></table>');
+  if (range.e.c + 1 > colCount) parts.push(`<div class="preview-empty">${range.e.c + 1 - colCount} more columns not shown</div>`);
+  $grid.innerHTML = parts.join('');
+}
+
+$previewPanel.addEventListener('click', (e) => {
+  const tab = e.target.closest('.preview-sheet-tab');
+  if (tab) selectPreviewSheet(Number(tab.dataset.sheet));
+});
+
+// Scroll events don't bubble; capture them from the grid
+let previewFrame = null;
+$previewPanel.addEventListener('scroll', () => {
+  if (previewFrame) return;
+  previewFrame = requestAnimationFrame(() => {
+    previewFrame = null;
+    renderPreviewRows();
+  });
+}, true);
+
+// ── Output Diff ───────────────────────────────────────────
+// Compares the current output to an input file or the previous generation via
+// /api/diff, which matches rows by a detected key column.
+function diffSources() {
+  const sources = [];
+  if (state.previousOutput) sources.push({ label: `Previous output (${state.previousOutput.name})`, ...state.previousOutput });
+  for (const f of state.files) {
+    if (!f.generated) sources.push({ label: f.name, name: f.name, buffer: f.buffer });
+  }
+  return sources;
+}
+
+function showDiffOptions() {
+  if (!state.outputWorkbook) {
+    const message = state.outputBuffer ? 'This output format has no table to compare' : 'Run a prompt to compare its output';
+    $diffPanel.innerHTML = `<div class="preview-empty">${message}</div>`;
+    return;
+  }
+  const sources = diffSources();
+  if (!sources.length) {
+    $diffPanel.innerHTML = '<div class="preview-empty">Nothing to compare against</div>';
+    return;
+  }
+  const options = sources.map((src, i) => `<option value="${i}">${esc(src.label)}</option>`).join('');
+  $diffPanel.innerHTML = `
+    <div class="diff-toolbar">
+      <label>Compare with <select class="diff-source">${options}</select></label>
+    </div>
+    <div class="diff-body"><div class="preview-empty">Comparing...</div></div>`;
+  const $select = $diffPanel.querySelector('.diff-source');
+  $select.addEventListener('change', () => runDiff(sources[Number($select.value)]));
+  runDiff(sources[0]);
+}
+
+async function runDiff(source) {
+  const $body = $diffPanel.querySelector('.diff-body');
+  $body.innerHTML = '<div class="preview-empty">Comparing...</div>';
   try {
-    const ws = wb.Sheets[wb.SheetNames[0]];
-    const rows = getSheetRows(ws);
-    const maxRows = Math.min(rows.length, MAX_PREVIEW_ROWS);
-    if (maxRows === 0) { $previewPanel.innerHTML = '<div class="preview-empty">Output is empty</div>'; return; }
-    const parts = ['<table class="preview-table"><thead><tr>'];
-    const headers = rows[0] || [];
-    for (const h of headers) parts.push(`<th>${esc(h ?? '')}</th>`);
+    const formData = new FormData();
+    formData.append('before', new Blob([source.buffer]), source.name);
+    formData.append('after', new Blob([state.outputWorkbook]), state.outputFilename);
+    const response = await fetch('/api/diff', { method: 'POST', body: formData });
+    const diff = await response.json();
+    if (!response.ok) throw new Error(diff.error || `Server error: ${response.status}`);
+    $body.innerHTML = renderDiff(diff);
+  } catch (err) {
+    $body.innerHTML = `<div class="preview-empty">Could not compare: ${esc(err.message)}</div>`;
+  }
+}
+
+function renderDiff(diff) {
+  const { added, removed, changed, unchanged } = diff.summary;
+  const parts = [`<div class="diff-summary">
+    <span class="diff-added">+${added} added</span>
+    <span class="diff-removed">&minus;${removed} removed</span>
+    <span class="diff-changed">~${changed} changed</span>
+    <span>${unchanged} unchanged</span>
+  </div>`];
+  if (diff.added_sheets.length) parts.push(`<div class="diff-note">New sheets: ${esc(diff.added_sheets.join(', '))}</div>`);
+  if (diff.removed_sheets.length) parts.push(`<div class="diff-note">Removed sheets: ${esc(diff.removed_sheets.join(', '))}</div>`);
+
+  for (const sheet of diff.sheets) {
+    const title = sheet.before_sheet === sheet.sheet ? sheet.sheet : `${sheet.before_sheet} → ${sheet.sheet}`;
+    const matchedBy = sheet.key ? `rows matched by ${sheet.key}` : 'rows matched by position';
+    parts.push(`<div class="diff-sheet-title">${esc(title)} <span>${esc(matchedBy)}</span></div>`);
+    if (sheet.added_columns.length) parts.push(`<div class="diff-note">New columns: ${esc(sheet.added_columns.join(', '))}</div>`);
+    if (sheet.removed_columns.length) parts.push(`<div class="diff-note">Removed columns: ${esc(sheet.removed_columns.join(', '))}</div>`);
+    if (!sheet.rows.length) { parts.push('<div class="diff-note">No row changes</div>'); continue; }
+
+    parts.push('<table class="preview-table diff-table"><thead><tr><th class="row-num"></th>');
+    for (const h of sheet.headers) parts.push(`<th>${esc(h)}</th>`);
     parts.push('</tr></thead><tbody>');
-    for (let r = 1; r < maxRows; r++) {
-      parts.push('<tr>');
-      const row = rows[r] || [];
-      for (let c = 0; c < headers.length; c++) parts.push(`<td>${esc(row[c] ?? '')}</td>`);
+    for (const row of sheet.rows) {
+      // Removed rows come in the source's column order
+      const value = (h) => (row.status === 'removed'
+        ? row.values[sheet.before_headers.indexOf(h)]
+        : row.values[sheet.headers.indexOf(h)]);
+      const cells = new Map((row.cells || []).map(c => [c.column, c]));
+      const marker = { added: '+', removed: '\u2212', changed: '~' }[row.status];
+      parts.push(`<tr class="diff-row-${row.status}"><th class="row-num">${marker}</th>`);
+      for (const h of sheet.headers) {
+        const cell = cells.get(h);
+        if (cell) {
+          parts.push(`<td class="diff-cell-changed" title="was: ${esc(cell.before ?? '')}"><del>${esc(cell.before ?? '')}</del> ${esc(cell.after ?? '')}</td>`);
+        } else {
+          parts.push(`<td>${esc(value(h) ?? '')}</td>`);
+        }
+      }
       parts.push('</tr>');
     }
     parts.push('</tbody></table>');
-    if (rows.length > MAX_PREVIEW_ROWS) parts.push(`<div class="preview-empty">${rows.length - MAX_PREVIEW_ROWS} more rows...</div>`);
-    $previewPanel.innerHTML = parts.join('');
-  } catch (err) {
-    $previewPanel.innerHTML = `<div class="preview-empty">Could not preview: ${esc(err.message)}</div>`;
+    if (sheet.truncated) parts.push('<div class="diff-note">More changed rows not shown</div>');
   }
+  return parts.join('');
 }
 
 function addGeneratedFile(buffer, filename) {
@@ -209,9 +486,8 @@ function addGeneratedFile(buffer, filename) {
 }
 
 // ── Download ──────────────────────────────────────────────
-function downloadFile(buffer, filename = 'output.xlsx') {
-  if (!filename.endsWith('.xlsx')) filename += '.xlsx';
-  const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+function downloadFile(buffer, filename = 'output.xlsx', mime = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+  const blob = new Blob([buffer], { type: mime });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -223,7 +499,7 @@ function downloadFile(buffer, filename = 'output.xlsx') {
 }
 
 $downloadBtn.addEventListener('click', () => {
-  if (state.outputBuffer) downloadFile(state.outputBuffer, state.outputFilename);
+  if (state.outputBuffer) downloadFile(state.outputBuffer, state.outputFilename, state.outputMime);
 });
 
 // ── SSE Pipeline Client ──────────────────────────────────
@@ -237,8 +513,11 @@ async function runPipeline() {
   clearPanel($codePanel);
   clearPanel($logPanel);
   $downloadBtn.hidden = true;
+  if (state.outputWorkbook) state.previousOutput = { name: state.outputFilename, buffer: state.outputWorkbook };
   state.outputBuffer = null;
   state.outputFilename = null;
+  state.outputMime = null;
+  state.outputWorkbook = null;
   state.running = true;
   state.abortController = new AbortController();
   document.body.classList.add('running');
@@ -253,7 +532,14 @@ async function runPipeline() {
     const formData = new FormData();
     formData.append('apiKey', apiKey);
     formData.append('prompt', prompt);
-    for (const f of state.files) {
+    // Follow-ups send the source files only: the session's last code already
+    // produces the generated ones, so they needn't be re-explored
+    let inputs = state.files;
+    if (state.sessionId) {
+      formData.append('sessionId', state.sessionId);
+      if (state.files.some(f => !f.generated)) inputs = state.files.filter(f => !f.generated);
+    }
+    for (const f of inputs) {
       const blob = new Blob([f.buffer], { type: 'application/octet-stream' });
       formData.append('files', blob, f.name);
     }
@@ -265,6 +551,7 @@ async function runPipeline() {
     });
 
     if (!response.ok) {
+      if (response.status === 404) state.sessionId = null; // session gone; the next run starts fresh
       const err = await response.json().catch(() => ({ error: response.statusText }));
       throw new Error(err.error || `Server error: ${response.status}`);
     }
@@ -309,21 +596,57 @@ async function runPipeline() {
     state.running = false;
     document.body.classList.remove('running');
     state.abortController = null;
+    state.runId = null;
     $cancelBtn.hidden = true;
     updateRunBtn();
   }
 }
 
 function handleSSEEvent(type, data) {
+  if (type === 'run') state.runId = data.runId;
+
   if (type === 'phase') {
     // Update pipeline visualization
     if (data.phase) updatePipeline(data.phase);
 
+    if (data.status === 'started' && data.model) {
+      const step = { exploring: 'explore', codegen: 'codegen' }[data.phase];
+      const $model = step && $pipeline?.querySelector(`[data-step="${step}"] .step-model`);
+      if ($model) $model.textContent = data.provider === 'anthropic' ? data.model : `${data.provider}: ${data.model}`;
+    }
     if (data.status === 'started') {
       const labels = { exploring: 'Exploring...', codegen: 'Generating code...', executing: 'Executing...', verifying: 'Verifying...' };
       setStatus(labels[data.phase] || data.phase);
       logTo($logPanel, `── ${data.phase} ──`, 'log-success');
     }
+    if (data.phase === 'codegen' && data.status === 'streaming') {
+      clearPanel($codePanel);
+      switchTab('code');
+    }
+    if (data.phase === 'codegen' && data.status === 'delta') {
+      if (data.text) {
+        $codePanel.append(data.text);
+        $codePanel.scrollTop = $codePanel.scrollHeight;
+      }
+    }
+    if (data.tokens && (data.phase === 'exploring' || data.phase === 'codegen')) {
+      const phase = data.phase === 'exploring' ? 'explore' : 'codegen';
+      state.tokens[phase] = { input: data.tokens.input, output: data.tokens.output };
+      updateTokenCounter();
+    }
+    if (data.phase === 'codegen' && data.attempt > 1 && !data.status) {
+      logTo($logPanel, `  Retry ${data.attempt - 1}: regenerating code`, 'log-warn');
+    }
+    if (data.status === 'skipped') {
+      logTo($logPanel, `── ${data.phase} skipped: ${data.reason} ──`, 'log-meta');
+    }
+    if (data.status === 'failed') {
+      logTo($logPanel, `  Attempt ${data.attempt} failed: ${data.error}`, 'log-error');
+    }
+    if (data.phase === 'verifying' && data.status === 'complete' && data.pass !== undefined) {
+      if (data.pass) logTo($logPanel, '  Output passed verification', 'log-info');
+      else for (const e of data.errors || []) logTo($logPanel, `  Check failed: ${e}`, 'log-warn');
+    }
     if (data.turn) {
       const toolStr = data.tools ? data.tools.join(', ') : '';
       logTo($logPanel, `  Turn ${data.turn}: ${toolStr}`, 'log-info');
@@ -331,41 +654,39 @@ function handleSSEEvent(type, data) {
   }
 
   if (type === 'complete') {
-    // Decode base64 buffer
-    const raw = atob(data.buffer);
-    const bytes = new Uint8Array(raw.length);
-    for (let i = 0; i < raw.length; i++) bytes[i] = raw.charCodeAt(i);
-    const outputBuffer = bytes.buffer;
+    const outputBuffer = decodeBase64(data.buffer);
+    // xlsx, csv and tsv preview directly; other formats send their source workbook
+    const format = data.format || 'xlsx';
+    const sheetBuffer = ['xlsx', 'csv', 'tsv'].includes(format) ? outputBuffer
+      : data.preview ? decodeBase64(data.preview) : null;
 
     state.outputBuffer = outputBuffer;
     state.outputFilename = data.filename;
+    state.outputMime = data.mime;
+    state.outputWorkbook = sheetBuffer;
     $downloadBtn.hidden = false;
+    if (data.sessionId) state.sessionId = data.sessionId;
 
     // Show code
     $codePanel.textContent = data.code || '';
     if (data.explanation) logTo($logPanel, `Code: ${data.explanation}`, 'log-meta');
 
-    // Update tokens
-    if (data.meta?.explore) {
-      state.tokens.explore.input = data.meta.explore.inputTokens || 0;
-      state.tokens.explore.output = data.meta.explore.outputTokens || 0;
-    }
-    if (data.meta?.codegen) {
-      state.tokens.codegen.input = data.meta.codegen.inputTokens || 0;
-      state.tokens.codegen.output = data.meta.codegen.outputTokens || 0;
-    }
-    updateTokenCounter();
+    updateTokensFromMeta(data.meta);
 
     // Show logs
     if (data.logs) {
       for (const log of data.logs) logTo($logPanel, log, 'log-info');
     }
 
-    // Preview
+    // Preview; only spreadsheet outputs can be inputs to a follow-up
     let wb = null;
-    try { wb = parseWorkbook(outputBuffer); } catch {}
-    addGeneratedFile(outputBuffer, data.filename);
-    showPreview(wb);
+    try { wb = sheetBuffer && parseWorkbook(sheetBuffer); } catch {}
+    if (['xlsx', 'csv', 'tsv'].includes(format)) addGeneratedFile(outputBuffer, data.filename);
+    if (sheetBuffer) {
+      showPreview(wb, sheetBuffer);
+    } else {
+      $previewPanel.innerHTML = `<div class="preview-empty">No preview for ${esc(format)} output — download it</div>`;
+    }
     switchTab('preview');
 
     updatePipeline('done');
@@ -373,18 +694,32 @@ function handleSSEEvent(type, data) {
   }
 
   if (type === 'error') {
+    updateTokensFromMeta(data.meta);
     logTo($logPanel, `Error: ${data.message}`, 'log-error');
     setStatus('Error');
     updatePipeline('error');
   }
+
+  if (type === 'cancelled') {
+    updateTokensFromMeta(data.meta);
+    const fmtK = n => (n / 1000).toFixed(1) + 'k';
+    logTo($logPanel, `Run cancelled — ${fmtK(data.tokens.input)} input / ${fmtK(data.tokens.output)} output tokens spent`, 'log-warn');
+    setStatus('Cancelled');
+    updatePipeline('error');
+  }
 }
 
 // ── Event Bindings ────────────────────────────────────────
-$cancelBtn.addEventListener('click', () => {
-  if (state.abortController) {
-    state.abortController.abort();
-    logTo($logPanel, 'Cancelling...', 'log-warn');
-  }
+// Cancel through the server so the stream stays open for its `cancelled`
+// event (tokens spent). Before the run id arrives, or if that fails, drop the
+// connection instead.
+$cancelBtn.addEventListener('click', async () => {
+  if (!state.abortController) return;
+  logTo($logPanel, 'Cancelling...', 'log-warn');
+  const controller = state.abortController;
+  const ok = state.runId && await fetch(`/api/runs/${state.runId}/cancel`, { method: 'POST' })
+    .then(res => res.ok, () => false);
+  if (!ok) controller.abort();
 });
 
 $runBtn.addEventListener('click', runPipeline);
@@ -161,6 +161,114 @@ writeExpected(fixtureDir4, {
   },
 });
 
+// ── Fixture 5: validation-filter ──────────────────────
+const ordersAoa = [['OrderID', 'Customer', 'Amount', 'Status']];
+const statuses = ['Open', 'Shipped', 'Closed'];
+for (let i = 0; i < 20; i++) {
+  ordersAoa.push([`ORD-${String(i + 1).padStart(3, '0')}`, names[i], (i + 1) * 120, statuses[i % 3]]);
+}
+
+const fixtureDir5 = 'evals/fixtures/validation-filter';
+writeXlsx(`${fixtureDir5}/orders.xlsx`, { Orders: ordersAoa });
+
+// Amount sum: 120 * (1+2+...+20) = 25,200
+writeExpected(fixtureDir5, {
+  prompt: 'Bold the headers, add a filter to the header row, a Status dropdown (Open, Shipped, Closed) and highlight amounts over 1,000 in red.',
+  sheets: ['Orders'],
+  min_rows: 21,
+  required_columns: ['OrderID', 'Customer', 'Amount', 'Status'],
+  checks: {
+    column_sum: { Amount: 25200 },
+    has_bold_headers: true,
+    has_autofilter: 'A1:D21',
+    has_validation: 'D2:D21',
+    has_conditional_format: 'C2:C21',
+  },
+});
+
+// ── Fixture 6: chart-summary ──────────────────────────
+const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
+const salesAoa = [['Month', 'Region', 'Revenue']];
+months.forEach((month, mi) => {
+  regions.forEach((region, ri) => salesAoa.push([month, region, (mi + 1) * (ri + 1) * 1000]));
+});
+
+const fixtureDir6 = 'evals/fixtures/chart-summary';
+writeXlsx(`${fixtureDir6}/sales.xlsx`, { Sales: salesAoa });
+
+// Region revenue: (1+2+...+6) * (ri+1) * 1000 = 21,000 * (ri+1)
+writeExpected(fixtureDir6, {
+  prompt: 'Total revenue by region on a Summary sheet with bold headers, and add a column chart of it.',
+  sheets: ['Summary'],
+  min_rows: 5,
+  required_columns: ['Region', 'Revenue'],
+  checks: {
+    regions: regions,
+    regional_totals: regions.map((region, ri) => ({ region, values: { Revenue: 21000 * (ri + 1) } })),
+    has_bold_headers: true,
+    has_chart: 'Summary!B2:B5',
+  },
+});
+
+// ── Fixture 7: pivot-summary ──────────────────────────
+const dealsAoa = [['Region', 'Rep', 'Quarter', 'Amount']];
+regions.forEach((region, ri) => {
+  ['Q1', 'Q2', 'Q3', 'Q4'].forEach((q, qi) => {
+    dealsAoa.push([region, `Rep ${ri * 2 + 1}`, q, (qi + 1) * (ri + 1) * 300]);
+    dealsAoa.push([region, `Rep ${ri * 2 + 2}`, q, (qi + 1) * (ri + 1) * 200]);
+  });
+});
+
+const fixtureDir7 = 'evals/fixtures/pivot-summary';
+writeXlsx(`${fixtureDir7}/deals.xlsx`, { Deals: dealsAoa });
+
+// Region per quarter: (qi+1) * (ri+1) * 500; region total: 5,000 * (ri+1)
+writeExpected(fixtureDir7, {
+  prompt: 'Pivot Amount by Region (rows) and Quarter (columns) with grand totals, and add a native PivotTable of the same data.',
+  sheets: ['Summary', 'Deals'],
+  min_rows: 6,
+  required_columns: ['Region', 'Q1', 'Q2', 'Q3', 'Q4', 'Grand Total'],
+  checks: {
+    regions: regions,
+    regional_totals: regions.map((region, ri) => ({
+      region,
+      values: { Q1: (ri + 1) * 500, Q4: (ri + 1) * 2000, 'Grand Total': (ri + 1) * 5000 },
+    })),
+    has_total_row: true,
+    has_bold_headers: true,
+  },
+});
+
+// ── Fixture 8: edit-in-place ──────────────────────────
+const invoicesAoa = [['Invoice', 'Customer', 'Qty', 'Price', 'Total']];
+let invoiceTotal = 0;
+for (let i = 0; i < 12; i++) {
+  const qty = (i % 4) * 5 + 3;
+  const price = (i + 1) * 10;
+  const r = i + 2;
+  invoicesAoa.push([`INV-${String(i + 1).padStart(3, '0')}`, names[i], qty, price, { t: 'n', f: `C${r}*D${r}`, v: qty * price }]);
+  invoiceTotal += qty * price;
+}
+
+const fixtureDir8 = 'evals/fixtures/edit-in-place';
+writeXlsx(`${fixtureDir8}/invoices.xlsx`, { Invoices: invoicesAoa });
+
+writeExpected(fixtureDir8, {
+  prompt: 'Edit this workbook in place: add a Discount column after Price, 10% when Qty is 10 or more and 0 otherwise. Keep the Total formulas.',
+  sheets: ['Invoices'],
+  min_rows: 13,
+  required_columns: ['Invoice', 'Customer', 'Qty', 'Price', 'Discount', 'Total'],
+  checks: {
+    formula_columns: ['Total'],
+    column_sum: { Total: invoiceTotal },
+    spot_values: [
+      { data_row: 0, col: 'Discount', value: 0 },
+      { data_row: 2, col: 'Discount', value: 0.1 },
+      { data_row: 2, col: 'Total', value: 390 },
+    ],
+  },
+});
+
 console.log('\nAll fixtures generated.');
 console.log(`  Revenue fixture: ${revenueCount} revenue transactions, sum = ${revenueSum}`);
 console.log(`  Styling fixture: units=${unitsSum}, priceAvg=${priceAvg}, revenue=${revenueTotal}`);
@@ -1,13 +1,17 @@
 #!/usr/bin/env bun
 // Eval runner: runs the full pipeline against fixtures — explore, generate, execute, verify.
 // Usage: ANTHROPIC_API_KEY=sk-ant-... bun evals/run.js [fixture-name]
+// Offline: EXCELIUS_PROVIDER=mock bun evals/run.js — replays each fixture's mock.json
+// Cassettes: --record saves every LLM call to <fixture>/cassette.json; --replay
+// serves them back and fails on any request that differs from the recording.
 
 const fs = require('fs');
 const path = require('path');
-const { runPipeline } = require('../src/pipeline');
+const { runPipeline, resolveModel, requiresApiKey } = require('../src/pipeline');
 const { scoreReport } = require('../src/pipeline/verify');
+const { createCassette } = require('../src/pipeline/cassette');
 
-async function runFixture(apiKey, fixturePath) {
+async function runFixture(apiKey, fixturePath, cassetteMode) {
   const fixtureName = path.basename(fixturePath);
   const expected = JSON.parse(fs.readFileSync(path.join(fixturePath, 'expected.json'), 'utf-8'));
 
@@ -21,23 +25,30 @@ async function runFixture(apiKey, fixturePath) {
   console.log(`  Files: ${files.map(f => f.name).join(', ')}`);
   console.log(`  Prompt: ${expected.prompt.slice(0, 80)}...`);
 
+  // The mock provider reads its scripted responses from the fixture
+  const mockScript = path.join(fixturePath, 'mock.json');
+  const llm = fs.existsSync(mockScript) ? { mockScript } : {};
+  if (cassetteMode) llm.cassette = createCassette(path.join(fixturePath, 'cassette.json'), cassetteMode);
+
   const t0 = Date.now();
 
   const result = await runPipeline({
-    apiKey, files, prompt: expected.prompt, expected,
+    apiKey, files, prompt: expected.prompt, expected, llm,
     onEvent: (e) => {
       if (e.status === 'started') process.stdout.write(`  Phase: ${e.phase}...`);
       else if (e.status === 'complete') process.stdout.write(` done\n`);
+      else if (e.status === 'failed') process.stdout.write(` failed (attempt ${e.attempt}): ${e.error}\n`);
       else if (e.turn) process.stdout.write(` t${e.turn}`);
     },
   });
+  llm.cassette?.finish();
 
   const reportScore = scoreReport(result.report, expected);
   const verification = result.verification;
 
   // Print verification detail
   const tag = (pass) => pass === 'pass' ? '\x1b[32mPASS\x1b[0m' : '\x1b[31mFAIL\x1b[0m';
-  console.log(`  Structure: ${tag(verification.structure)} | Values: ${tag(verification.values)} | Styling: ${tag(verification.styling)}`);
+  console.log(`  Structure: ${tag(verification.structure)} | Values: ${tag(verification.values)} | Features: ${tag(verification.features)} | Styling: ${tag(verification.styling)}`);
   console.log(`  Output: ${verification.row_count} rows, sheets: ${verification.sheet_names.join(', ')}`);
   if (verification.errors.length > 0) {
     for (const err of verification.errors) {
@@ -62,13 +73,20 @@ async function runFixture(apiKey, fixturePath) {
 }
 
 async function main() {
+  const args = process.argv.slice(2);
+  const cassetteMode = args.includes('--replay') ? 'replay' : args.includes('--record') ? 'record' : null;
+  if (args.includes('--replay') && args.includes('--record')) {
+    console.error('Use either --record or --replay, not both');
+    process.exit(1);
+  }
+
   const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+  if (!apiKey && cassetteMode !== 'replay' && requiresApiKey()) {
     console.error('Set ANTHROPIC_API_KEY environment variable');
     process.exit(1);
   }
 
-  const fixtureFilter = process.argv[2];
+  const fixtureFilter = args.find(a => !a.startsWith('--'));
   const fixturesDir = path.join(__dirname, 'fixtures');
   let fixtures = fs.readdirSync(fixturesDir).filter(f =>
     fs.statSync(path.join(fixturesDir, f)).isDirectory()
@@ -78,12 +96,12 @@ async function main() {
     fixtures = fixtures.filter(f => f.includes(fixtureFilter));
   }
 
-  console.log(`Running ${fixtures.length} fixture(s)...\n`);
+  console.log(`Running ${fixtures.length} fixture(s)${cassetteMode ? ` (cassette: ${cassetteMode})` : ''}...\n`);
 
   const results = [];
   for (const fixture of fixtures) {
     try {
-      const result = await runFixture(apiKey, path.join(fixturesDir, fixture));
+      const result = await runFixture(apiKey, path.join(fixturesDir, fixture), cassetteMode);
       results.push(result);
 
       const passed = result.verification?.pass;
@@ -110,8 +128,11 @@ async function main() {
 
   fs.writeFileSync(resultFile, JSON.stringify({
     timestamp: new Date().toISOString(),
-    model_explore: 'claude-haiku-4-5-20251001',
-    model_codegen: 'claude-opus-4-6',
+    cassette: cassetteMode,
+    model_explore: resolveModel('explore').model,
+    model_codegen: resolveModel('codegen').model,
+    provider_explore: resolveModel('explore').provider,
+    provider_codegen: resolveModel('codegen').provider,
     fixtures: results,
     summary: {
       total: results.length,
@@ -128,6 +149,9 @@ async function main() {
   if (errored.length) console.log(`  Errors: ${errored.length}`);
   const totalTokens = results.reduce((sum, r) => sum + (r.tokens?.exploration || 0) + (r.tokens?.codegen || 0), 0);
   console.log(`  Total tokens: ${(totalTokens / 1000).toFixed(1)}k`);
+
+  // Replays and mock runs are regression tests: any mismatch or failed fixture fails the run
+  if ((cassetteMode === 'replay' || !requiresApiKey()) && passed.length < results.length) process.exitCode = 1;
 }
 
 main().catch(err => { console.error(err); process.exit(1); });
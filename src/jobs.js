@@ -0,0 +1,197 @@
+// Job queue: pipeline runs decoupled from the HTTP request that started them.
+// Each job persists under data/jobs/<id>/ — job.json (status), events.jsonl
+// (every pipeline event, replayable) and the output file — so results survive
+// dropped connections and server restarts. A concurrency limit protects the
+// API key's rate limits. Cancelling a running job aborts its pipeline.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { runPipeline, tokensSpent } = require('./pipeline');
+const { MAX_CONCURRENT_JOBS, DATA_DIR } = require('./pipeline/constants');
+
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+const CONCURRENCY = Number(process.env.EXCELIUS_MAX_CONCURRENT_JOBS) || MAX_CONCURRENT_JOBS;
+const TERMINAL_EVENTS = ['complete', 'error', 'cancelled'];
+
+const pending = [];        // { id, options } waiting for a slot
+const controllers = new Map(); // running job id → AbortController
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+let running = 0;
+
+function jobDir(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  return path.join(JOBS_DIR, id);
+}
+
+function writeJob(job) {
+  fs.writeFileSync(path.join(jobDir(job.id), 'job.json'), JSON.stringify(job, null, 2));
+}
+
+function getJob(id) {
+  const dir = jobDir(id);
+  if (!dir || !fs.existsSync(path.join(dir, 'job.json'))) return null;
+  return JSON.parse(fs.readFileSync(path.join(dir, 'job.json'), 'utf-8'));
+}
+
+function updateJob(id, changes) {
+  const job = { ...getJob(id), ...changes };
+  writeJob(job);
+  return job;
+}
+
+// Events are numbered so SSE clients can resume with Last-Event-ID
+const lastSeq = new Map();
+function appendEvent(id, event, data) {
+  if (!lastSeq.has(id)) lastSeq.set(id, getJobEvents(id).length);
+  const seq = lastSeq.get(id) + 1;
+  lastSeq.set(id, seq);
+  const entry = { seq, event, data, at: new Date().toISOString() };
+  fs.appendFileSync(path.join(jobDir(id), 'events.jsonl'), JSON.stringify(entry) + '\n');
+  emitter.emit(id, entry);
+  return entry;
+}
+
+// Streaming deltas go to live subscribers only; persisting every code fragment
+// would bloat events.jsonl, and the complete event carries the full code anyway
+function emitTransient(id, event, data) {
+  emitter.emit(id, { seq: lastSeq.get(id) || 0, event, data, transient: true });
+}
+
+function getJobEvents(id, afterSeq = 0) {
+  const file = path.join(jobDir(id), 'events.jsonl');
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean)
+    .map(line => JSON.parse(line))
+    .filter(e => e.seq > afterSeq);
+}
+
+// Live events for a job; returns an unsubscribe function
+function subscribe(id, listener) {
+  emitter.on(id, listener);
+  return () => emitter.off(id, listener);
+}
+
+function getJobOutput(id) {
+  const job = getJob(id);
+  if (!job?.output) return null;
+  return { filename: job.output.filename, buffer: fs.readFileSync(path.join(jobDir(id), 'output.bin')) };
+}
+
+async function runJob(id, options) {
+  running++;
+  const abort = new AbortController();
+  controllers.set(id, abort);
+  updateJob(id, { status: 'running', started_at: new Date().toISOString() });
+  try {
+    const result = await runPipeline({
+      ...options,
+      signal: abort.signal,
+      onEvent: (e) => (e.status === 'delta' ? emitTransient(id, 'phase', e) : appendEvent(id, 'phase', e)),
+    });
+    fs.writeFileSync(path.join(jobDir(id), 'output.bin'), result.output.buffer);
+    updateJob(id, {
+      status: 'complete',
+      finished_at: new Date().toISOString(),
+      output: {
+        filename: result.output.filename,
+        format: result.output.format,
+        mime: result.output.mime,
+        size: result.output.buffer.length,
+      },
+      meta: result.meta,
+    });
+    appendEvent(id, 'complete', {
+      filename: result.output.filename,
+      format: result.output.format,
+      code: result.code.code,
+      explanation: result.code.explanation,
+      report: result.report,
+      fingerprint: result.fingerprint,
+      logs: result.output.logs,
+      verification: result.verification,
+      meta: result.meta,
+    });
+  } catch (err) {
+    if (abort.signal.aborted) {
+      updateJob(id, { status: 'cancelled', finished_at: new Date().toISOString(), meta: err.meta });
+      appendEvent(id, 'cancelled', { message: 'Job cancelled', tokens: tokensSpent(err.meta), meta: err.meta });
+    } else {
+      updateJob(id, { status: 'failed', finished_at: new Date().toISOString(), error: err.message, meta: err.meta });
+      appendEvent(id, 'error', { message: err.message, meta: err.meta });
+    }
+  } finally {
+    controllers.delete(id);
+    running--;
+    drain();
+  }
+}
+
+function drain() {
+  while (running < CONCURRENCY && pending.length) {
+    const { id, options } = pending.shift();
+    runJob(id, options);
+  }
+}
+
+// Options are passed to runPipeline. Only the job record is persisted —
+// API keys and uploads stay in memory.
+function createJob(options) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    prompt: options.prompt || null,
+    recipe: options.recipe?.id || null,
+    files: options.files.map(f => f.name),
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    output: null,
+    error: null,
+  };
+  fs.mkdirSync(jobDir(job.id), { recursive: true });
+  writeJob(job);
+  appendEvent(job.id, 'phase', { phase: 'queued', status: 'queued', position: pending.length + 1 });
+  pending.push({ id: job.id, options });
+  drain();
+  return getJob(job.id);
+}
+
+// Returns false if the job already finished
+function cancelJob(id) {
+  const queued = pending.findIndex(p => p.id === id);
+  if (queued !== -1) {
+    pending.splice(queued, 1);
+    updateJob(id, { status: 'cancelled', finished_at: new Date().toISOString() });
+    appendEvent(id, 'cancelled', { message: 'Job cancelled', tokens: tokensSpent(null), meta: null });
+    return true;
+  }
+  const controller = controllers.get(id);
+  if (!controller) return false;
+  controller.abort();
+  return true;
+}
+
+function isTerminal(entry) {
+  return TERMINAL_EVENTS.includes(entry.event);
+}
+
+// Jobs that were queued or running when the server stopped can't resume —
+// their uploads and API key were never persisted.
+function recoverInterruptedJobs() {
+  if (!fs.existsSync(JOBS_DIR)) return;
+  for (const id of fs.readdirSync(JOBS_DIR)) {
+    const job = getJob(id);
+    if (job && (job.status === 'queued' || job.status === 'running')) {
+      const error = 'Interrupted by a server restart';
+      updateJob(id, { status: 'failed', finished_at: new Date().toISOString(), error });
+      appendEvent(id, 'error', { message: error });
+    }
+  }
+}
+
+recoverInterruptedJobs();
+
+module.exports = { createJob, cancelJob, getJob, getJobEvents, getJobOutput, subscribe, isTerminal };
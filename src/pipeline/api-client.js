@@ -1,39 +1,47 @@
-// Anthropic Messages API client with retry logic.
+// LLM client: routes each phase's Messages API call to a provider.
+// Provider and model are chosen per phase — per-run options (llm) win over
+// environment variables, which win over the defaults in constants.js:
+//   EXCELIUS_PROVIDER, EXCELIUS_EXPLORE_PROVIDER, EXCELIUS_CODEGEN_PROVIDER
+//   EXCELIUS_EXPLORE_MODEL, EXCELIUS_CODEGEN_MODEL
+// A cassette (llm.cassette, see cassette.js) records calls or replays them
+// without reaching any provider.
 
-const { MAX_API_RETRIES, RETRY_STATUS_CODES, MAX_TOKENS_DEFAULT } = require('./constants');
+const anthropic = require('./providers/anthropic');
+const mock = require('./providers/mock');
+const { MODEL_EXPLORE, MODEL_CODEGEN, MAX_TOKENS_DEFAULT } = require('./constants');
 
-async function callClaude({ apiKey, model, system, messages, tools, maxTokens = MAX_TOKENS_DEFAULT, signal }) {
-  for (let attempt = 0; attempt <= MAX_API_RETRIES; attempt++) {
-    if (signal?.aborted) throw new Error('Aborted');
+const PROVIDERS = { anthropic, mock };
+const DEFAULT_MODELS = { explore: MODEL_EXPLORE, codegen: MODEL_CODEGEN };
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      signal,
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model,
-        max_tokens: maxTokens,
-        system: [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }],
-        messages,
-        tools,
-      }),
-    });
+// llm: { provider?, mockScript?, cassette?, explore?: { provider?, model? }, codegen?: { provider?, model? } }
+function resolveModel(phase, llm = {}) {
+  const env = phase.toUpperCase();
+  const provider = llm[phase]?.provider || llm.provider
+    || process.env[`EXCELIUS_${env}_PROVIDER`] || process.env.EXCELIUS_PROVIDER || 'anthropic';
+  if (!PROVIDERS[provider]) throw new Error(`Unknown LLM provider: "${provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  const model = llm[phase]?.model || process.env[`EXCELIUS_${env}_MODEL`] || DEFAULT_MODELS[phase];
+  return { provider, model };
+}
 
-    if (response.ok) return await response.json();
+function requiresApiKey(llm) {
+  if (llm?.cassette?.mode === 'replay') return false;
+  return Object.keys(DEFAULT_MODELS).some(phase => PROVIDERS[resolveModel(phase, llm).provider].requiresApiKey);
+}
 
-    if (RETRY_STATUS_CODES.includes(response.status) && attempt < MAX_API_RETRIES) {
-      const delay = Math.min(1000 * Math.pow(2, attempt), 8000);
-      await new Promise(r => setTimeout(r, delay));
-      continue;
-    }
+// onStream (optional) switches to the streaming API; see providers/anthropic.js
+async function callClaude({ phase, llm, apiKey, system, messages, tools, maxTokens = MAX_TOKENS_DEFAULT, signal, onStream }) {
+  const { provider, model } = resolveModel(phase, llm);
+  const cassette = llm?.cassette;
+  const request = { phase, model, system, messages, tools, maxTokens };
+  if (cassette?.mode === 'replay') return cassette.replay(request, onStream);
 
-    const errText = await response.text().catch(() => '');
-    throw new Error(`Claude API error (${response.status}): ${errText}`);
-  }
+  const stream = cassette && onStream ? [] : null;
+  const response = await PROVIDERS[provider].createMessage({
+    phase, apiKey, model, system, messages, tools, maxTokens, signal, options: llm,
+    onStream: stream ? (event) => { stream.push(event); onStream(event); } : onStream,
+  });
+  cassette?.record(request, response, stream);
+  return response;
 }
 
-module.exports = { callClaude };
+module.exports = { callClaude, resolveModel, requiresApiKey };
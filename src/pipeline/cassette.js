@@ -0,0 +1,104 @@
+// Record/replay cassettes for LLM calls. A cassette is a JSON file holding every
+// callClaude request/response pair of one run, in call order, plus the onStream
+// events of streamed calls. Recording wraps the real provider; replay serves the
+// stored responses, re-emits their stream events, and throws on the first
+// request that differs from the recording, naming the differing field.
+
+const fs = require('fs');
+
+const CASSETTE_VERSION = 2;
+
+// First path at which two JSON values differ, or null when equal
+function findDifference(a, b, at = '') {
+  if (a === b) return null;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return at || '(root)';
+  }
+  if (Array.isArray(a) && a.length !== b.length) return `${at}.length`;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    const diff = findDifference(a[key], b[key], Array.isArray(a) ? `${at}[${key}]` : `${at}.${key}`);
+    if (diff) return diff;
+  }
+  return null;
+}
+
+const PREVIEW_CHARS = 200;
+
+// Both values as JSON, cut to a window around their first differing
+// character: long strings (tool results, prompts) often differ far from the start
+function previewPair(a, b) {
+  const texts = [JSON.stringify(a) ?? 'undefined', JSON.stringify(b) ?? 'undefined'];
+  let first = 0;
+  while (first < texts[0].length && texts[0][first] === texts[1][first]) first++;
+  const start = Math.max(0, first - PREVIEW_CHARS / 4);
+  return texts.map(text => {
+    if (text.length <= PREVIEW_CHARS) return text;
+    const from = Math.min(start, Math.max(0, text.length - PREVIEW_CHARS));
+    const to = from + PREVIEW_CHARS;
+    return (from > 0 ? `…(${from} chars)` : '') + text.slice(from, to) + (to < text.length ? '…' : '');
+  });
+}
+
+function readPath(value, at) {
+  for (const part of at.match(/[^.[\]]+/g) || []) value = value?.[part];
+  return value;
+}
+
+// mode: 'record' | 'replay'. Call finish() after the run: it saves a recording,
+// and fails a replay that left recorded calls unused.
+function createCassette(file, mode) {
+  if (mode !== 'record' && mode !== 'replay') throw new Error(`Unknown cassette mode: "${mode}"`);
+
+  let interactions = [];
+  if (mode === 'replay') {
+    if (!fs.existsSync(file)) throw new Error(`Cassette not found: ${file} (record it with --record)`);
+    const cassette = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (cassette.version !== CASSETTE_VERSION) {
+      throw new Error(`Cassette ${file} has version ${cassette.version}, expected ${CASSETTE_VERSION}; re-record it`);
+    }
+    interactions = cassette.interactions;
+  }
+  let cursor = 0;
+
+  return {
+    mode,
+    file,
+
+    // stream: the call's onStream events, when it streamed
+    record(request, response, stream) {
+      // Requests are snapshotted: callers keep pushing onto the same messages array
+      interactions.push(JSON.parse(JSON.stringify({ request, response, ...(stream && { stream }) })));
+    },
+
+    replay(request, onStream) {
+      const index = cursor++;
+      const recorded = interactions[index];
+      if (!recorded) {
+        throw new Error(`Cassette mismatch: unexpected ${request.phase} call #${index + 1}, only ${interactions.length} recorded in ${file}`);
+      }
+      const actual = JSON.parse(JSON.stringify(request));
+      const diff = findDifference(recorded.request, actual);
+      if (diff) {
+        const [was, now] = previewPair(readPath(recorded.request, diff), readPath(actual, diff));
+        throw new Error(
+          `Cassette mismatch at call #${index + 1} (${request.phase}), field ${diff}:\n` +
+          `  recorded: ${was}\n` +
+          `  actual:   ${now}`
+        );
+      }
+      if (onStream) for (const event of recorded.stream || []) onStream(JSON.parse(JSON.stringify(event)));
+      return JSON.parse(JSON.stringify(recorded.response));
+    },
+
+    finish() {
+      if (mode === 'record') {
+        fs.writeFileSync(file, JSON.stringify({ version: CASSETTE_VERSION, recorded: new Date().toISOString(), interactions }, null, 2) + '\n');
+      } else if (cursor < interactions.length) {
+        throw new Error(`Cassette mismatch: run made ${cursor} calls, ${interactions.length} recorded in ${file}`);
+      }
+    },
+  };
+}
+
+module.exports = { createCassette };
@@ -1,12 +1,16 @@
 // Code generation agent: uses Opus to generate SheetJS/JSZip code.
 // Receives the exploration report and produces executable code.
+// When a runCode callback is given, execution failures are fed back as tool
+// results so the model can repair its own code. With onDelta, responses are
+// streamed and the code is forwarded as it is written.
 
 const fs = require('fs');
 const path = require('path');
-const { callClaude } = require('./api-client');
+const { callClaude, resolveModel } = require('./api-client');
 const TOOLS = require('./tool-defs.json');
 const {
-  MODEL_CODEGEN, MAX_CODE_RETRIES, MAX_TOKENS_EXTENDED,
+  MAX_CODE_RETRIES, MAX_TOKENS_EXTENDED,
+  MAX_FEEDBACK_LOG_LINES, MAX_FEEDBACK_STACK_LINES,
 } = require('./constants');
 
 const CODEGEN_TEMPLATE = fs.readFileSync(
@@ -17,53 +21,188 @@ function buildCodeGenPrompt(report) {
   return CODEGEN_TEMPLATE.replace('{{REPORT}}', JSON.stringify(report, null, 2));
 }
 
-async function codegen({ apiKey, prompt, report, onAttempt, signal }) {
+// Turn an execution or verification failure into a tool_result body for generate_code.
+function formatExecutionError(err) {
+  const parts = [];
+  if (err.verification) {
+    parts.push(`The code ran, but the output failed verification:\n${err.verification.errors.map(e => `- ${e}`).join('\n')}`);
+  } else {
+    parts.push(`Execution failed: ${err.message}`);
+  }
+  const stack = err.verification ? [] : (err.stack || '').split('\n').slice(1, 1 + MAX_FEEDBACK_STACK_LINES)
+    .map(l => l.trim()).filter(Boolean);
+  if (stack.length) parts.push(`Stack:\n${stack.join('\n')}`);
+  const logs = err.logs || [];
+  if (logs.length) {
+    const shown = logs.slice(-MAX_FEEDBACK_LOG_LINES);
+    const skipped = logs.length - shown.length;
+    parts.push(`log() output before the failure${skipped ? ` (last ${shown.length} of ${logs.length})` : ''}:\n${shown.join('\n')}`);
+  } else {
+    parts.push('No log() output before the failure.');
+  }
+  parts.push('Fix the code and call generate_code again with the complete corrected code.');
+  return parts.join('\n\n');
+}
+
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Incrementally decode one top-level string field from streamed tool input JSON.
+// push() takes the next JSON fragment and returns the newly decoded text.
+function createFieldDecoder(field) {
+  const opening = new RegExp(`[{,]\\s*"${field}"\\s*:\\s*"`);
+  let json = '';
+  let pos = -1;    // index of the next undecoded character, once the field is found
+  let done = false;
+
+  return function push(fragment) {
+    json += fragment;
+    if (done) return '';
+    if (pos < 0) {
+      const match = opening.exec(json);
+      if (!match) return '';
+      pos = match.index + match[0].length;
+    }
+    let text = '';
+    while (pos < json.length) {
+      const ch = json[pos];
+      if (ch === '"') { done = true; break; }
+      if (ch !== '\\') { text += ch; pos++; continue; }
+      // Escape sequence: wait for the rest of it if it is split across fragments
+      const next = json[pos + 1];
+      if (next === undefined) break;
+      if (next === 'u') {
+        const hex = json.slice(pos + 2, pos + 6);
+        if (hex.length < 4) break;
+        text += String.fromCharCode(parseInt(hex, 16));
+        pos += 6;
+      } else {
+        text += JSON_ESCAPES[next] ?? next;
+        pos += 2;
+      }
+    }
+    return text;
+  };
+}
+
+// Stream handler for one codegen call: forwards the generate_code `code` field
+// as it is written, plus running token totals (output estimated at ~4 chars per
+// token until the API reports the real count).
+function streamCodeDeltas(meta, attempt, onDelta) {
+  const decode = createFieldDecoder('code');
+  const usage = { input: 0, output: 0 };
+  let streamedChars = 0;
+  const tokens = () => ({ input: meta.inputTokens + usage.input, output: meta.outputTokens + usage.output });
+
+  onDelta({ status: 'streaming', attempt, tokens: tokens() });
+  return (event) => {
+    if (event.type === 'usage') {
+      usage.input = event.usage.input_tokens || 0;
+      const reported = event.usage.output_tokens || 0;
+      usage.output = event.final ? reported : Math.max(reported, usage.output);
+      onDelta({ status: 'delta', attempt, text: '', tokens: tokens() });
+    } else if (event.type === 'input_json' && event.name === 'generate_code') {
+      streamedChars += event.partial.length;
+      usage.output = Math.max(usage.output, Math.ceil(streamedChars / 4));
+      onDelta({ status: 'delta', attempt, text: decode(event.partial), tokens: tokens() });
+    }
+  };
+}
+
+// Opening message. Session follow-ups carry the earlier prompts and the last
+// run's code, so the model extends it instead of starting over.
+function buildCodeGenMessage(prompt, history) {
+  if (!history?.length) {
+    return `Task: ${prompt}\n\nThe exploration report is in the system prompt. Generate the processing code.`;
+  }
+  const earlier = history.map((turn, i) => `${i + 1}. ${turn.prompt}`).join('\n');
+  const last = history[history.length - 1];
+  return `Earlier requests in this session:\n${earlier}\n\n` +
+    `Code from the last run (output: ${last.filename}):\n\`\`\`js\n${last.code}\n\`\`\`\n\n` +
+    `Follow-up task: ${prompt}\n\n` +
+    'The exploration report is in the system prompt. Generate the complete processing code for the follow-up: ' +
+    'start from the last run\'s code and keep its earlier decisions unless the follow-up changes them.';
+}
+
+async function codegen({ apiKey, prompt, report, history, llm, onAttempt, onDelta, runCode, signal }) {
   const systemPrompt = buildCodeGenPrompt(report);
   const messages = [
-    { role: 'user', content: `Task: ${prompt}\n\nThe exploration report is in the system prompt. Generate the processing code.` },
+    { role: 'user', content: buildCodeGenMessage(prompt, history) },
   ];
   const codeTools = TOOLS.filter(t => t.name === 'generate_code');
-  const meta = { attempts: 0, inputTokens: 0, outputTokens: 0 };
-
-  for (let attempt = 0; attempt < MAX_CODE_RETRIES; attempt++) {
-    if (signal?.aborted) throw new Error('Aborted');
-    meta.attempts = attempt + 1;
-    onAttempt?.({ attempt: attempt + 1 });
-
-    let response = await callClaude({
-      apiKey, model: MODEL_CODEGEN, system: systemPrompt,
-      messages, tools: codeTools, signal,
-    });
-
-    // Handle max_tokens truncation
-    if (response.stop_reason === 'max_tokens') {
-      const last = response.content[response.content.length - 1];
-      if (last?.type === 'tool_use') {
-        response = await callClaude({
-          apiKey, model: MODEL_CODEGEN, system: systemPrompt,
-          messages, tools: codeTools, signal, maxTokens: MAX_TOKENS_EXTENDED,
-        });
+  const meta = { ...resolveModel('codegen', llm), attempts: 0, inputTokens: 0, outputTokens: 0, failures: [] };
+
+  // Failed or cancelled runs still report the tokens spent so far
+  try {
+    for (let attempt = 0; attempt < MAX_CODE_RETRIES; attempt++) {
+      if (signal?.aborted) throw new Error('Aborted');
+      meta.attempts = attempt + 1;
+      onAttempt?.({ attempt: attempt + 1 });
+
+      let response = await callClaude({
+        phase: 'codegen', llm, apiKey, system: systemPrompt,
+        messages, tools: codeTools, signal,
+        onStream: onDelta && streamCodeDeltas(meta, attempt + 1, onDelta),
+      });
+
+      // Handle max_tokens truncation
+      if (response.stop_reason === 'max_tokens') {
+        const last = response.content[response.content.length - 1];
+        if (last?.type === 'tool_use') {
+          response = await callClaude({
+            phase: 'codegen', llm, apiKey, system: systemPrompt,
+            messages, tools: codeTools, signal, maxTokens: MAX_TOKENS_EXTENDED,
+            onStream: onDelta && streamCodeDeltas(meta, attempt + 1, onDelta),
+          });
+        }
       }
-    }
 
-    if (response.usage) {
-      meta.inputTokens += response.usage.input_tokens || 0;
-      meta.outputTokens += response.usage.output_tokens || 0;
-    }
-    messages.push({ role: 'assistant', content: response.content });
+      if (response.usage) {
+        meta.inputTokens += response.usage.input_tokens || 0;
+        meta.outputTokens += response.usage.output_tokens || 0;
+      }
+      messages.push({ role: 'assistant', content: response.content });
 
-    const codeBlock = response.content.find(b => b.type === 'tool_use' && b.name === 'generate_code');
-    if (!codeBlock) continue;
+      const codeBlock = response.content.find(b => b.type === 'tool_use' && b.name === 'generate_code');
+      if (!codeBlock) {
+        messages.push({ role: 'user', content: 'Call generate_code with the processing code.' });
+        continue;
+      }
 
-    return {
-      code: codeBlock.input.code,
-      filename: codeBlock.input.filename,
-      explanation: codeBlock.input.explanation,
-      meta,
-    };
-  }
+      const result = {
+        code: codeBlock.input.code,
+        filename: codeBlock.input.filename,
+        explanation: codeBlock.input.explanation,
+        verification: codeBlock.input.verification,
+        format: codeBlock.input.format || 'xlsx',
+        meta,
+      };
+      if (!runCode) return result;
+
+      // Execute the candidate; on failure, send the error back and retry
+      try {
+        result.output = await runCode(result, {
+          attempt: attempt + 1,
+          lastAttempt: attempt + 1 === MAX_CODE_RETRIES,
+        });
+        return result;
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        meta.failures.push({ attempt: attempt + 1, error: err.message });
+        messages.push({
+          role: 'user',
+          content: [{ type: 'tool_result', tool_use_id: codeBlock.id, is_error: true, content: formatExecutionError(err) }],
+        });
+      }
+    }
 
-  throw new Error('Code generation failed after max retries');
+    const lastFailure = meta.failures[meta.failures.length - 1];
+    throw new Error(lastFailure
+      ? `Code generation failed after ${meta.attempts} attempts: ${lastFailure.error}`
+      : 'Code generation failed after max retries');
+  } catch (err) {
+    err.meta = meta;
+    throw err;
+  }
 }
 
-module.exports = { codegen, buildCodeGenPrompt };
+module.exports = { codegen, buildCodeGenPrompt, formatExecutionError, createFieldDecoder };
@@ -1,6 +1,8 @@
 // Shared configuration for the pipeline.
 // All model names, limits, and timeouts in one place.
 
+const path = require('path');
+
 module.exports = {
   MODEL_EXPLORE: 'claude-haiku-4-5-20251001',
   MODEL_CODEGEN: 'claude-opus-4-6',
@@ -10,13 +12,24 @@ module.exports = {
 
   MAX_EXPLORATION_TURNS: 15,
   MAX_CODE_RETRIES: 3,
+  MAX_FEEDBACK_LOG_LINES: 30,
+  MAX_FEEDBACK_STACK_LINES: 5,
 
   MAX_TOKENS_DEFAULT: 16384,
   MAX_TOKENS_EXTENDED: 32768,
 
+  MAX_CONCURRENT_JOBS: 2,
+  DATA_DIR: process.env.EXCELIUS_DATA_DIR || path.join(__dirname, '..', '..', 'data'),
+
   EXECUTION_TIMEOUT_MS: 30_000,
+  EXECUTION_MEMORY_MB: 1024,
+  // Node >= 20 runs the sandbox (for its permission model), also when the server runs on Bun
+  SANDBOX_NODE: process.env.EXCELIUS_NODE || 'node',
 
   MAX_READ_ROWS: 50,
   MAX_UNIQUE_VALUES: 30,
+  MAX_FORMULA_CELLS: 60,
+  MAX_TABLES: 20,
   TOOL_RESULT_MAX_CHARS: 4000,
+  BATCH_RESULT_MAX_CHARS: 12000, // get_column_stats over every column
 };
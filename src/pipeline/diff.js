@@ -0,0 +1,137 @@
+// Workbook diff: compares a generated workbook to its source or to a previous
+// generation. Sheets pair up by name, columns by header, and rows by a key
+// column detected with the same key-overlap logic as compare_keys (row
+// position when no column qualifies).
+
+const { parseWorkbook, getSheetRows } = require('./tools');
+const { collectKeys, compareKeySets } = require('./keys');
+
+const MAX_DIFF_ROWS = 500; // row entries returned per sheet; counts cover all rows
+const MIN_KEY_OVERLAP = 0.5;
+
+function isEmpty(v) {
+  return v === null || v === undefined || v === '';
+}
+
+// First non-empty row is taken as the header
+function headerRowIndex(rows) {
+  const idx = rows.findIndex(row => (row || []).some(v => !isEmpty(v)));
+  return Math.max(idx, 0);
+}
+
+function readTable(ws) {
+  const rows = getSheetRows(ws);
+  const headerRow = headerRowIndex(rows);
+  const headers = (rows[headerRow] || []).map(h => (isEmpty(h) ? '' : String(h).trim()));
+  return { rows, headerRow, headers };
+}
+
+// A key column holds unique values in both sheets and shares most of them
+function detectKeyColumn(before, after) {
+  let best = null;
+  for (const [c1, name] of before.headers.entries()) {
+    const c2 = after.headers.indexOf(name);
+    if (!name || c2 === -1) continue;
+    const keys1 = collectKeys(before.rows, c1, before.headerRow + 1);
+    const keys2 = collectKeys(after.rows, c2, after.headerRow + 1);
+    const filled1 = before.rows.slice(before.headerRow + 1).filter(r => !isEmpty((r || [])[c1])).length;
+    const filled2 = after.rows.slice(after.headerRow + 1).filter(r => !isEmpty((r || [])[c2])).length;
+    if (!keys1.size || keys1.size !== filled1 || keys2.size !== filled2) continue;
+    const { shared } = compareKeySets(keys1, keys2);
+    const overlap = shared / Math.max(keys1.size, keys2.size);
+    if (overlap >= MIN_KEY_OVERLAP && (!best || overlap > best.overlap)) best = { name, c1, c2, overlap };
+  }
+  return best;
+}
+
+// Data rows as [key, row] pairs; blank rows are skipped
+function keyedRows(table, col) {
+  const out = [];
+  for (let r = table.headerRow + 1; r < table.rows.length; r++) {
+    const row = table.rows[r] || [];
+    if (row.every(isEmpty)) continue;
+    const key = col === null ? `#${r - table.headerRow}` : String(row[col] ?? '').trim();
+    out.push([key, row, r]);
+  }
+  return out;
+}
+
+function diffSheet(beforeWs, afterWs) {
+  const before = readTable(beforeWs);
+  const after = readTable(afterWs);
+  const key = detectKeyColumn(before, after);
+  const columns = after.headers.filter(h => h && before.headers.includes(h));
+
+  const beforeRows = new Map(keyedRows(before, key ? key.c1 : null).map(([k, row, r]) => [k, { row, r }]));
+  const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  const rows = [];
+  const push = (entry) => { if (rows.length < MAX_DIFF_ROWS) rows.push(entry); };
+
+  for (const [k, row, r] of keyedRows(after, key ? key.c2 : null)) {
+    const match = beforeRows.get(k);
+    if (!match) {
+      counts.added++;
+      push({ status: 'added', key: k, row: r + 1, values: row });
+      continue;
+    }
+    beforeRows.delete(k);
+    const cells = [];
+    for (const name of columns) {
+      const oldValue = match.row[before.headers.indexOf(name)] ?? null;
+      const newValue = row[after.headers.indexOf(name)] ?? null;
+      if (String(oldValue ?? '') !== String(newValue ?? '')) cells.push({ column: name, before: oldValue, after: newValue });
+    }
+    if (cells.length) {
+      counts.changed++;
+      push({ status: 'changed', key: k, row: r + 1, before_row: match.r + 1, values: row, cells });
+    } else {
+      counts.unchanged++;
+    }
+  }
+  for (const [k, { row, r }] of beforeRows) {
+    counts.removed++;
+    push({ status: 'removed', key: k, before_row: r + 1, values: row });
+  }
+
+  return {
+    key: key ? key.name : null,
+    headers: after.headers,
+    before_headers: before.headers,
+    added_columns: after.headers.filter(h => h && !before.headers.includes(h)),
+    removed_columns: before.headers.filter(h => h && !after.headers.includes(h)),
+    counts,
+    rows,
+    truncated: counts.added + counts.removed + counts.changed > rows.length,
+  };
+}
+
+// Same-named sheets pair up; if none share a name, the first sheets are compared
+function pairSheets(beforeWb, afterWb) {
+  const shared = afterWb.SheetNames.filter(n => beforeWb.SheetNames.includes(n));
+  if (shared.length) return shared.map(n => [n, n]);
+  return [[beforeWb.SheetNames[0], afterWb.SheetNames[0]]];
+}
+
+function diffWorkbooks(beforeBuffer, afterBuffer) {
+  const beforeWb = parseWorkbook(beforeBuffer);
+  const afterWb = parseWorkbook(afterBuffer);
+  const pairs = pairSheets(beforeWb, afterWb);
+  const paired = (side) => new Set(pairs.map(p => p[side]));
+
+  const sheets = pairs.map(([beforeName, afterName]) => ({
+    sheet: afterName,
+    before_sheet: beforeName,
+    ...diffSheet(beforeWb.Sheets[beforeName], afterWb.Sheets[afterName]),
+  }));
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  for (const s of sheets) for (const k of Object.keys(summary)) summary[k] += s.counts[k];
+
+  return {
+    summary,
+    sheets,
+    added_sheets: afterWb.SheetNames.filter(n => !paired(1).has(n)),
+    removed_sheets: beforeWb.SheetNames.filter(n => !paired(0).has(n)),
+  };
+}
+
+module.exports = { diffWorkbooks };
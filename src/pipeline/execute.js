@@ -1,34 +1,142 @@
 // Headless code execution.
-// Runs LLM-generated code in a Function sandbox with XLSX + JSZip.
+// Runs LLM-generated code in a sandbox process (see sandbox.js) with XLSX +
+// JSZip, a hard memory cap, and a timeout that kills the process. The process
+// runs under Node's permission model: it may only read the sandbox and library
+// sources, and may not write files, spawn processes or start workers. It has
+// no network: on Linux it runs in an empty network namespace, and sandbox.js
+// disables sockets and DNS before any job runs.
+// Aborting the signal kills the process too.
+// Errors carry the log() output collected before the failure as err.logs.
 
-const XLSX = require('xlsx');
-const JSZip = require('jszip');
-const { EXECUTION_TIMEOUT_MS } = require('./constants');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { EXECUTION_TIMEOUT_MS, EXECUTION_MEMORY_MB, SANDBOX_NODE } = require('./constants');
 
-async function execute(code, files) {
-  const logs = [];
-  const log = (msg) => logs.push(String(msg));
+const SANDBOX_PATH = path.join(__dirname, 'sandbox.js');
+
+// Loaded into the sandbox context in this order; the sandbox-lib files expect
+// their predecessors' globals
+const LIBRARIES = [
+  require.resolve('xlsx/dist/xlsx.full.min.js'),
+  require.resolve('jszip/dist/jszip.min.js'),
+  path.join(__dirname, 'sandbox-lib', 'ooxml.js'),
+  path.join(__dirname, 'sandbox-lib', 'styles.js'),
+  path.join(__dirname, 'sandbox-lib', 'charts.js'),
+  path.join(__dirname, 'sandbox-lib', 'pivot.js'),
+  path.join(__dirname, 'sandbox-lib', 'patch.js'),
+];
 
-  const fn = new Function('files', 'XLSX', 'JSZip', 'log',
-    '"use strict"; return (async () => {\n' + code + '\n})();'
-  );
+// ulimit -v caps the sandbox's address space. Platforms that don't enforce
+// RLIMIT_AS (macOS) still get process isolation and the timeout kill.
+const LAUNCHER = 'ulimit -v "$1" 2>/dev/null; shift; exec "$@"';
 
-  const result = await Promise.race([
-    fn(files, XLSX, JSZip, log),
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Execution timed out (30s)')), EXECUTION_TIMEOUT_MS)
-    ),
-  ]);
+// The permission model doesn't cover the network (Node 20, 22), so sandbox.js
+// closes it in-process and, where the kernel allows it, the process gets a
+// network namespace of its own with only a downed loopback
+const PERMISSIONS = [
+  '--experimental-permission',
+  ...[SANDBOX_PATH, ...LIBRARIES].map(file => `--allow-fs-read=${file}`),
+  '--no-warnings',
+];
 
-  if (!result || !result.buffer) {
-    throw new Error('Code must return { buffer, filename }');
+// unshare needs Linux and user namespaces (unprivileged, or running as root)
+let namespaced = null;
+function networkNamespace() {
+  if (namespaced === null) {
+    namespaced = process.platform === 'linux' && spawnSync('unshare', ['--map-root-user', '--net', 'true'], { stdio: 'ignore' }).status === 0;
   }
+  return namespaced;
+}
+
+// args: what node runs, the sandbox script by default
+function spawnSandbox(args = [SANDBOX_PATH]) {
+  const launch = ['/bin/sh', '-c', LAUNCHER, 'sandbox', String(EXECUTION_MEMORY_MB * 1024), SANDBOX_NODE, ...PERMISSIONS, ...args];
+  if (networkNamespace()) launch.unshift('unshare', '--map-root-user', '--net');
+  return spawn(launch[0], launch.slice(1), {
+    cwd: __dirname,
+    env: { PATH: process.env.PATH || '' },
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+}
+
+function execute(code, files, { signal } = {}) {
+  const logs = [];
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(Object.assign(new Error('Aborted'), { logs }));
+    const child = spawnSandbox();
+    let settled = false;
+    let stdout = '';
+    let stderr = '';
+
+    function settle(err, value) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (child.exitCode === null) child.kill('SIGKILL');
+      if (err) {
+        err.logs = logs;
+        reject(err);
+      } else {
+        resolve(value);
+      }
+    }
+
+    const timer = setTimeout(() => {
+      settle(new Error(`Execution timed out (${EXECUTION_TIMEOUT_MS / 1000}s)`));
+    }, EXECUTION_TIMEOUT_MS);
+
+    const onAbort = () => settle(new Error('Aborted'));
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    function handleMessage(msg) {
+      if (msg.type === 'log') {
+        logs.push(msg.msg);
+      } else if (msg.type === 'result') {
+        settle(null, {
+          buffer: msg.buffer ? Buffer.from(msg.buffer, 'base64') : null,
+          files: msg.files?.map(f => ({ filename: f.filename, buffer: Buffer.from(f.buffer, 'base64') })),
+          filename: msg.filename || 'output.xlsx',
+          logs,
+        });
+      } else if (msg.type === 'error') {
+        const err = new Error(msg.message);
+        err.stack = msg.stack || `Error: ${msg.message}`;
+        settle(err);
+      }
+    }
+
+    child.stdout.setEncoding('utf-8');
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      let nl;
+      while ((nl = stdout.indexOf('\n')) !== -1) {
+        const line = stdout.slice(0, nl);
+        stdout = stdout.slice(nl + 1);
+        if (!line.trim()) continue;
+        try { handleMessage(JSON.parse(line)); } catch {}
+      }
+    });
+    child.stderr.setEncoding('utf-8');
+    child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-2000); });
 
-  const buffer = result.buffer instanceof ArrayBuffer
-    ? Buffer.from(result.buffer)
-    : Buffer.isBuffer(result.buffer) ? result.buffer : Buffer.from(result.buffer);
+    child.on('error', (err) => settle(new Error(`Sandbox failed to start: ${err.message}`)));
+    child.on('close', (code, signal) => {
+      if (/out of memory|allocation fail/i.test(stderr)) {
+        return settle(new Error(`Execution exceeded the memory limit (${EXECUTION_MEMORY_MB} MB)`));
+      }
+      const detail = stderr.trim() ? `: ${stderr.trim()}` : '';
+      settle(new Error(`Sandbox exited (${signal || `code ${code}`}) without a result${detail}`));
+    });
 
-  return { buffer, filename: result.filename || 'output.xlsx', logs };
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify({
+      code,
+      libraries: LIBRARIES,
+      files: files.map(f => ({ name: f.name, data: Buffer.from(f.buffer).toString('base64') })),
+    }));
+  });
 }
 
-module.exports = { execute };
+module.exports = { execute, spawnSandbox, networkNamespace, SANDBOX_PATH };
@@ -3,74 +3,112 @@
 
 const fs = require('fs');
 const path = require('path');
-const { callClaude } = require('./api-client');
+const { callClaude, resolveModel } = require('./api-client');
 const { createToolExecutor } = require('./tools');
+const { layoutNotes } = require('./layout');
 const TOOLS = require('./tool-defs.json');
 const {
-  MODEL_EXPLORE, MAX_EXPLORATION_TURNS, TOOL_RESULT_MAX_CHARS,
+  MAX_EXPLORATION_TURNS, TOOL_RESULT_MAX_CHARS, BATCH_RESULT_MAX_CHARS,
 } = require('./constants');
 
 const EXPLORATION_PROMPT = fs.readFileSync(
   path.join(__dirname, 'prompts', 'exploration.txt'), 'utf-8'
 );
 
-async function explore({ apiKey, files, prompt, onTurn, signal }) {
-  const executeTool = createToolExecutor(files);
+// Opening message. In a session follow-up, `known` ({ files, report }) lists
+// files explored in an earlier run; only the rest need exploring.
+function buildExploreMessage(files, prompt, known) {
   const fileList = files.map(f => f.name).join(', ');
+  if (!known?.files.length) {
+    return `Files available: ${fileList}\n\nUser's task: ${prompt}\n\nPlease explore these files thoroughly, then submit_report with your findings.`;
+  }
+  const changed = files.map(f => f.name).filter(n => !known.files.includes(n));
+  return `Files available: ${fileList}\n\n` +
+    `Already explored earlier in this session (unchanged): ${known.files.join(', ')}. Their report:\n${JSON.stringify(known.report, null, 2)}\n\n` +
+    `User's task: ${prompt}\n\n` +
+    `Explore only the new or changed files (${changed.join(', ')}), then submit_report covering just those files, ` +
+    `plus any relationships between them and the files already explored.`;
+}
+
+// Layout facts go into each reported sheet's `notable` whether or not the
+// agent called describe_layout; notes it already wrote are not repeated
+function addLayoutNotes(report, executeTool) {
+  for (const file of report.files || []) {
+    for (const sheet of file.sheets || []) {
+      const layout = executeTool('describe_layout', { file: file.name, sheet: sheet.name });
+      if (layout.error) continue;
+      const notable = sheet.notable || [];
+      const notes = layoutNotes(layout).filter(n => !notable.includes(n));
+      if (notes.length) sheet.notable = [...notable, ...notes];
+    }
+  }
+  return report;
+}
+
+async function explore({ apiKey, files, prompt, known, llm, onTurn, signal }) {
+  const executeTool = createToolExecutor(files);
   const messages = [
-    { role: 'user', content: `Files available: ${fileList}\n\nUser's task: ${prompt}\n\nPlease explore these files thoroughly, then submit_report with your findings.` },
+    { role: 'user', content: buildExploreMessage(files, prompt, known) },
   ];
   const explorationTools = TOOLS.filter(t => t.name !== 'generate_code');
   const trace = [];
-  const meta = { turns: 0, inputTokens: 0, outputTokens: 0 };
+  const meta = { ...resolveModel('explore', llm), turns: 0, inputTokens: 0, outputTokens: 0 };
 
-  for (let turn = 0; turn < MAX_EXPLORATION_TURNS; turn++) {
-    if (signal?.aborted) throw new Error('Aborted');
-    meta.turns = turn + 1;
+  // Failed or cancelled runs still report the tokens spent so far
+  try {
+    for (let turn = 0; turn < MAX_EXPLORATION_TURNS; turn++) {
+      if (signal?.aborted) throw new Error('Aborted');
+      meta.turns = turn + 1;
 
-    const response = await callClaude({
-      apiKey, model: MODEL_EXPLORE, system: EXPLORATION_PROMPT,
-      messages, tools: explorationTools, signal,
-    });
+      const response = await callClaude({
+        phase: 'explore', llm, apiKey, system: EXPLORATION_PROMPT,
+        messages, tools: explorationTools, signal,
+      });
 
-    if (response.usage) {
-      meta.inputTokens += response.usage.input_tokens || 0;
-      meta.outputTokens += response.usage.output_tokens || 0;
-    }
-    messages.push({ role: 'assistant', content: response.content });
+      if (response.usage) {
+        meta.inputTokens += response.usage.input_tokens || 0;
+        meta.outputTokens += response.usage.output_tokens || 0;
+      }
+      messages.push({ role: 'assistant', content: response.content });
 
-    // Check for submit_report
-    for (const block of response.content) {
-      if (block.type === 'tool_use' && block.name === 'submit_report') {
-        trace.push({ tool: 'submit_report', turn });
-        onTurn?.({ turn: turn + 1, tools: ['submit_report'], done: true });
-        return { report: block.input, meta, trace };
+      // Check for submit_report
+      for (const block of response.content) {
+        if (block.type === 'tool_use' && block.name === 'submit_report') {
+          trace.push({ tool: 'submit_report', turn });
+          onTurn?.({ turn: turn + 1, tools: ['submit_report'], done: true, tokens: { input: meta.inputTokens, output: meta.outputTokens } });
+          return { report: addLayoutNotes(block.input, executeTool), meta, trace };
+        }
       }
-    }
 
-    if (response.stop_reason !== 'tool_use') {
-      throw new Error('Exploration agent stopped without submitting a report');
-    }
+      if (response.stop_reason !== 'tool_use') {
+        throw new Error('Exploration agent stopped without submitting a report');
+      }
 
-    // Process tool calls
-    const toolNames = [];
-    const toolResults = [];
-    for (const block of response.content) {
-      if (block.type !== 'tool_use' || block.name === 'submit_report') continue;
-      const result = executeTool(block.name, block.input);
-      const resultStr = JSON.stringify(result, null, 2);
-      const truncated = resultStr.length > TOOL_RESULT_MAX_CHARS
-        ? resultStr.slice(0, TOOL_RESULT_MAX_CHARS) + '\n... (truncated)'
-        : resultStr;
-      trace.push({ tool: block.name, turn, input: block.input });
-      toolNames.push(block.name);
-      toolResults.push({ type: 'tool_result', tool_use_id: block.id, content: truncated });
+      // Process tool calls
+      const toolNames = [];
+      const toolResults = [];
+      for (const block of response.content) {
+        if (block.type !== 'tool_use' || block.name === 'submit_report') continue;
+        const result = executeTool(block.name, block.input);
+        const resultStr = JSON.stringify(result, null, 2);
+        const batch = block.name === 'get_column_stats' && block.input.column == null;
+        const maxChars = batch ? BATCH_RESULT_MAX_CHARS : TOOL_RESULT_MAX_CHARS;
+        const truncated = resultStr.length > maxChars
+          ? resultStr.slice(0, maxChars) + '\n... (truncated)'
+          : resultStr;
+        trace.push({ tool: block.name, turn, input: block.input });
+        toolNames.push(block.name);
+        toolResults.push({ type: 'tool_result', tool_use_id: block.id, content: truncated });
+      }
+      if (toolResults.length) messages.push({ role: 'user', content: toolResults });
+      onTurn?.({ turn: turn + 1, tools: toolNames, done: false, tokens: { input: meta.inputTokens, output: meta.outputTokens } });
     }
-    if (toolResults.length) messages.push({ role: 'user', content: toolResults });
-    onTurn?.({ turn: turn + 1, tools: toolNames, done: false });
-  }
 
-  throw new Error('Exploration hit turn limit');
+    throw new Error('Exploration hit turn limit');
+  } catch (err) {
+    err.meta = meta;
+    throw err;
+  }
 }
 
 module.exports = { explore, EXPLORATION_PROMPT };
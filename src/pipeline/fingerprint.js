@@ -0,0 +1,95 @@
+// Input fingerprints for recipes.
+// A fingerprint records each input file's name and, for every sheet, its header
+// row and headers. It is read from the files themselves, not from the
+// exploration report, which may skip sheets or misquote headers. Matching checks
+// newly uploaded files against it without the LLM.
+
+const { parseWorkbook, getSheetRows, detectTables } = require('./tools');
+
+// The first detected table's header row; else the first non-blank row
+function headerRowOf(rows) {
+  const table = detectTables(rows).find(t => t.header_row !== null);
+  if (table) return table.header_row;
+  const first = rows.findIndex(row => (row || []).some(v => v !== null && String(v).trim() !== ''));
+  return first === -1 ? 0 : first;
+}
+
+function fingerprintFiles(files) {
+  return files.map(f => {
+    const wb = parseWorkbook(f.buffer);
+    return {
+      name: f.name,
+      sheets: wb.SheetNames.map(name => {
+        const rows = getSheetRows(wb.Sheets[name]);
+        const headerRow = headerRowOf(rows);
+        return { name, header_row: headerRow, headers: (rows[headerRow] || []).map(h => String(h ?? '')) };
+      }),
+    };
+  });
+}
+
+// Error message for a fingerprint that isn't one fingerprintFiles() made, else null
+function checkFingerprint(fingerprint) {
+  if (!Array.isArray(fingerprint) || !fingerprint.length) return 'fingerprint: expected a non-empty array of files';
+  for (const [i, f] of fingerprint.entries()) {
+    if (typeof f?.name !== 'string' || !Array.isArray(f.sheets)) return `fingerprint[${i}]: expected { name, sheets }`;
+    for (const [j, s] of f.sheets.entries()) {
+      if (typeof s?.name !== 'string' || !Number.isInteger(s.header_row) || s.header_row < 0 || !Array.isArray(s.headers)) {
+        return `fingerprint[${i}].sheets[${j}]: expected { name, header_row, headers }`;
+      }
+    }
+  }
+  return null;
+}
+
+// Monthly exports differ only in dates/sequence numbers: "sales-2026-09.xlsx" ~ "sales-2026-10.xlsx"
+function nameShape(name) {
+  return name.toLowerCase().replace(/\d+/g, '#');
+}
+
+function normalizeHeaders(headers) {
+  const out = headers.map(h => String(h ?? '').trim().toLowerCase());
+  while (out.length && !out[out.length - 1]) out.pop();
+  return out;
+}
+
+// Returns { match, reason, files }. On a match, `files` holds the uploads renamed to
+// the fingerprint's file names so recipe code that looks files up by name still works.
+function matchFingerprint(fingerprint, files) {
+  if (!fingerprint?.length) return { match: false, reason: 'Recipe has no input fingerprint' };
+  if (files.length !== fingerprint.length) {
+    return { match: false, reason: `Expected ${fingerprint.length} file(s), got ${files.length}` };
+  }
+
+  const remaining = [...files];
+  const matched = [];
+  for (const fp of fingerprint) {
+    let idx = remaining.findIndex(f => f.name === fp.name);
+    if (idx === -1) idx = remaining.findIndex(f => nameShape(f.name) === nameShape(fp.name));
+    if (idx === -1) return { match: false, reason: `No uploaded file matches "${fp.name}"` };
+    const [file] = remaining.splice(idx, 1);
+
+    let wb;
+    try {
+      wb = parseWorkbook(file.buffer);
+    } catch (err) {
+      return { match: false, reason: `Cannot parse "${file.name}": ${err.message}` };
+    }
+    const extra = wb.SheetNames.filter(n => !fp.sheets.some(s => s.name === n));
+    if (extra.length) return { match: false, reason: `"${file.name}" has sheets the recipe doesn't: ${extra.join(', ')}` };
+    for (const sheet of fp.sheets) {
+      const ws = wb.Sheets[sheet.name];
+      if (!ws) return { match: false, reason: `"${file.name}" has no sheet "${sheet.name}"` };
+      const actual = normalizeHeaders(getSheetRows(ws)[sheet.header_row] || []);
+      const expected = normalizeHeaders(sheet.headers);
+      if (actual.join('\u0000') !== expected.join('\u0000')) {
+        return { match: false, reason: `Headers changed in "${file.name}" / "${sheet.name}" (row ${sheet.header_row})` };
+      }
+    }
+    matched.push({ ...file, name: fp.name });
+  }
+
+  return { match: true, reason: null, files: matched };
+}
+
+module.exports = { fingerprintFiles, checkFingerprint, matchFingerprint };
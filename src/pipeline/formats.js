@@ -0,0 +1,167 @@
+// Output formats declared by generate_code. The generated code may return an
+// xlsx workbook, which is converted here, or the finished file, which is
+// validated. ZIP bundles may also be returned as a `files` array.
+// Every output keeps a `workbook` (xlsx) for verification and preview when one
+// can be derived; `workbookDerived` marks one rebuilt from text, whose sheet
+// names are made up.
+
+const XLSX = require('xlsx');
+const JSZip = require('jszip');
+const { writeParquet, isParquet } = require('./parquet');
+
+const FORMATS = {
+  xlsx: { extension: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { extension: 'csv', mime: 'text/csv' },
+  tsv: { extension: 'tsv', mime: 'text/tab-separated-values' },
+  json: { extension: 'json', mime: 'application/json' },
+  parquet: { extension: 'parquet', mime: 'application/vnd.apache.parquet' },
+  zip: { extension: 'zip', mime: 'application/zip' },
+};
+
+// A local file header (PK\x03\x04) or an empty archive (PK\x05\x06); text
+// that merely starts with "PK" is not a ZIP
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer[0] === 0x50 && buffer[1] === 0x4b
+    && ((buffer[2] === 0x03 && buffer[3] === 0x04) || (buffer[2] === 0x05 && buffer[3] === 0x06));
+}
+
+function withExtension(filename, format) {
+  const base = (filename || 'output').replace(/\.[a-z0-9]+$/i, '');
+  return `${base}.${FORMATS[format].extension}`;
+}
+
+// Archive member names for a files bundle: the base name only (no directories,
+// so nothing lands outside the extraction folder), made unique
+// case-insensitively with a " (2)" suffix
+function bundleNames(files) {
+  const used = new Set();
+  return files.map((f, i) => {
+    const base = String(f.filename ?? '').split(/[\\/]/).pop().replace(/[\x00-\x1f]/g, '').trim();
+    if (!base || base === '.' || base === '..') throw new Error(`Output file #${i + 1} has no usable filename ("${f.filename}")`);
+    const dot = base.lastIndexOf('.');
+    const [stem, ext] = dot > 0 ? [base.slice(0, dot), base.slice(dot)] : [base, ''];
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${stem} (${n})${ext}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function toXlsx(wb) {
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function readText(buffer, format) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    throw new Error(`Output declared as ${format} is not valid UTF-8 text`);
+  }
+}
+
+function firstSheetRows(wb) {
+  return XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1, defval: null });
+}
+
+const converters = {
+  async xlsx(buffer) {
+    if (!isZip(buffer)) throw new Error('Output declared as xlsx is not an xlsx workbook');
+    return { buffer, workbook: buffer };
+  },
+
+  async csv(buffer, format = 'csv') {
+    const FS = format === 'tsv' ? '\t' : ',';
+    if (isZip(buffer)) {
+      const wb = XLSX.read(buffer, { type: 'buffer' });
+      const text = XLSX.utils.sheet_to_csv(wb.Sheets[wb.SheetNames[0]], { FS, blankrows: false });
+      return { buffer: Buffer.from(text, 'utf-8'), workbook: buffer };
+    }
+    const text = readText(buffer, format);
+    if (!text.trim()) throw new Error(`Output declared as ${format} is empty`);
+    const wb = XLSX.read(text, { type: 'string', FS, raw: false });
+    return { buffer, workbook: toXlsx(wb), derived: true };
+  },
+
+  async tsv(buffer) {
+    return converters.csv(buffer, 'tsv');
+  },
+
+  // One sheet → array of row objects; several → { sheetName: rows }
+  async json(buffer) {
+    if (isZip(buffer)) {
+      const wb = XLSX.read(buffer, { type: 'buffer' });
+      const sheets = Object.fromEntries(wb.SheetNames.map(n => [n, XLSX.utils.sheet_to_json(wb.Sheets[n], { defval: null })]));
+      const data = wb.SheetNames.length === 1 ? sheets[wb.SheetNames[0]] : sheets;
+      return { buffer: Buffer.from(JSON.stringify(data, null, 2), 'utf-8'), workbook: buffer };
+    }
+    let data;
+    try {
+      data = JSON.parse(readText(buffer, 'json'));
+    } catch (err) {
+      throw new Error(`Output declared as json is not valid JSON: ${err.message}`);
+    }
+    const wb = XLSX.utils.book_new();
+    const tables = Array.isArray(data) ? { Sheet1: data } : data;
+    for (const [name, rows] of Object.entries(tables || {})) {
+      if (Array.isArray(rows) && rows.every(r => r && typeof r === 'object' && !Array.isArray(r))) {
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), name.slice(0, 31));
+      }
+    }
+    return { buffer, workbook: wb.SheetNames.length ? toXlsx(wb) : null, derived: true };
+  },
+
+  // Parquet holds one table: the workbook's first sheet, header row as columns.
+  // Date-formatted cells become timestamps of their wall-clock time, taken
+  // from the serial so the server's time zone doesn't shift them.
+  async parquet(buffer) {
+    if (isParquet(buffer)) return { buffer, workbook: null };
+    if (!isZip(buffer)) throw new Error('Output declared as parquet is neither a parquet file nor an xlsx workbook');
+    const wb = XLSX.read(buffer, { type: 'buffer', cellNF: true });
+    const ws = wb.Sheets[wb.SheetNames[0]];
+    const start = XLSX.utils.decode_range(ws['!ref'] || 'A1').s;
+    const [headers = [], ...rows] = firstSheetRows(wb).map((row, r) => row.map((v, c) => {
+      const cell = ws[XLSX.utils.encode_cell({ r: start.r + r, c: start.c + c })];
+      return cell?.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z) ? new Date(Math.round((cell.v - 25569) * 86400000)) : v;
+    }));
+    return { buffer: writeParquet(headers, rows), workbook: buffer };
+  },
+
+  // A bundle of several output files (see bundleNames). A lone xlsx is
+  // wrapped rather than mistaken for a bundle.
+  async zip(buffer, format, { files, filename }) {
+    if (files) {
+      const zip = new JSZip();
+      const names = bundleNames(files);
+      files.forEach((f, i) => zip.file(names[i], f.buffer, { date: new Date(0) }));
+      return { buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }), workbook: files.find(f => isZip(f.buffer))?.buffer || null };
+    }
+    if (!isZip(buffer)) throw new Error('Output declared as zip is not a ZIP archive');
+    const zip = await JSZip.loadAsync(buffer);
+    if (zip.file('[Content_Types].xml')) {
+      const bundle = new JSZip();
+      bundle.file(withExtension(filename, 'xlsx'), buffer, { date: new Date(0) });
+      return { buffer: await bundle.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }), workbook: buffer };
+    }
+    if (!Object.values(zip.files).some(f => !f.dir)) throw new Error('Output ZIP archive is empty');
+    return { buffer, workbook: null };
+  },
+};
+
+// Convert or validate an execute() result for the declared format
+async function finalizeOutput(output, format = 'xlsx') {
+  if (!FORMATS[format]) throw new Error(`Unknown output format "${format}". Supported: ${Object.keys(FORMATS).join(', ')}`);
+  if (output.files && format !== 'zip') throw new Error('Return a files array only with format "zip"');
+  const { buffer, workbook, derived } = await converters[format](output.buffer, format, output);
+  const { files, ...rest } = output;
+  return {
+    ...rest,
+    buffer,
+    workbook,
+    workbookDerived: Boolean(derived),
+    format,
+    mime: FORMATS[format].mime,
+    filename: withExtension(output.filename, format),
+  };
+}
+
+module.exports = { FORMATS, finalizeOutput };
@@ -1,56 +1,182 @@
-// Pipeline orchestrator: explore → codegen → execute.
+// Pipeline orchestrator: ingest → explore → codegen ⇄ execute → verify.
 // Each phase is a standalone module; this composes them with event callbacks.
+// A saved recipe with a matching input fingerprint skips explore + codegen.
+// A session follow-up explores only new or changed files and hands codegen the
+// earlier prompts and code.
 
 const { explore } = require('./explore');
 const { codegen } = require('./codegen');
 const { execute } = require('./execute');
-const { verifyOutput } = require('./verify');
+const { finalizeOutput } = require('./formats');
+const { ingestFiles } = require('./ingest');
+const { verifyOutput, buildExpectedFromSpec } = require('./verify');
+const { fingerprintFiles, matchFingerprint } = require('./fingerprint');
+const { diffWorkbooks } = require('./diff');
+const { resolveModel, requiresApiKey } = require('./api-client');
+const { hashInputs, diffInputs, pickReport, mergeReports } = require('./session-context');
 
-async function runPipeline({ apiKey, files, prompt, expected, onEvent, signal }) {
+// Execute one code candidate, then self-check it against its verification spec.
+// Throws on failure so codegen can feed the error back; on the last attempt a
+// failed check is reported, not fatal.
+async function runCandidate(candidate, files, { attempt, lastAttempt, onEvent, result, signal }) {
+  onEvent?.({ phase: 'executing', status: 'started', attempt });
+  let output;
+  try {
+    output = await execute(candidate.code, files, { signal });
+    // Convert or validate the declared output format; failures go back to codegen too
+    try {
+      output = await finalizeOutput(output, candidate.format || 'xlsx');
+    } catch (err) {
+      err.logs = output.logs;
+      throw err;
+    }
+    onEvent?.({ phase: 'executing', status: 'complete', attempt, size: output.buffer.length, format: output.format });
+  } catch (err) {
+    onEvent?.({ phase: 'executing', status: 'failed', attempt, error: err.message });
+    throw err;
+  }
+
+  if (candidate.verification) {
+    onEvent?.({ phase: 'verifying', status: 'started', attempt });
+    const { expected, skipped } = buildExpectedFromSpec(candidate.verification, files);
+    if (output.workbookDerived && expected.sheets) {
+      delete expected.sheets;
+      skipped.push(`sheets: ${output.format} output has no sheet names`);
+    }
+    if (!output.workbook) skipped.push(`all checks: ${output.format} output has no workbook to check`);
+    const check = output.workbook ? await verifyOutput(output.workbook, expected) : { pass: true, errors: [] };
+    check.skipped = skipped;
+    result.selfCheck = check;
+    if (!check.pass && !lastAttempt) {
+      onEvent?.({ phase: 'verifying', status: 'failed', attempt, error: check.errors.join('; ') });
+      const err = new Error(`Output failed verification: ${check.errors.join('; ')}`);
+      err.verification = check;
+      err.logs = output.logs;
+      throw err;
+    }
+    onEvent?.({ phase: 'verifying', status: 'complete', attempt, pass: check.pass, errors: check.errors });
+  }
+  return output;
+}
+
+// Replay a recipe's code on new files. Returns false when the inputs don't
+// match its fingerprint or the code fails, so the caller falls back to a full run.
+async function replayRecipe(recipe, files, { onEvent, result, signal }) {
+  const fp = matchFingerprint(recipe.fingerprint, files);
+  if (!fp.match) {
+    onEvent?.({ phase: 'recipe', status: 'mismatch', recipe: recipe.id, reason: fp.reason });
+    return false;
+  }
+  onEvent?.({ phase: 'recipe', status: 'matched', recipe: recipe.id });
+
+  try {
+    result.output = await runCandidate(recipe, fp.files, { attempt: 1, lastAttempt: true, onEvent, result, signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    onEvent?.({ phase: 'recipe', status: 'failed', recipe: recipe.id, reason: err.message });
+    return false;
+  }
+  result.report = recipe.report;
+  result.code = {
+    code: recipe.code,
+    filename: recipe.filename,
+    explanation: recipe.explanation,
+    verification: recipe.verification,
+    format: recipe.format,
+  };
+  result.meta.recipe = { id: recipe.id, replayed: true };
+  return true;
+}
+
+async function runPipeline({ apiKey, files, prompt, expected, recipe, session, llm, onEvent, signal }) {
   const result = {
+    inputs: hashInputs(files),
+    fingerprint: null,
     report: null,
     code: null,
     output: null,
     verification: null,
-    meta: { explore: null, codegen: null },
+    selfCheck: null,
+    meta: { explore: null, codegen: null, recipe: null },
   };
 
-  // Phase 1: Explore
-  onEvent?.({ phase: 'exploring', status: 'started' });
-  const exploration = await explore({
-    apiKey, files, prompt, signal,
-    onTurn: (turn) => onEvent?.({ phase: 'exploring', ...turn }),
-  });
-  result.report = exploration.report;
-  result.meta.explore = exploration.meta;
-  onEvent?.({ phase: 'exploring', status: 'complete', turns: exploration.meta.turns });
-
-  // Phase 2: Generate code
-  onEvent?.({ phase: 'codegen', status: 'started' });
-  const codeResult = await codegen({
-    apiKey, prompt, report: exploration.report, signal,
-    onAttempt: (info) => onEvent?.({ phase: 'codegen', ...info }),
-  });
-  result.code = codeResult;
-  result.meta.codegen = codeResult.meta;
-  onEvent?.({ phase: 'codegen', status: 'complete', attempts: codeResult.meta.attempts });
-
-  // Phase 3: Execute
-  onEvent?.({ phase: 'executing', status: 'started' });
-  const output = await execute(codeResult.code, files);
-  result.output = output;
-  onEvent?.({ phase: 'executing', status: 'complete', size: output.buffer.length });
-
-  // Phase 4: Verify (optional — only if expected is provided)
-  if (expected) {
-    onEvent?.({ phase: 'verifying', status: 'started' });
-    result.verification = await verifyOutput(output.buffer, expected);
-    onEvent?.({ phase: 'verifying', status: 'complete', pass: result.verification.pass });
+  // On failure or cancellation, err.meta reports the tokens spent so far
+  let stage = null;
+  try {
+    // Normalize inputs to xlsx. Sessions hash the uploads as sent.
+    files = ingestFiles(files);
+    result.fingerprint = fingerprintFiles(files);
+
+    // Phase 0: Recipe replay — skips Phases 1–2 when the inputs match
+    const replayed = recipe && await replayRecipe(recipe, files, { onEvent, result, signal });
+    if (recipe && !replayed) {
+      if (!apiKey && requiresApiKey(llm)) throw new Error('Input files do not match the recipe and no API key was given for a full run');
+      prompt = prompt || recipe.prompt;
+      result.meta.recipe = { id: recipe.id, replayed: false };
+    }
+
+    if (!replayed) {
+      // Phase 1: Explore — in a session, only files that are new or changed
+      stage = 'explore';
+      const { unchanged, changed } = diffInputs(session, result.inputs);
+      const known = unchanged.length ? { files: unchanged, report: pickReport(session.report, unchanged) } : null;
+      if (known && !changed.length) {
+        result.report = known.report;
+        onEvent?.({ phase: 'exploring', status: 'skipped', reason: 'No new or changed files since the last run' });
+      } else {
+        onEvent?.({ phase: 'exploring', status: 'started', ...resolveModel('explore', llm), files: changed });
+        const exploration = await explore({
+          apiKey, files, prompt, known, llm, signal,
+          onTurn: (turn) => onEvent?.({ phase: 'exploring', ...turn }),
+        });
+        result.report = known ? mergeReports(known.report, exploration.report) : exploration.report;
+        result.meta.explore = exploration.meta;
+        onEvent?.({ phase: 'exploring', status: 'complete', turns: exploration.meta.turns });
+      }
+
+      // Phase 2+3: Generate code and execute it. Execution failures go back to
+      // codegen as tool results, so each retry is a codegen + executing round.
+      stage = 'codegen';
+      onEvent?.({ phase: 'codegen', status: 'started', ...resolveModel('codegen', llm) });
+      const codeResult = await codegen({
+        apiKey, prompt, report: result.report, history: session?.history, llm, signal,
+        onAttempt: (info) => onEvent?.({ phase: 'codegen', ...info }),
+        onDelta: (delta) => onEvent?.({ phase: 'codegen', ...delta }),
+        runCode: (candidate, attemptInfo) => runCandidate(candidate, files, { ...attemptInfo, onEvent, result, signal }),
+      });
+      const { output, ...code } = codeResult;
+      result.code = code;
+      result.output = output;
+      result.meta.codegen = codeResult.meta;
+      onEvent?.({ phase: 'codegen', status: 'complete', attempts: codeResult.meta.attempts });
+    }
+
+    // Phase 4: Verify against an eval's expected output; live runs keep the self-check
+    if (expected) {
+      onEvent?.({ phase: 'verifying', status: 'started' });
+      result.verification = await verifyOutput(result.output.workbook || result.output.buffer, expected);
+      onEvent?.({ phase: 'verifying', status: 'complete', pass: result.verification.pass });
+    } else {
+      result.verification = result.selfCheck;
+    }
+  } catch (err) {
+    if (stage && err.meta) result.meta[stage] = err.meta;
+    err.meta = result.meta;
+    throw err;
   }
 
   return result;
 }
 
+// Token totals from pipeline meta, for cancelled or failed runs
+function tokensSpent(meta) {
+  const phases = [meta?.explore, meta?.codegen].filter(Boolean);
+  return {
+    input: phases.reduce((sum, m) => sum + (m.inputTokens || 0), 0),
+    output: phases.reduce((sum, m) => sum + (m.outputTokens || 0), 0),
+  };
+}
+
 // Re-export individual modules for direct use
 module.exports = {
   runPipeline,
@@ -58,4 +184,10 @@ module.exports = {
   codegen,
   execute,
   verifyOutput,
+  diffWorkbooks,
+  fingerprintFiles,
+  matchFingerprint,
+  resolveModel,
+  requiresApiKey,
+  tokensSpent,
 };
@@ -0,0 +1,190 @@
+// Input ingestion: every uploaded file becomes an xlsx workbook before the
+// exploration tools or the sandbox see it. Delimited text is decoded and parsed
+// here (encoding, delimiter, quote and decimal separator are detected) instead
+// of by SheetJS, which assumes UTF-8 and commas. Legacy .xls, ODS and HTML
+// tables are read by SheetJS and rewritten as xlsx.
+
+const XLSX = require('xlsx');
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const SAMPLE_LINES = 50;
+const SAMPLE_BYTES = 4096;
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04;
+}
+
+// OLE compound file: legacy .xls (BIFF)
+function isCfb(buffer) {
+  return buffer.length >= 8 && buffer.readUInt32BE(0) === 0xd0cf11e0 && buffer.readUInt32BE(4) === 0xa1b11ae1;
+}
+
+function sniffFormat(buffer) {
+  if (isZip(buffer)) return buffer.includes('[Content_Types].xml') ? 'xlsx' : 'ods';
+  if (isCfb(buffer)) return 'xls';
+  return 'text';
+}
+
+// BOM first, then UTF-16 by its NUL bytes, then strict UTF-8; anything else is
+// taken as Windows-1252, the usual encoding of Excel's "CSV" export
+function detectEncoding(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return { encoding: 'utf-8', bom: 3 };
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return { encoding: 'utf-16le', bom: 2 };
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return { encoding: 'utf-16be', bom: 2 };
+
+  const sample = buffer.subarray(0, SAMPLE_BYTES);
+  let evenNuls = 0, oddNuls = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) { if (i % 2) oddNuls++; else evenNuls++; }
+  }
+  const half = sample.length / 2;
+  if (oddNuls > half * 0.3 && evenNuls < half * 0.05) return { encoding: 'utf-16le', bom: 0 };
+  if (evenNuls > half * 0.3 && oddNuls < half * 0.05) return { encoding: 'utf-16be', bom: 0 };
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return { encoding: 'utf-8', bom: 0 };
+  } catch {
+    return { encoding: 'windows-1252', bom: 0 };
+  }
+}
+
+function decodeText(buffer) {
+  const { encoding, bom } = detectEncoding(buffer);
+  return { encoding, text: new TextDecoder(encoding).decode(buffer.subarray(bom)) };
+}
+
+// RFC 4180 style: quoted fields may hold delimiters, newlines and doubled quotes
+function parseDelimited(text, delimiter, quote, maxRows = Infinity) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  while (i < text.length && rows.length < maxRows) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === quote && text[i + 1] === quote) { field += quote; i += 2; continue; }
+      if (ch === quote) { quoted = false; i++; continue; }
+      field += ch;
+      i++;
+      continue;
+    }
+    if (ch === quote && field === '') { quoted = true; i++; continue; }
+    if (ch === delimiter) { row.push(field); field = ''; i++; continue; }
+    if (ch === '\r' || ch === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      i += ch === '\r' && text[i + 1] === '\n' ? 2 : 1;
+      continue;
+    }
+    field += ch;
+    i++;
+  }
+  if (rows.length < maxRows && (field !== '' || row.length)) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// The delimiter that splits the sample into the most consistent field count
+// (more than one field); the quote character is the one that opens fields
+function detectDialect(text) {
+  const sample = text.slice(0, SAMPLE_BYTES * 4);
+  const quote = detectQuote(sample);
+  let best = { delimiter: null, score: 0, fields: 1 };
+  for (const delimiter of DELIMITERS) {
+    const rows = parseDelimited(sample, delimiter, quote, SAMPLE_LINES)
+      .filter(r => r.some(v => v !== ''));
+    if (rows.length > 1 && rows.length === SAMPLE_LINES) rows.pop(); // may be cut off
+    const counts = new Map();
+    for (const r of rows) counts.set(r.length, (counts.get(r.length) || 0) + 1);
+    let mode = 1, modeCount = 0;
+    for (const [n, c] of counts) if (c > modeCount || (c === modeCount && n > mode)) { mode = n; modeCount = c; }
+    if (mode < 2) continue;
+    const score = modeCount / rows.length;
+    if (score > best.score || (score === best.score && mode > best.fields)) best = { delimiter, score, fields: mode };
+  }
+  return { delimiter: best.delimiter, quote };
+}
+
+function detectQuote(sample) {
+  const opens = (q) => (sample.match(new RegExp(`(^|[\\n,;\\t|])${q}`, 'g')) || []).length;
+  return opens("'") > opens('"') ? "'" : '"';
+}
+
+// Votes from unambiguous numbers only: "1,234" could be either convention
+function detectDecimal(rows) {
+  let comma = 0, dot = 0;
+  for (const row of rows.slice(1, SAMPLE_LINES * 10)) {
+    for (const v of row) {
+      const s = v.trim();
+      if (/^[-+]?\d{1,3}(\.\d{3})+,\d+$/.test(s) || /^[-+]?\d+,(\d{1,2}|\d{4,})$/.test(s)) comma++;
+      else if (/^[-+]?\d{1,3}(,\d{3})+\.\d+$/.test(s) || /^[-+]?\d+\.(\d{1,2}|\d{4,})$/.test(s)) dot++;
+    }
+  }
+  return comma > dot ? ',' : '.';
+}
+
+function numberPattern(decimal) {
+  const group = decimal === ',' ? '[. \\u00a0]' : '[, \\u00a0]';
+  const d = decimal === ',' ? ',' : '\\.';
+  return new RegExp(`^[-+]?(\\d{1,3}(${group}\\d{3})+|\\d+)(${d}\\d+)?$`);
+}
+
+// Text → number, boolean or ISO date; everything else stays a string. Numbers
+// with leading zeros (IDs, zip codes) stay strings too.
+function typeCell(value, decimal, pattern) {
+  const s = value.trim();
+  if (s === '') return null;
+  if (pattern.test(s) && !/^[-+]?0\d/.test(s)) {
+    const digits = decimal === ',' ? s.replace(/[. \u00a0]/g, '').replace(',', '.') : s.replace(/[, \u00a0]/g, '');
+    return Number(digits);
+  }
+  if (/^(true|false)$/i.test(s)) return s.toLowerCase() === 'true';
+  const date = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (date) {
+    const [, y, m, d, hh, mm, ss] = date.map(v => Number(v || 0));
+    return new Date(y, m - 1, d, hh, mm, ss);
+  }
+  return value;
+}
+
+function readDelimited(text, encoding) {
+  const { delimiter, quote } = detectDialect(text);
+  const raw = parseDelimited(text, delimiter, quote);
+  const decimal = detectDecimal(raw);
+  const pattern = numberPattern(decimal);
+  const rows = raw.map(r => r.map(v => typeCell(v, decimal, pattern)));
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+  const detected = { format: delimiter === '\t' ? 'tsv' : 'csv', encoding, delimiter, quote, decimal };
+  return { wb, detected };
+}
+
+// Parse any supported input: { wb, detected } where detected.format is the
+// source format plus, for delimited text, the detected dialect
+function readInput(buffer) {
+  const format = sniffFormat(buffer);
+  if (format !== 'text') return { wb: XLSX.read(buffer, { type: 'buffer' }), detected: { format } };
+  // HTML tables and SpreadsheetML saved with an .xls extension
+  const { encoding, text } = decodeText(buffer);
+  if (/^\s*</.test(text)) return { wb: XLSX.read(text, { type: 'string' }), detected: { format: 'markup', encoding } };
+  return readDelimited(text, encoding);
+}
+
+// Normalize uploads to xlsx buffers. xlsx files pass through untouched; the
+// rest carry `detected` so list_files can report how they were read.
+function ingestFiles(files) {
+  return files.map(f => {
+    if (sniffFormat(f.buffer) === 'xlsx') return { ...f, detected: { format: 'xlsx' } };
+    const { wb, detected } = readInput(f.buffer);
+    return { ...f, buffer: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }), detected };
+  });
+}
+
+module.exports = { readInput, ingestFiles };
@@ -0,0 +1,108 @@
+// Key matching for compare_keys and the workbook diff: key collection with
+// optional normalization, composite keys, set overlap, and fuzzy candidate
+// pairings for keys that still don't match.
+
+// Applied in this order; `auto` tries them cumulatively
+const NORMALIZATIONS = ['numeric', 'case', 'punctuation', 'leading_zeros'];
+const COMPOSITE_SEPARATOR = ' | ';
+const MAX_FUZZY_KEYS = 50; // unmatched file1 keys to find candidates for
+const MAX_FUZZY_POOL = 2000; // unmatched file2 keys searched
+const MIN_FUZZY_SCORE = 0.6;
+
+function normalizeKey(value, steps = []) {
+  let s = String(value).trim();
+  if (steps.includes('numeric') && /^[-+]?\d+(\.\d+)?$/.test(s)) s = String(Number(s));
+  if (steps.includes('case')) s = s.toLowerCase();
+  if (steps.includes('punctuation')) s = s.replace(/[\s\p{P}\p{S}]+/gu, '');
+  if (steps.includes('leading_zeros')) s = s.replace(/(^|\D)0+(?=\d)/g, '$1');
+  return s;
+}
+
+// Normalized key → first original value, from one column or several joined
+// (composite keys). Rows with any empty key part are skipped.
+function collectKeyMap(rows, cols, startRow = 0, steps = []) {
+  const columns = Array.isArray(cols) ? cols : [cols];
+  const keys = new Map();
+  for (let r = startRow; r < rows.length; r++) {
+    const row = rows[r] || [];
+    const parts = columns.map(c => row[c]);
+    if (parts.some(v => v === null || v === undefined || !String(v).trim())) continue;
+    const key = parts.map(v => normalizeKey(v, steps)).join(COMPOSITE_SEPARATOR);
+    if (!keys.has(key)) keys.set(key, parts.map(v => String(v).trim()).join(COMPOSITE_SEPARATOR));
+  }
+  return keys;
+}
+
+// Key set of one column (or several) from startRow down; trimmed, then normalized
+function collectKeys(rows, col, startRow = 0, steps = []) {
+  return new Set(collectKeyMap(rows, col, startRow, steps).keys());
+}
+
+// Overlap between two key sets, as reported by compare_keys
+function compareKeySets(keys1, keys2) {
+  let shared = 0;
+  const only1 = [];
+  for (const k of keys1) { if (keys2.has(k)) shared++; else only1.push(k); }
+  const only2 = [];
+  for (const k of keys2) { if (!keys1.has(k)) only2.push(k); }
+  return { shared, only1, only2 };
+}
+
+// The first cumulative set of normalization steps that reaches the best overlap
+function autoNormalize(rows1, cols1, start1, rows2, cols2, start2) {
+  let best = null;
+  for (let n = 0; n <= NORMALIZATIONS.length; n++) {
+    const steps = NORMALIZATIONS.slice(0, n);
+    const keys1 = collectKeyMap(rows1, cols1, start1, steps);
+    const keys2 = collectKeyMap(rows2, cols2, start2, steps);
+    const { shared } = compareKeySets(new Set(keys1.keys()), new Set(keys2.keys()));
+    if (!best || shared > best.shared) best = { steps, shared };
+  }
+  return best.steps;
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+function tokens(s) {
+  return new Set(s.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+}
+
+// Best of edit-distance similarity and token overlap (Jaccard), on
+// case-folded keys
+function similarity(a, b) {
+  const x = a.toLowerCase(), y = b.toLowerCase();
+  const edit = 1 - editDistance(x, y) / Math.max(x.length, y.length, 1);
+  const t1 = tokens(a), t2 = tokens(b);
+  let common = 0;
+  for (const t of t1) if (t2.has(t)) common++;
+  const union = t1.size + t2.size - common;
+  const token = union ? common / union : 0;
+  return edit >= token ? { score: edit, method: 'edit_distance' } : { score: token, method: 'tokens' };
+}
+
+// Best candidate in only2 for each key in only1, highest scores first
+function fuzzyCandidates(only1, only2, display1, display2) {
+  const pool = only2.slice(0, MAX_FUZZY_POOL);
+  const pairs = [];
+  for (const k1 of only1.slice(0, MAX_FUZZY_KEYS)) {
+    let best = null;
+    for (const k2 of pool) {
+      const match = similarity(display1.get(k1), display2.get(k2));
+      if (!best || match.score > best.score) best = { key1: display1.get(k1), key2: display2.get(k2), ...match };
+    }
+    if (best && best.score >= MIN_FUZZY_SCORE) pairs.push({ ...best, score: Math.round(best.score * 100) / 100 });
+  }
+  return pairs.sort((a, b) => b.score - a.score);
+}
+
+module.exports = { NORMALIZATIONS, normalizeKey, collectKeyMap, collectKeys, compareKeySets, autoNormalize, fuzzyCandidates };
@@ -0,0 +1,147 @@
+// Sheet layout for the describe_layout tool: merges, frozen panes, hidden
+// rows/columns, column widths and number formats, comments and defined names.
+// The tools' workbooks are parsed for values only, so this re-reads a file
+// with styles and number formats. SheetJS doesn't expose frozen panes; they
+// come from the sheet XML.
+
+const XLSX = require('xlsx');
+
+const MAX_LAYOUT_ITEMS = 30;
+
+function readLayoutWorkbook(buffer) {
+  let zip = null;
+  try { zip = XLSX.CFB.read(buffer, { type: 'buffer' }); } catch { /* not a zip */ }
+  return { wb: XLSX.read(buffer, { type: 'buffer', cellStyles: true, cellNF: true }), zip };
+}
+
+function zipText(zip, name) {
+  const entry = zip && XLSX.CFB.find(zip, '/' + name);
+  return entry ? Buffer.from(entry.content).toString('utf-8') : null;
+}
+
+function unescapeXml(s) {
+  return s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+// Sheet XML path via workbook.xml and its rels
+function sheetXmlPath(zip, sheetName) {
+  const workbookXml = zipText(zip, 'xl/workbook.xml');
+  const relsXml = zipText(zip, 'xl/_rels/workbook.xml.rels');
+  if (!workbookXml || !relsXml) return null;
+  const sheet = [...workbookXml.matchAll(/<sheet\b[^>]*>/g)]
+    .map(m => m[0])
+    .find(tag => unescapeXml(tag.match(/\bname="([^"]*)"/)?.[1] || '') === sheetName);
+  const rid = sheet?.match(/\br:id="([^"]*)"/)?.[1];
+  const rel = rid && [...relsXml.matchAll(/<Relationship\b[^>]*>/g)].map(m => m[0]).find(tag => tag.includes(`Id="${rid}"`));
+  const target = rel?.match(/\bTarget="([^"]*)"/)?.[1];
+  if (!target) return null;
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+function readFrozenPanes(zip, sheetName) {
+  const path = sheetXmlPath(zip, sheetName);
+  const xml = path && zipText(zip, path);
+  const pane = xml?.match(/<pane\b[^>]*>/)?.[0];
+  if (!pane || !/state="frozen(Split)?"/.test(pane)) return null;
+  return {
+    rows: Number(pane.match(/\bySplit="([\d.]+)"/)?.[1] || 0),
+    cols: Number(pane.match(/\bxSplit="([\d.]+)"/)?.[1] || 0),
+  };
+}
+
+// Per column: cell type counts and the non-General number formats in use
+function columnFormats(ws, range) {
+  const columns = [];
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    const types = {};
+    const formats = new Set();
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const cell = ws[XLSX.utils.encode_cell({ r, c })];
+      if (!cell || cell.t === 'z') continue;
+      types[cell.t] = (types[cell.t] || 0) + 1;
+      if (cell.z && cell.z !== 'General') formats.add(String(cell.z));
+    }
+    if (!formats.size) continue;
+    const list = [...formats];
+    columns.push({
+      column: c,
+      letter: XLSX.utils.encode_col(c),
+      types,
+      formats: list.slice(0, 5),
+      date: list.some(z => XLSX.SSF.is_date(z)),
+    });
+  }
+  return columns;
+}
+
+function describeLayout({ wb, zip }, sheetName) {
+  const ws = wb.Sheets[sheetName];
+  const range = XLSX.utils.decode_range(ws['!ref'] || 'A1');
+  const merges = (ws['!merges'] || []).map(m => XLSX.utils.encode_range(m));
+
+  const hiddenRows = [];
+  (ws['!rows'] || []).forEach((row, r) => { if (row?.hidden) hiddenRows.push(r); });
+  const hiddenColumns = [];
+  const columnWidths = [];
+  (ws['!cols'] || []).forEach((col, c) => {
+    if (!col) return;
+    if (col.hidden) hiddenColumns.push({ column: c, letter: XLSX.utils.encode_col(c) });
+    else if (col.wch) columnWidths.push({ column: c, letter: XLSX.utils.encode_col(c), width: col.wch });
+  });
+
+  const comments = [];
+  for (const addr of Object.keys(ws)) {
+    if (addr[0] === '!' || !ws[addr].c) continue;
+    for (const note of ws[addr].c) comments.push({ cell: addr, author: note.a || null, text: note.t || '' });
+  }
+
+  // Names scoped to this sheet, plus workbook names that point into it
+  const sheetIndex = wb.SheetNames.indexOf(sheetName);
+  const quoted = `'${sheetName.replace(/'/g, "''")}'!`;
+  const definedNames = (wb.Workbook?.Names || [])
+    .filter(n => n.Sheet === sheetIndex
+      || (n.Sheet === undefined && (String(n.Ref).includes(`${sheetName}!`) || String(n.Ref).includes(quoted))))
+    .map(n => ({ name: n.Name, ref: n.Ref, scope: n.Sheet === undefined ? 'workbook' : 'sheet' }));
+
+  return {
+    sheet: sheetName,
+    range: ws['!ref'] || null,
+    merges: merges.slice(0, MAX_LAYOUT_ITEMS),
+    merge_count: merges.length,
+    frozen: readFrozenPanes(zip, sheetName),
+    hidden_rows: hiddenRows.slice(0, MAX_LAYOUT_ITEMS),
+    hidden_columns: hiddenColumns,
+    column_widths: columnWidths,
+    column_formats: columnFormats(ws, range),
+    comments: comments.slice(0, MAX_LAYOUT_ITEMS),
+    defined_names: definedNames.slice(0, MAX_LAYOUT_ITEMS),
+  };
+}
+
+// One-line observations for a report's `notable` list
+function layoutNotes(layout) {
+  const notes = [];
+  const list = (items, total) => items.join(', ') + (total > items.length ? `, ... (${total} total)` : '');
+  if (layout.merge_count) notes.push(`Merged cells: ${list(layout.merges.slice(0, 10), layout.merge_count)}`);
+  if (layout.frozen) {
+    const parts = [];
+    if (layout.frozen.rows) parts.push(`top ${layout.frozen.rows} row(s)`);
+    if (layout.frozen.cols) parts.push(`first ${layout.frozen.cols} column(s)`);
+    if (parts.length) notes.push(`Frozen panes: ${parts.join(' and ')}`);
+  }
+  if (layout.hidden_rows.length) notes.push(`Hidden rows (0-indexed): ${layout.hidden_rows.join(', ')}`);
+  if (layout.hidden_columns.length) notes.push(`Hidden columns: ${layout.hidden_columns.map(c => c.letter).join(', ')}`);
+  const dates = layout.column_formats.filter(c => c.date);
+  if (dates.length) {
+    notes.push(`Date-formatted columns (values are Excel serials): ${dates.map(c => `${c.letter} (${c.formats.find(z => XLSX.SSF.is_date(z))})`).join(', ')}`);
+  }
+  for (const c of layout.comments.slice(0, 5)) {
+    notes.push(`Comment on ${c.cell}${c.author ? ` by ${c.author}` : ''}: ${JSON.stringify(c.text.slice(0, 100))}`);
+  }
+  if (layout.defined_names.length) {
+    notes.push(`Defined names: ${layout.defined_names.map(n => `${n.name} = ${n.ref}`).join(', ')}`);
+  }
+  return notes;
+}
+
+module.exports = { readLayoutWorkbook, describeLayout, layoutNotes };
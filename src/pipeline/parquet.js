@@ -0,0 +1,201 @@
+// Minimal Parquet writer for tabular output: one row group, one uncompressed
+// PLAIN-encoded data page per column, optional (nullable) flat columns.
+// Column types are inferred: all numbers → DOUBLE, all booleans → BOOLEAN,
+// all Dates → INT64 TIMESTAMP_MILLIS, anything else → UTF-8 string (dates as
+// ISO text). Metadata is Thrift compact protocol.
+
+const TYPE = { BOOLEAN: 0, INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6 };
+const CONVERTED_UTF8 = 0;
+const CONVERTED_TIMESTAMP_MILLIS = 9;
+const REPETITION_OPTIONAL = 1;
+const ENCODING_PLAIN = 0;
+const ENCODING_RLE = 3;
+const CODEC_UNCOMPRESSED = 0;
+const PAGE_DATA = 0;
+
+// Thrift compact protocol field types
+const CT = { I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+function varint(out, n) {
+  while (n >= 0x80) {
+    out.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  out.push(n);
+}
+
+function zigzag(n) {
+  return n >= 0 ? n * 2 : -n * 2 - 1;
+}
+
+// Struct as [[fieldId, type, value], ...]; nested structs and lists of structs
+// are given as field arrays too
+function writeStruct(out, fields) {
+  let lastId = 0;
+  for (const [id, type, value] of fields) {
+    if (value === undefined) continue;
+    const delta = id - lastId;
+    if (delta > 0 && delta <= 15) out.push((delta << 4) | type);
+    else { out.push(type); varint(out, zigzag(id)); }
+    lastId = id;
+    writeValue(out, type, value);
+  }
+  out.push(0);
+}
+
+function writeValue(out, type, value) {
+  switch (type) {
+    case CT.I32:
+    case CT.I64:
+      varint(out, zigzag(value));
+      break;
+    case CT.BINARY: {
+      const bytes = Buffer.from(value, 'utf-8');
+      varint(out, bytes.length);
+      out.push(...bytes);
+      break;
+    }
+    case CT.STRUCT:
+      writeStruct(out, value);
+      break;
+    case CT.LIST: {
+      const [elemType, items] = value;
+      if (items.length < 15) out.push((items.length << 4) | elemType);
+      else { out.push(0xf0 | elemType); varint(out, items.length); }
+      for (const item of items) writeValue(out, elemType, item);
+      break;
+    }
+    default:
+      throw new Error(`Unsupported thrift type ${type}`);
+  }
+}
+
+function thrift(fields) {
+  const out = [];
+  writeStruct(out, fields);
+  return Buffer.from(out);
+}
+
+function inferType(values) {
+  const present = values.filter(v => v !== null && v !== undefined && v !== '');
+  if (present.length && present.every(v => typeof v === 'number' && Number.isFinite(v))) return TYPE.DOUBLE;
+  if (present.length && present.every(v => typeof v === 'boolean')) return TYPE.BOOLEAN;
+  if (present.length && present.every(v => v instanceof Date && !isNaN(v))) return TYPE.INT64;
+  return TYPE.BYTE_ARRAY;
+}
+
+// Definition levels (bit width 1) as a single bit-packed run, length-prefixed
+function encodeDefinitionLevels(defined) {
+  const groups = Math.ceil(defined.length / 8);
+  const body = [];
+  varint(body, (groups << 1) | 1);
+  for (let g = 0; g < groups; g++) {
+    let byte = 0;
+    for (let i = 0; i < 8; i++) if (defined[g * 8 + i]) byte |= 1 << i;
+    body.push(byte);
+  }
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt32LE(body.length);
+  return Buffer.concat([prefix, Buffer.from(body)]);
+}
+
+function encodeValues(type, values) {
+  if (type === TYPE.DOUBLE) {
+    const buf = Buffer.alloc(values.length * 8);
+    values.forEach((v, i) => buf.writeDoubleLE(v, i * 8));
+    return buf;
+  }
+  if (type === TYPE.INT64) {
+    const buf = Buffer.alloc(values.length * 8);
+    values.forEach((v, i) => buf.writeBigInt64LE(BigInt(v.getTime()), i * 8));
+    return buf;
+  }
+  if (type === TYPE.BOOLEAN) {
+    const buf = Buffer.alloc(Math.ceil(values.length / 8));
+    values.forEach((v, i) => { if (v) buf[i >> 3] |= 1 << (i & 7); });
+    return buf;
+  }
+  return Buffer.concat(values.map(v => {
+    const bytes = Buffer.from(v instanceof Date && !isNaN(v) ? v.toISOString() : String(v), 'utf-8');
+    const len = Buffer.alloc(4);
+    len.writeUInt32LE(bytes.length);
+    return Buffer.concat([len, bytes]);
+  }));
+}
+
+// columns: header names; rows: arrays of cell values in column order
+function writeParquet(columns, rows) {
+  if (!columns.length) throw new Error('Parquet output needs at least one column');
+  const names = columns.map((c, i) => (c === null || c === undefined || c === '' ? `column_${i + 1}` : String(c)));
+  const chunks = [Buffer.from('PAR1')];
+  let offset = 4;
+  const columnMeta = [];
+
+  names.forEach((name, c) => {
+    const cells = rows.map(row => row[c]);
+    const type = inferType(cells);
+    const defined = cells.map(v => v !== null && v !== undefined && v !== '');
+    const values = cells.filter((v, i) => defined[i]);
+    const page = Buffer.concat([encodeDefinitionLevels(defined), encodeValues(type, values)]);
+    const header = thrift([
+      [1, CT.I32, PAGE_DATA],
+      [2, CT.I32, page.length],
+      [3, CT.I32, page.length],
+      [5, CT.STRUCT, [
+        [1, CT.I32, rows.length],
+        [2, CT.I32, ENCODING_PLAIN],
+        [3, CT.I32, ENCODING_RLE],
+        [4, CT.I32, ENCODING_RLE],
+      ]],
+    ]);
+    const size = header.length + page.length;
+    columnMeta.push({ name, type, offset, size });
+    chunks.push(header, page);
+    offset += size;
+  });
+
+  const schema = [
+    [[4, CT.BINARY, 'schema'], [5, CT.I32, names.length]],
+    ...columnMeta.map(col => [
+      [1, CT.I32, col.type],
+      [3, CT.I32, REPETITION_OPTIONAL],
+      [4, CT.BINARY, col.name],
+      [6, CT.I32, col.type === TYPE.BYTE_ARRAY ? CONVERTED_UTF8 : col.type === TYPE.INT64 ? CONVERTED_TIMESTAMP_MILLIS : undefined],
+    ]),
+  ];
+  const footer = thrift([
+    [1, CT.I32, 1],
+    [2, CT.LIST, [CT.STRUCT, schema]],
+    [3, CT.I64, rows.length],
+    [4, CT.LIST, [CT.STRUCT, [[
+      [1, CT.LIST, [CT.STRUCT, columnMeta.map(col => [
+        [2, CT.I64, col.offset],
+        [3, CT.STRUCT, [
+          [1, CT.I32, col.type],
+          [2, CT.LIST, [CT.I32, [ENCODING_PLAIN, ENCODING_RLE]]],
+          [3, CT.LIST, [CT.BINARY, [col.name]]],
+          [4, CT.I32, CODEC_UNCOMPRESSED],
+          [5, CT.I64, rows.length],
+          [6, CT.I64, col.size],
+          [7, CT.I64, col.size],
+          [9, CT.I64, col.offset],
+        ]],
+      ])]],
+      [2, CT.I64, offset - 4],
+      [3, CT.I64, rows.length],
+    ]]]],
+    [6, CT.BINARY, 'excelius'],
+  ]);
+  const footerLength = Buffer.alloc(4);
+  footerLength.writeUInt32LE(footer.length);
+  chunks.push(footer, footerLength, Buffer.from('PAR1'));
+  return Buffer.concat(chunks);
+}
+
+function isParquet(buffer) {
+  return buffer.length >= 12
+    && buffer.subarray(0, 4).toString() === 'PAR1'
+    && buffer.subarray(buffer.length - 4).toString() === 'PAR1';
+}
+
+module.exports = { writeParquet, isParquet };
@@ -0,0 +1,165 @@
+// Column profiles for get_column_stats: inferred semantic type, numeric and
+// date statistics, frequencies, whitespace and mixed-type examples.
+// Semantic types come from the values plus each cell's formatted text (`w`),
+// which carries the number format: "$5.00", "12%", "1/5/24".
+
+const XLSX = require('xlsx');
+const { MAX_UNIQUE_VALUES } = require('./constants');
+
+const SEMANTIC_THRESHOLD = 0.9; // share of non-empty values that must agree
+const TOP_VALUES = 10;
+const COMPACT_TOP_VALUES = 3;
+const MAX_EXAMPLES = 3;
+
+const EMAIL = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+const BOOLEAN_TEXT = /^(true|false|yes|no|y|n)$/i;
+const CURRENCY_TEXT = /^[-+(]?\s*[$€£¥]\s*[-+]?[\d,.\s]+\)?$|^[-+]?[\d,.\s]+\s*[$€£¥]$/;
+const PERCENT_TEXT = /^[-+]?[\d,.]+\s*%$/;
+const DATE_TEXT = /^\d{4}-\d{1,2}-\d{1,2}|^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}(\s|$)|^\d{1,2}[- ][A-Za-z]{3}[- ]\d{2,4}/;
+const NUMERIC_TEXT = /^[-+]?[\d,.\s]*\d[\d,.\s]*$/;
+
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+// Excel serial → ISO date
+function serialToIso(serial) {
+  return new Date(Math.round((serial - 25569) * 86400000)).toISOString().slice(0, 10);
+}
+
+// Digits → 9, letters → A: "INV-0042" → "AAA-9999"
+function shapeOf(value) {
+  return String(value).replace(/[0-9]/g, '9').replace(/[A-Za-z]/g, 'A');
+}
+
+// What a single value looks like, from its raw value and formatted text
+function classify(value, text) {
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') {
+    if (text && /[$€£¥]/.test(text)) return 'currency';
+    if (text && text.trim().endsWith('%')) return 'percentage';
+    if (text && text !== String(value) && DATE_TEXT.test(text.trim())) return 'date';
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  const s = String(value).trim();
+  if (EMAIL.test(s)) return 'email';
+  if (BOOLEAN_TEXT.test(s)) return 'boolean';
+  if (CURRENCY_TEXT.test(s)) return 'currency';
+  if (PERCENT_TEXT.test(s)) return 'percentage';
+  if (DATE_TEXT.test(s)) return 'date';
+  return 'text';
+}
+
+function numericStats(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  const mid = Math.floor(sorted.length / 2);
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: round(mean),
+    median: sorted.length % 2 ? sorted[mid] : round((sorted[mid - 1] + sorted[mid]) / 2),
+    stddev: round(Math.sqrt(variance)),
+  };
+}
+
+// Semantic type: the class most values share, refined into ID when the values
+// are unique and share one shape; 'mixed' when no class reaches the threshold
+function inferSemanticType(classes, values, distinct) {
+  const total = values.length;
+  if (!total) return { type: 'empty' };
+  const [top, count] = Object.entries(classes).sort((a, b) => b[1] - a[1])[0];
+  const numeric = (classes.integer || 0) + (classes.number || 0);
+  let type = count / total >= SEMANTIC_THRESHOLD ? top : null;
+  if (!type && numeric / total >= SEMANTIC_THRESHOLD) type = 'number';
+  if (!type) return { type: 'mixed' };
+
+  if ((type === 'text' || type === 'integer') && distinct === total && total > 1) {
+    const shapes = {};
+    for (const v of values) shapes[shapeOf(v)] = (shapes[shapeOf(v)] || 0) + 1;
+    const [shape, shapeCount] = Object.entries(shapes).sort((a, b) => b[1] - a[1])[0];
+    const hasDigits = /9/.test(shape);
+    const sameShape = shapeCount / total >= SEMANTIC_THRESHOLD;
+    // Unique integers are only IDs when they're fixed-width codes, not amounts
+    if (sameShape && hasDigits && (type === 'text' || shape.length >= 4)) return { type: 'id', pattern: shape };
+  }
+  return { type };
+}
+
+// Profile one column. `cellText(r)` returns row r's formatted text in the
+// column, if any. compact trims the profile for batch mode.
+function profileColumn(rows, col, { startRow = 0, header = null, cellText = () => null, compact = false } = {}) {
+  const types = {};
+  const classes = {};
+  const counts = new Map();
+  const values = [];
+  const numbers = [];
+  const dates = [];
+  const examples = {};
+  let empty = 0, leading = 0, trailing = 0, numericStrings = 0;
+
+  for (let r = startRow; r < rows.length; r++) {
+    const v = (rows[r] || [])[col];
+    if (v === null || v === undefined || v === '') { empty++; continue; }
+    values.push(v);
+    const type = typeof v;
+    types[type] = (types[type] || 0) + 1;
+    if (!examples[type]) examples[type] = [];
+    if (examples[type].length < MAX_EXAMPLES) examples[type].push({ row: r, value: v });
+
+    const cls = classify(v, cellText(r));
+    classes[cls] = (classes[cls] || 0) + 1;
+    if (type === 'number') (cls === 'date' ? dates : numbers).push(v);
+    if (type === 'string') {
+      if (/^\s/.test(v)) leading++;
+      if (/\s$/.test(v)) trailing++;
+      if (NUMERIC_TEXT.test(v.trim())) numericStrings++;
+    }
+    const key = String(v);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const distinct = counts.size;
+  const semantic = inferSemanticType(classes, values, distinct);
+  const ranked = [...counts].sort((a, b) => b[1] - a[1]);
+  const profile = {
+    column: col,
+    ...(header !== null && { header }),
+    from_row: startRow,
+    semantic_type: semantic.type,
+    ...(semantic.pattern && { id_pattern: semantic.pattern }),
+    non_empty: values.length,
+    empty,
+    distinct_count: distinct,
+    types,
+  };
+  // Frequencies only say something when values repeat
+  if (ranked.length && ranked[0][1] > 1) {
+    profile.top_values = ranked.slice(0, compact ? COMPACT_TOP_VALUES : TOP_VALUES).map(([value, count]) => ({ value, count }));
+  }
+  if (!compact && distinct <= MAX_UNIQUE_VALUES) profile.unique_values = ranked.map(([value]) => value);
+  if (numbers.length) profile.numeric = numericStats(numbers);
+  if (dates.length) {
+    const sorted = [...dates].sort((a, b) => a - b);
+    profile.date_range = { min: serialToIso(sorted[0]), max: serialToIso(sorted[sorted.length - 1]) };
+  }
+  if (leading || trailing) profile.whitespace = { leading, trailing };
+  if (numericStrings && types.number) profile.numeric_strings = numericStrings;
+  if (Object.keys(types).length > 1) {
+    profile.mixed_examples = Object.fromEntries(
+      Object.entries(examples).map(([type, list]) => [type, compact ? list.slice(0, 1) : list]),
+    );
+  }
+  return profile;
+}
+
+// Formatted-text lookup for a sheet column, in getSheetRows' coordinates
+// (relative to the sheet's range start)
+function cellTextReader(ws, col) {
+  const origin = XLSX.utils.decode_range(ws['!ref'] || 'A1').s;
+  return (r) => ws[XLSX.utils.encode_cell({ r: origin.r + r, c: origin.c + col })]?.w ?? null;
+}
+
+module.exports = { profileColumn, cellTextReader };
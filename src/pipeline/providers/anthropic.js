@@ -0,0 +1,122 @@
+// Anthropic Messages API provider with retry logic.
+// With onStream, the response is streamed (SSE) and reassembled into the same
+// message shape; onStream receives text, tool input JSON and usage as they arrive.
+
+const { MAX_API_RETRIES, RETRY_STATUS_CODES } = require('../constants');
+
+// Backoff delay that ends early (rejecting) when the run is cancelled. The abort
+// listener is removed when the delay ends, so retries don't pile listeners on
+// the run's signal.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Rebuild a Messages API response from its stream events
+async function readStream(body, onStream) {
+  const message = { content: [], usage: {} };
+  const partialJson = new Map(); // content block index → accumulated input JSON
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  function handle(event) {
+    switch (event.type) {
+      case 'message_start':
+        Object.assign(message, event.message, { content: [] });
+        onStream({ type: 'usage', usage: message.usage });
+        break;
+      case 'content_block_start':
+        message.content[event.index] = { ...event.content_block };
+        if (event.content_block.type === 'tool_use') partialJson.set(event.index, '');
+        break;
+      case 'content_block_delta': {
+        const block = message.content[event.index];
+        if (event.delta.type === 'text_delta') {
+          block.text += event.delta.text;
+          onStream({ type: 'text', index: event.index, text: event.delta.text });
+        } else if (event.delta.type === 'input_json_delta') {
+          partialJson.set(event.index, partialJson.get(event.index) + event.delta.partial_json);
+          onStream({ type: 'input_json', index: event.index, name: block.name, partial: event.delta.partial_json });
+        }
+        break;
+      }
+      case 'content_block_stop':
+        if (partialJson.has(event.index)) {
+          const json = partialJson.get(event.index);
+          try {
+            message.content[event.index].input = json ? JSON.parse(json) : {};
+          } catch {
+            // Truncated by max_tokens; callers check stop_reason
+            message.content[event.index].input = {};
+          }
+        }
+        break;
+      case 'message_delta':
+        Object.assign(message, event.delta);
+        Object.assign(message.usage, event.usage);
+        onStream({ type: 'usage', usage: message.usage, final: true });
+        break;
+      case 'error':
+        throw new Error(`Claude API stream error: ${event.error?.type}: ${event.error?.message}`);
+    }
+  }
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const parts = buffer.split('\n\n');
+    buffer = parts.pop();
+    for (const part of parts) {
+      const data = part.split('\n').find(line => line.startsWith('data: '));
+      if (data) handle(JSON.parse(data.slice(6)));
+    }
+  }
+  return message;
+}
+
+async function createMessage({ apiKey, model, system, messages, tools, maxTokens, signal, onStream }) {
+  if (!apiKey) throw new Error('The anthropic provider needs an API key');
+
+  for (let attempt = 0; attempt <= MAX_API_RETRIES; attempt++) {
+    if (signal?.aborted) throw new Error('Aborted');
+
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        system: [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }],
+        messages,
+        tools,
+        stream: Boolean(onStream),
+      }),
+    });
+
+    if (response.ok) return onStream ? await readStream(response.body, onStream) : await response.json();
+
+    if (RETRY_STATUS_CODES.includes(response.status) && attempt < MAX_API_RETRIES) {
+      const delay = Math.min(1000 * Math.pow(2, attempt), 8000);
+      await sleep(delay, signal);
+      continue;
+    }
+
+    const errText = await response.text().catch(() => '');
+    throw new Error(`Claude API error (${response.status}): ${errText}`);
+  }
+}
+
+module.exports = { name: 'anthropic', requiresApiKey: true, createMessage, readStream, sleep };
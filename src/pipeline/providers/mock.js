@@ -0,0 +1,65 @@
+// Scripted mock provider: replays canned responses from a JSON script, so the
+// full pipeline, evals and server run offline.
+//
+// Script shape: { "explore": [response, ...], "codegen": [response, ...] }.
+// Each response is a Messages API response body; only `content` is required.
+// The Nth assistant turn of a phase's conversation gets the Nth response, so
+// replay is stateless and deterministic. tool_use ids are filled in if missing.
+// With onStream, tool inputs are also emitted in small JSON chunks, like a
+// streamed response.
+
+const fs = require('fs');
+const path = require('path');
+
+const scriptCache = new Map();
+
+function loadScript(script) {
+  if (!script) throw new Error('The mock provider needs a script (EXCELIUS_MOCK_SCRIPT or llm.mockScript)');
+  if (typeof script === 'object') return script;
+  const file = path.resolve(script);
+  if (!scriptCache.has(file)) scriptCache.set(file, JSON.parse(fs.readFileSync(file, 'utf-8')));
+  return scriptCache.get(file);
+}
+
+const STREAM_CHUNK_CHARS = 64;
+
+function streamContent(content, usage, onStream) {
+  onStream({ type: 'usage', usage: { input_tokens: usage.input_tokens, output_tokens: 0 } });
+  content.forEach((block, index) => {
+    if (block.type === 'text') onStream({ type: 'text', index, text: block.text });
+    if (block.type !== 'tool_use') return;
+    const json = JSON.stringify(block.input);
+    for (let i = 0; i < json.length; i += STREAM_CHUNK_CHARS) {
+      onStream({ type: 'input_json', index, name: block.name, partial: json.slice(i, i + STREAM_CHUNK_CHARS) });
+    }
+  });
+  onStream({ type: 'usage', usage, final: true });
+}
+
+async function createMessage({ phase, messages, options, signal, onStream }) {
+  if (signal?.aborted) throw new Error('Aborted');
+  const script = loadScript(options?.mockScript || process.env.EXCELIUS_MOCK_SCRIPT);
+  const responses = script[phase] || [];
+  const turn = messages.filter(m => m.role === 'assistant').length;
+  const scripted = responses[turn];
+  if (!scripted) {
+    throw new Error(`Mock script has no ${phase} response for turn ${turn + 1} (${responses.length} scripted)`);
+  }
+
+  const content = scripted.content.map((block, i) => (
+    block.type === 'tool_use' && !block.id ? { ...block, id: `toolu_mock_${phase}_${turn}_${i}` } : block
+  ));
+  const usage = scripted.usage || { input_tokens: 0, output_tokens: 0 };
+  if (onStream) streamContent(content, usage, onStream);
+  return {
+    id: `msg_mock_${phase}_${turn}`,
+    type: 'message',
+    role: 'assistant',
+    model: 'mock',
+    stop_reason: scripted.stop_reason || (content.some(b => b.type === 'tool_use') ? 'tool_use' : 'end_turn'),
+    usage,
+    content,
+  };
+}
+
+module.exports = { name: 'mock', requiresApiKey: false, createMessage };
@@ -0,0 +1,178 @@
+// Query tool for the exploration agent: a JSON expression language for
+// filter / group / aggregate / sort over one table region. Specs are
+// interpreted here, never compiled or evaluated as JS.
+
+const { MAX_READ_ROWS } = require('./constants');
+
+const OPS = ['=', '!=', '<', '<=', '>', '>=', 'contains', 'starts_with', 'ends_with', 'in', 'not_in', 'is_empty', 'not_empty'];
+const NO_VALUE_OPS = ['is_empty', 'not_empty'];
+const AGGREGATES = ['count', 'count_distinct', 'sum', 'avg', 'min', 'max'];
+const DEFAULT_LIMIT = 20;
+
+function isEmpty(v) {
+  return v === null || v === undefined || String(v).trim() === '';
+}
+
+// Numbers and numeric text compare as numbers; everything else as trimmed,
+// case-insensitive text
+function asNumber(v) {
+  if (typeof v === 'number') return v;
+  if (typeof v === 'string' && /^\s*[-+]?\d+(\.\d+)?\s*$/.test(v)) return Number(v);
+  return null;
+}
+
+function compare(a, b) {
+  const x = asNumber(a), y = asNumber(b);
+  if (x !== null && y !== null) return x - y;
+  return String(a ?? '').trim().toLowerCase().localeCompare(String(b ?? '').trim().toLowerCase());
+}
+
+function text(v) {
+  return String(v ?? '').trim().toLowerCase();
+}
+
+function test(cell, { op, value }) {
+  switch (op) {
+    case '=': return !isEmpty(cell) && compare(cell, value) === 0;
+    case '!=': return isEmpty(cell) || compare(cell, value) !== 0;
+    case '<': return !isEmpty(cell) && compare(cell, value) < 0;
+    case '<=': return !isEmpty(cell) && compare(cell, value) <= 0;
+    case '>': return !isEmpty(cell) && compare(cell, value) > 0;
+    case '>=': return !isEmpty(cell) && compare(cell, value) >= 0;
+    case 'contains': return text(cell).includes(text(value));
+    case 'starts_with': return text(cell).startsWith(text(value));
+    case 'ends_with': return text(cell).endsWith(text(value));
+    case 'in': return value.some(v => !isEmpty(cell) && compare(cell, v) === 0);
+    case 'not_in': return !value.some(v => !isEmpty(cell) && compare(cell, v) === 0);
+    case 'is_empty': return isEmpty(cell);
+    case 'not_empty': return !isEmpty(cell);
+    default: return false;
+  }
+}
+
+function aggregate(fn, values) {
+  if (fn === 'count') return values.length;
+  const present = values.filter(v => !isEmpty(v));
+  if (fn === 'count_distinct') return new Set(present.map(text)).size;
+  const nums = present.map(asNumber).filter(n => n !== null);
+  if (fn === 'sum') return nums.reduce((s, n) => s + n, 0);
+  if (!nums.length) return null;
+  if (fn === 'avg') return nums.reduce((s, n) => s + n, 0) / nums.length;
+  // A loop, not Math.min(...nums): spreading a large column overflows the call stack
+  let best = nums[0];
+  for (const n of nums) if (fn === 'min' ? n < best : n > best) best = n;
+  return best;
+}
+
+// Column by header name (case-insensitive) or 0-indexed number
+function resolveColumn(headers, ref) {
+  if (typeof ref === 'number') return ref >= 0 ? ref : -1;
+  const q = String(ref ?? '').trim().toLowerCase();
+  return headers.findIndex(h => h.toLowerCase() === q);
+}
+
+// An optional array field of the spec; [] when absent
+function list(value, where) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new Error(`${where}: must be an array, got ${JSON.stringify(value)}`);
+  return value;
+}
+
+// An array of objects, such as conditions or aggregates
+function objects(value, where) {
+  return list(value, where).map((item, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) throw new Error(`${where}[${i}]: must be an object, got ${JSON.stringify(item)}`);
+    return item;
+  });
+}
+
+// Resolve column references and validate the spec; throws on a bad spec
+function compile(headers, spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error('spec: must be an object');
+  const column = (ref, where) => {
+    const c = resolveColumn(headers, ref);
+    if (c === -1) throw new Error(`${where}: unknown column ${JSON.stringify(ref)}. Columns: ${headers.join(', ')}`);
+    return c;
+  };
+  const conditions = (value, where) => objects(value, where).map((cond, i) => {
+    if (!OPS.includes(cond.op)) throw new Error(`${where}[${i}]: unknown op "${cond.op}". Use ${OPS.join(', ')}`);
+    if (['in', 'not_in'].includes(cond.op) && !Array.isArray(cond.value)) throw new Error(`${where}[${i}]: "${cond.op}" needs an array value`);
+    if (!NO_VALUE_OPS.includes(cond.op) && (cond.value === undefined || cond.value === null)) {
+      throw new Error(`${where}[${i}]: "${cond.op}" needs a value; use is_empty / not_empty to test for blanks`);
+    }
+    return { col: column(cond.column, `${where}[${i}]`), op: cond.op, value: cond.value };
+  });
+
+  const groupBy = list(spec.group_by, 'group_by').map((ref, i) => column(ref, `group_by[${i}]`));
+  const aggregates = objects(spec.aggregates, 'aggregates').map((agg, i) => {
+    if (!AGGREGATES.includes(agg.fn)) throw new Error(`aggregates[${i}]: unknown fn "${agg.fn}". Use ${AGGREGATES.join(', ')}`);
+    if (agg.fn !== 'count' && agg.column === undefined) throw new Error(`aggregates[${i}]: "${agg.fn}" needs a column`);
+    const col = agg.column === undefined ? null : column(agg.column, `aggregates[${i}]`);
+    return { fn: agg.fn, col, name: agg.as || (col === null ? agg.fn : `${agg.fn}(${headers[col] || col})`) };
+  });
+  if (groupBy.length && !aggregates.length) aggregates.push({ fn: 'count', col: null, name: 'count' });
+  const select = list(spec.select, 'select').map((ref, i) => column(ref, `select[${i}]`));
+  if (spec.limit !== undefined && spec.limit !== null && !(Number.isInteger(spec.limit) && spec.limit > 0)) {
+    throw new Error(`limit: must be a positive integer, got ${JSON.stringify(spec.limit)}`);
+  }
+
+  return {
+    where: conditions(spec.where, 'where'),
+    whereAny: conditions(spec.where_any, 'where_any'),
+    groupBy,
+    aggregates,
+    select,
+    sort: objects(spec.sort, 'sort'),
+    limit: Math.min(spec.limit ?? DEFAULT_LIMIT, MAX_READ_ROWS),
+  };
+}
+
+// headers: column names; rows: [{ row, cells }] data rows of the region
+function runQuery(headers, rows, spec) {
+  let q;
+  try {
+    q = compile(headers, spec);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const matched = rows.filter(({ cells }) =>
+    q.where.every(c => test(cells[c.col], c))
+    && (!q.whereAny.length || q.whereAny.some(c => test(cells[c.col], c))));
+
+  let columns, out;
+  if (q.groupBy.length || q.aggregates.length) {
+    const groups = new Map();
+    for (const r of matched) {
+      const key = JSON.stringify(q.groupBy.map(c => text(r.cells[c])));
+      if (!groups.has(key)) groups.set(key, { values: q.groupBy.map(c => r.cells[c] ?? null), rows: [] });
+      groups.get(key).rows.push(r);
+    }
+    if (!q.groupBy.length && !groups.size) groups.set('[]', { values: [], rows: [] });
+    columns = [...q.groupBy.map(c => headers[c] || `column_${c}`), ...q.aggregates.map(a => a.name)];
+    out = [...groups.values()].map(g => [
+      ...g.values,
+      ...q.aggregates.map(a => aggregate(a.fn, a.col === null ? g.rows : g.rows.map(r => r.cells[a.col]))),
+    ]);
+  } else {
+    const cols = q.select.length ? q.select : headers.map((_, c) => c);
+    columns = ['row', ...cols.map(c => headers[c] || `column_${c}`)];
+    out = matched.map(r => [r.row, ...cols.map(c => r.cells[c] ?? null)]);
+  }
+
+  for (const [i, s] of [...q.sort].reverse().entries()) {
+    const idx = columns.findIndex(name => name.toLowerCase() === String(s.column ?? '').toLowerCase());
+    if (idx === -1) return { error: `sort[${q.sort.length - 1 - i}]: unknown column ${JSON.stringify(s.column)}. Result columns: ${columns.join(', ')}` };
+    out.sort((a, b) => (s.desc ? -1 : 1) * compare(a[idx], b[idx]));
+  }
+
+  return {
+    matched_rows: matched.length,
+    result_rows: out.length,
+    columns,
+    rows: out.slice(0, q.limit),
+    truncated: out.length > q.limit,
+  };
+}
+
+module.exports = { runQuery };
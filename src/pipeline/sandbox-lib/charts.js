@@ -0,0 +1,264 @@
+// Native Excel charts for generated workbooks. SheetJS CE cannot write charts,
+// so addCharts(buffer, charts) adds the DrawingML chart and drawing parts,
+// their relationships and content types to the zip directly. Charts reference
+// sheet ranges, with the current values cached so viewers that don't
+// recalculate still draw them. Loaded into the sandbox context after ooxml.js.
+(function () {
+  'use strict';
+  const {
+    escapeXml, attr, colLetter, decodeRange, sheetParts, relationships, addRelationship,
+    addContentType, nextPartPath, insertWorksheetElement, parseSheetData, cellTag, sharedStrings, cellText,
+  } = globalThis.OOXML;
+
+  const NS_C = 'http://schemas.openxmlformats.org/drawingml/2006/chart';
+  const NS_A = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+  const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const NS_XDR = 'http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing';
+  const REL_DRAWING = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing';
+  const REL_CHART = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart';
+  const CT_DRAWING = 'application/vnd.openxmlformats-officedocument.drawing+xml';
+  const CT_CHART = 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml';
+
+  // column: vertical bars, bar: horizontal bars (Excel's naming)
+  const TYPES = ['column', 'bar', 'line', 'pie'];
+  const CHART_KEYS = ['sheet', 'type', 'title', 'data', 'categories', 'series', 'at', 'width', 'height', 'stacked', 'legend', 'labels'];
+  const LEGEND_POSITIONS = { right: 'r', left: 'l', top: 't', bottom: 'b' };
+  const DEFAULT_WIDTH = 8;   // columns
+  const DEFAULT_HEIGHT = 15; // rows
+
+  function fail(where, message) {
+    throw new Error(`addCharts: ${where}: ${message}`);
+  }
+
+  // "B2:B5", "Data!B2:B5" or "'Q1 Sales'!$B$2:$B$5" → { sheet, range }
+  function parseRef(ref, defaultSheet, where) {
+    const m = /^(?:'((?:[^']|'')+)'|([^'!]+))!(.+)$/.exec(String(ref).trim());
+    const sheet = m ? (m[1] ? m[1].replace(/''/g, "'") : m[2]) : defaultSheet;
+    let range;
+    try {
+      range = decodeRange(m ? m[3] : ref);
+    } catch (err) {
+      fail(where, err.message);
+    }
+    if (range.e.r === null) fail(where, `"${ref}" must have row numbers (e.g. B2:B10), not whole columns`);
+    return { sheet, range };
+  }
+
+  function formula({ sheet, range }) {
+    const cell = (r, c) => `$${colLetter(c)}$${r + 1}`;
+    const a = cell(range.s.r, range.s.c), b = cell(range.e.r, range.e.c);
+    return `'${sheet.replace(/'/g, "''")}'!${a === b ? a : `${a}:${b}`}`;
+  }
+
+  // Cells of a single row or column range, in order
+  function cellsOf({ range }, where) {
+    if (range.s.r !== range.e.r && range.s.c !== range.e.c) fail(where, 'must be a single row or column');
+    const cells = [];
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      for (let c = range.s.c; c <= range.e.c; c++) cells.push([r, c]);
+    }
+    return cells;
+  }
+
+  // Turn { data: "A1:C5" } into categories and one series per value column:
+  // the first column holds the categories, the first row the series names
+  function expandData(chart, name, where) {
+    const { sheet, range } = parseRef(chart.data, name, `${where} data`);
+    if (range.e.r <= range.s.r || range.e.c <= range.s.c) {
+      fail(`${where} data`, 'needs a header row and a category column plus at least one value column and row');
+    }
+    const at = (r1, c1, r2, c2) => ({ sheet, range: { s: { r: r1, c: c1 }, e: { r: r2, c: c2 } } });
+    const categories = at(range.s.r + 1, range.s.c, range.e.r, range.s.c);
+    const series = [];
+    for (let c = range.s.c + 1; c <= range.e.c; c++) {
+      series.push({ name: at(range.s.r, c, range.s.r, c), values: at(range.s.r + 1, c, range.e.r, c) });
+    }
+    return { categories, series };
+  }
+
+  function cache(values, numeric) {
+    const pts = values.map((v, i) => (v === null ? '' : `<c:pt idx="${i}"><c:v>${escapeXml(v)}</c:v></c:pt>`)).join('');
+    return numeric
+      ? `<c:numCache><c:formatCode>General</c:formatCode><c:ptCount val="${values.length}"/>${pts}</c:numCache>`
+      : `<c:strCache><c:ptCount val="${values.length}"/>${pts}</c:strCache>`;
+  }
+
+  function seriesXml(series, i, type, read) {
+    const name = series.name && typeof series.name === 'object'
+      ? `<c:tx><c:strRef><c:f>${escapeXml(formula(series.name))}</c:f>${cache(read(series.name, false), false)}</c:strRef></c:tx>`
+      : series.name ? `<c:tx><c:v>${escapeXml(series.name)}</c:v></c:tx>` : '';
+    const marker = type === 'line' ? '<c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>' : '';
+    const invert = type === 'column' || type === 'bar' ? '<c:invertIfNegative val="0"/>' : '';
+    const cat = series.categories
+      ? `<c:cat><c:strRef><c:f>${escapeXml(formula(series.categories))}</c:f>${cache(read(series.categories, false), false)}</c:strRef></c:cat>`
+      : '';
+    const val = `<c:val><c:numRef><c:f>${escapeXml(formula(series.values))}</c:f>${cache(read(series.values, true), true)}</c:numRef></c:val>`;
+    const smooth = type === 'line' ? '<c:smooth val="0"/>' : '';
+    return `<c:ser><c:idx val="${i}"/><c:order val="${i}"/>${name}${marker}${invert}${cat}${val}${smooth}</c:ser>`;
+  }
+
+  function labelsXml(labels, type) {
+    if (!labels) return '';
+    const percent = labels === 'percent';
+    if (percent && type !== 'pie') fail(`${type} chart labels`, '"percent" is only for pie charts; use true for values');
+    return `<c:dLbls><c:showLegendKey val="0"/><c:showVal val="${percent ? 0 : 1}"/><c:showCatName val="0"/>`
+      + `<c:showSerName val="0"/><c:showPercent val="${percent ? 1 : 0}"/><c:showBubbleSize val="0"/></c:dLbls>`;
+  }
+
+  function axesXml(type) {
+    const horizontal = type === 'bar';
+    return `<c:catAx><c:axId val="1"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>`
+      + `<c:axPos val="${horizontal ? 'l' : 'b'}"/><c:numFmt formatCode="General" sourceLinked="1"/><c:tickLblPos val="nextTo"/>`
+      + `<c:crossAx val="2"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/></c:catAx>`
+      + `<c:valAx><c:axId val="2"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>`
+      + `<c:axPos val="${horizontal ? 'b' : 'l'}"/><c:majorGridlines/><c:numFmt formatCode="General" sourceLinked="1"/>`
+      + `<c:tickLblPos val="nextTo"/><c:crossAx val="1"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>`;
+  }
+
+  function chartXml(chart, series, read) {
+    const { type } = chart;
+    const sers = series.map((s, i) => seriesXml(s, i, type, read)).join('');
+    const labels = labelsXml(chart.labels, type);
+    let plot;
+    if (type === 'pie') {
+      plot = `<c:pieChart><c:varyColors val="1"/>${sers}${labels}<c:firstSliceAng val="0"/></c:pieChart>`;
+    } else if (type === 'line') {
+      plot = `<c:lineChart><c:grouping val="${chart.stacked ? 'stacked' : 'standard'}"/><c:varyColors val="0"/>${sers}${labels}`
+        + `<c:marker val="1"/><c:axId val="1"/><c:axId val="2"/></c:lineChart>${axesXml(type)}`;
+    } else {
+      plot = `<c:barChart><c:barDir val="${type === 'bar' ? 'bar' : 'col'}"/><c:grouping val="${chart.stacked ? 'stacked' : 'clustered'}"/>`
+        + `<c:varyColors val="0"/>${sers}${labels}<c:gapWidth val="150"/>${chart.stacked ? '<c:overlap val="100"/>' : ''}`
+        + `<c:axId val="1"/><c:axId val="2"/></c:barChart>${axesXml(type)}`;
+    }
+    const title = chart.title
+      ? `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>${escapeXml(chart.title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title><c:autoTitleDeleted val="0"/>`
+      : '<c:autoTitleDeleted val="1"/>';
+    // Default: a legend when there is more than one series, or slices to name
+    const position = chart.legend ?? (series.length > 1 || type === 'pie' ? 'right' : false);
+    const legend = position ? `<c:legend><c:legendPos val="${LEGEND_POSITIONS[position]}"/><c:overlay val="0"/></c:legend>` : '';
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + `<c:chartSpace xmlns:c="${NS_C}" xmlns:a="${NS_A}" xmlns:r="${NS_R}"><c:roundedCorners val="0"/>`
+      + `<c:chart>${title}<c:plotArea><c:layout/>${plot}</c:plotArea>${legend}<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart>`
+      + '</c:chartSpace>';
+  }
+
+  function anchorXml(id, rId, from, to) {
+    const point = (tag, { r, c }) => `<xdr:${tag}><xdr:col>${c}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${r}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:${tag}>`;
+    return `<xdr:twoCellAnchor>${point('from', from)}${point('to', to)}`
+      + `<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="${id}" name="Chart ${id - 1}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>`
+      + '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>'
+      + `<a:graphic><a:graphicData uri="${NS_C}"><c:chart xmlns:c="${NS_C}" xmlns:r="${NS_R}" r:id="${rId}"/></a:graphicData></a:graphic>`
+      + '</xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor>';
+  }
+
+  function checkChart(chart, where) {
+    if (!chart || typeof chart !== 'object') fail(where, 'must be an object');
+    for (const key of Object.keys(chart)) {
+      if (!CHART_KEYS.includes(key)) fail(where, `unknown property "${key}" (use: ${CHART_KEYS.join(', ')})`);
+    }
+    if (!TYPES.includes(chart.type)) fail(where, `type must be one of: ${TYPES.join(', ')}`);
+    if (!chart.data && !chart.series) fail(where, 'needs data (a table range) or series');
+    if (chart.data && (chart.series || chart.categories)) fail(where, 'use either data or categories/series, not both');
+    if (chart.legend !== undefined && chart.legend !== false && !LEGEND_POSITIONS[chart.legend]) {
+      fail(where, `legend must be false or one of: ${Object.keys(LEGEND_POSITIONS).join(', ')}`);
+    }
+    if (chart.stacked && chart.type === 'pie') fail(where, 'pie charts cannot be stacked');
+  }
+
+  // charts: [{ sheet, type, title, data | categories + series, at, width, height, stacked, legend, labels }]
+  async function addCharts(buffer, charts) {
+    if (!Array.isArray(charts)) charts = [charts];
+    const zip = await JSZip.loadAsync(buffer);
+    const parts = await sheetParts(zip);
+    const strings = await sharedStrings(zip);
+    const sheets = new Map(); // name → { path, xml, data, nextRow }
+
+    async function sheet(name, where) {
+      if (!sheets.has(name)) {
+        const part = parts.find(p => p.name === name);
+        if (!part) fail(where, `sheet "${name}" not found (sheets: ${parts.map(p => p.name).join(', ')})`);
+        const xml = await zip.file(part.path).async('string');
+        sheets.set(name, { path: part.path, xml, data: parseSheetData(xml), nextRow: null });
+      }
+      return sheets.get(name);
+    }
+
+    for (const [i, chart] of charts.entries()) {
+      const where = `chart ${i + 1}`;
+      checkChart(chart, where);
+      if (!chart.sheet) fail(where, `sheet is required (sheets: ${parts.map(p => p.name).join(', ')})`);
+      const target = await sheet(chart.sheet, where);
+
+      // Resolve references (defaulting to the chart's sheet) and load the sheets they read
+      let { categories, series } = chart.data ? expandData(chart, chart.sheet, where) : { categories: chart.categories, series: chart.series };
+      if (typeof categories === 'string') categories = parseRef(categories, chart.sheet, `${where} categories`);
+      if (!Array.isArray(series) || !series.length) fail(where, 'series must be a non-empty array of { name, values }');
+      series = series.map((s, j) => {
+        const at = `${where} series ${j + 1}`;
+        if (!s || !s.values) fail(at, 'values (a range) is required');
+        // A name with a sheet reference ("Summary!B1") reads the header cell; anything else is literal
+        const name = typeof s.name === 'string' && /!\$?[A-Za-z]{1,3}\$?\d+$/.test(s.name) ? parseRef(s.name, chart.sheet, `${at} name`) : s.name;
+        return { name, values: typeof s.values === 'string' ? parseRef(s.values, chart.sheet, `${at} values`) : s.values, categories };
+      });
+      if (chart.type === 'pie' && series.length > 1) fail(where, 'pie charts take a single series');
+      for (const ref of [categories, ...series.flatMap(s => [s.name, s.values])]) {
+        if (ref && typeof ref === 'object') await sheet(ref.sheet, where);
+      }
+      const read = (ref, numeric) => cellsOf(ref, where).map(([r, c]) => {
+        const cellXml = sheets.get(ref.sheet).data.rows.get(r)?.cells.get(c);
+        if (!cellXml) return null;
+        const text = cellText(cellXml, strings);
+        if (!numeric) return text;
+        const type = attr(cellTag(cellXml), 't');
+        return (!type || type === 'n') && text !== '' && Number.isFinite(Number(text)) ? text : null;
+      });
+      for (const s of series) {
+        const count = cellsOf(s.values, `${where} values`).length;
+        if (categories && cellsOf(categories, `${where} categories`).length !== count) {
+          fail(where, `categories have ${cellsOf(categories, where).length} cells but series values have ${count}`);
+        }
+      }
+
+      // Placement: "at" a cell, or beside the sheet's data, stacking charts downwards
+      const { used } = target.data;
+      let from;
+      if (chart.at) {
+        try {
+          from = decodeRange(chart.at).s;
+        } catch (err) {
+          fail(`${where} at`, err.message);
+        }
+      } else {
+        from = { r: target.nextRow ?? (used ? used.s.r : 0), c: used ? used.e.c + 2 : 0 };
+      }
+      const to = { r: from.r + (chart.height || DEFAULT_HEIGHT), c: from.c + (chart.width || DEFAULT_WIDTH) };
+      target.nextRow = to.r + 1;
+
+      const chartPath = nextPartPath(zip, 'xl/charts/chart', '.xml');
+      zip.file(chartPath, chartXml(chart, series, read));
+      await addContentType(zip, chartPath, CT_CHART);
+
+      // One drawing part per sheet holds all of its charts
+      const rels = await relationships(zip, target.path);
+      const drawingId = attr(target.xml.match(/<drawing\b[^>]*>/)?.[0] || '', 'r:id');
+      let drawingPath = drawingId && rels.find(r => r.id === drawingId)?.path;
+      if (!drawingPath) {
+        drawingPath = nextPartPath(zip, 'xl/drawings/drawing', '.xml');
+        zip.file(drawingPath, `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<xdr:wsDr xmlns:xdr="${NS_XDR}" xmlns:a="${NS_A}"></xdr:wsDr>`);
+        await addContentType(zip, drawingPath, CT_DRAWING);
+        const rId = await addRelationship(zip, target.path, REL_DRAWING, drawingPath);
+        target.xml = insertWorksheetElement(target.xml, 'drawing', `<drawing r:id="${rId}"/>`, { replace: true });
+        if (!/<worksheet\b[^>]*\sxmlns:r=/.test(target.xml)) target.xml = target.xml.replace(/<worksheet\b/, `<worksheet xmlns:r="${NS_R}"`);
+      }
+      const chartRId = await addRelationship(zip, drawingPath, REL_CHART, chartPath);
+      const drawingXml = await zip.file(drawingPath).async('string');
+      const ids = [...drawingXml.matchAll(/<xdr:cNvPr\b[^>]*\sid="(\d+)"/g)].map(m => Number(m[1]));
+      const id = Math.max(1, ...ids) + 1;
+      zip.file(drawingPath, drawingXml.replace('</xdr:wsDr>', anchorXml(id, chartRId, from, to) + '</xdr:wsDr>'));
+    }
+    for (const { path, xml } of sheets.values()) zip.file(path, xml);
+    return zip.generateAsync({ type: 'arraybuffer', compression: 'DEFLATE' });
+  }
+
+  globalThis.addCharts = addCharts;
+})();
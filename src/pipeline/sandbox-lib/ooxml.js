@@ -0,0 +1,351 @@
+// Shared xlsx XML helpers for the sandbox libraries (styles.js, charts.js, pivot.js, ...).
+// Loaded as source text into the sandbox context after SheetJS and JSZip (see
+// sandbox.js), so there is no require here; defines the OOXML global.
+(function () {
+  'use strict';
+
+  // Children of <worksheet> in schema order. Excel refuses files that put
+  // them out of order, so new elements are inserted by this list.
+  const WORKSHEET_ORDER = [
+    'sheetPr', 'dimension', 'sheetViews', 'sheetFormatPr', 'cols', 'sheetData', 'sheetCalcPr',
+    'sheetProtection', 'protectedRanges', 'scenarios', 'autoFilter', 'sortState', 'dataConsolidate',
+    'customSheetViews', 'mergeCells', 'phoneticPr', 'conditionalFormatting', 'dataValidations',
+    'hyperlinks', 'printOptions', 'pageMargins', 'pageSetup', 'headerFooter', 'rowBreaks', 'colBreaks',
+    'customProperties', 'cellWatches', 'ignoredErrors', 'smartTags', 'drawing', 'legacyDrawing',
+    'legacyDrawingHF', 'picture', 'oleObjects', 'controls', 'webPublishItems', 'tableParts', 'extLst',
+  ];
+
+  const WORKBOOK_ORDER = [
+    'fileVersion', 'fileSharing', 'workbookPr', 'workbookProtection', 'bookViews', 'sheets', 'functionGroups',
+    'externalReferences', 'definedNames', 'calcPr', 'oleSize', 'customWorkbookViews', 'pivotCaches',
+    'smartTagPr', 'smartTagTypes', 'webPublishing', 'fileRecoveryPr', 'webPublishObjects', 'extLst',
+  ];
+
+  function escapeXml(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function unescapeXml(s) {
+    return String(s).replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+  }
+
+  // Attribute value of an opening tag, unescaped; null when absent
+  function attr(tag, name) {
+    const m = tag.match(new RegExp('\\s' + name + '="([^"]*)"'));
+    return m ? unescapeXml(m[1]) : null;
+  }
+
+  // Set (or with null, remove) an attribute on an opening tag
+  function setAttr(tag, name, value) {
+    const re = new RegExp('\\s' + name + '="[^"]*"');
+    if (value === null || value === undefined) return tag.replace(re, '');
+    const pair = ` ${name}="${escapeXml(value)}"`;
+    if (re.test(tag)) return tag.replace(re, pair);
+    return tag.replace(/\s*(\/?)>$/, `${pair}$1>`);
+  }
+
+  function colIndex(letters) {
+    let n = 0;
+    for (const ch of letters.toUpperCase()) n = n * 26 + ch.charCodeAt(0) - 64;
+    return n - 1;
+  }
+
+  function colLetter(index) {
+    let s = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+    return s;
+  }
+
+  // "B3" → { r: 2, c: 1 }, 0-indexed
+  function decodeCell(ref) {
+    const m = /^\$?([A-Za-z]{1,3})\$?(\d+)$/.exec(String(ref).trim());
+    if (!m) throw new Error(`Invalid cell reference "${ref}"`);
+    return { r: Number(m[2]) - 1, c: colIndex(m[1]) };
+  }
+
+  function encodeCell(r, c) {
+    return colLetter(c) + (r + 1);
+  }
+
+  // "A1:C5", "B2", or whole columns "C:D" (rows open-ended: e.r = null)
+  function decodeRange(ref) {
+    const text = String(ref).trim();
+    const cols = /^\$?([A-Za-z]{1,3}):\$?([A-Za-z]{1,3})$/.exec(text);
+    if (cols) return { s: { r: 0, c: colIndex(cols[1]) }, e: { r: null, c: colIndex(cols[2]) } };
+    const [a, b = a] = text.split(':');
+    const s = decodeCell(a), e = decodeCell(b);
+    return {
+      s: { r: Math.min(s.r, e.r), c: Math.min(s.c, e.c) },
+      e: { r: Math.max(s.r, e.r), c: Math.max(s.c, e.c) },
+    };
+  }
+
+  // Resolve a relationship target against the part that owns the rels file
+  function resolveTarget(basePath, target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = basePath.split('/').slice(0, -1);
+    for (const seg of target.split('/')) {
+      if (seg === '..') parts.pop();
+      else if (seg !== '.') parts.push(seg);
+    }
+    return parts.join('/');
+  }
+
+  // [{ name, path }] for each worksheet, via workbook.xml and its rels
+  async function sheetParts(zip) {
+    const workbookXml = await zip.file('xl/workbook.xml').async('string');
+    const relsXml = await zip.file('xl/_rels/workbook.xml.rels').async('string');
+    const rels = new Map();
+    for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) rels.set(attr(tag, 'Id'), attr(tag, 'Target'));
+    return [...workbookXml.matchAll(/<sheet\b[^>]*>/g)].map(([tag]) => ({
+      name: attr(tag, 'name'),
+      path: resolveTarget('xl/workbook.xml', rels.get(attr(tag, 'r:id')) || ''),
+    }));
+  }
+
+  // xl/worksheets/sheet1.xml → xl/worksheets/_rels/sheet1.xml.rels
+  function relsPath(partPath) {
+    const slash = partPath.lastIndexOf('/');
+    return `${partPath.slice(0, slash)}/_rels/${partPath.slice(slash + 1)}.rels`;
+  }
+
+  // Target of a relationship from one part to another, relative to the first
+  function relativePath(fromPath, toPath) {
+    const from = fromPath.split('/').slice(0, -1);
+    const to = toPath.split('/');
+    let common = 0;
+    while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+    return [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/');
+  }
+
+  // A part's relationships: [{ id, type, target, path }], path resolved
+  async function relationships(zip, partPath) {
+    const file = zip.file(relsPath(partPath));
+    if (!file) return [];
+    const xml = await file.async('string');
+    return [...xml.matchAll(/<Relationship\b[^>]*>/g)].map(([tag]) => ({
+      id: attr(tag, 'Id'),
+      type: attr(tag, 'Type'),
+      target: attr(tag, 'Target'),
+      path: attr(tag, 'TargetMode') === 'External' ? null : resolveTarget(partPath, attr(tag, 'Target')),
+    }));
+  }
+
+  // Add a relationship from one part to another; returns its new id
+  async function addRelationship(zip, partPath, type, targetPath) {
+    const path = relsPath(partPath);
+    const file = zip.file(path);
+    const xml = file
+      ? await file.async('string')
+      : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+    const taken = new Set([...xml.matchAll(/\bId="([^"]*)"/g)].map(m => m[1]));
+    let n = 1;
+    while (taken.has(`rId${n}`)) n++;
+    const rel = `<Relationship Id="rId${n}" Type="${type}" Target="${escapeXml(relativePath(partPath, targetPath))}"/>`;
+    zip.file(path, xml.replace('</Relationships>', rel + '</Relationships>'));
+    return `rId${n}`;
+  }
+
+  // Register a new part's content type in [Content_Types].xml
+  async function addContentType(zip, partPath, contentType) {
+    const xml = await zip.file('[Content_Types].xml').async('string');
+    if (xml.includes(`PartName="/${partPath}"`)) return;
+    zip.file('[Content_Types].xml', xml.replace('</Types>', `<Override PartName="/${partPath}" ContentType="${contentType}"/></Types>`));
+  }
+
+  // First unused numbered part name: nextPartPath(zip, 'xl/charts/chart', '.xml') → xl/charts/chart1.xml
+  function nextPartPath(zip, prefix, extension) {
+    let n = 1;
+    while (zip.file(`${prefix}${n}${extension}`)) n++;
+    return `${prefix}${n}${extension}`;
+  }
+
+  // Top-level children of the root element: [{ name, start, end }]
+  function topLevelElements(xml) {
+    const elements = [];
+    const re = /<(\/?)([A-Za-z][\w:.-]*)\b[^>]*?(\/?)>|<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g;
+    let depth = 0, open = null, m;
+    while ((m = re.exec(xml))) {
+      if (!m[2]) continue;
+      const [, closing, name, selfClosing] = m;
+      if (closing) {
+        depth--;
+        if (depth === 1 && open) { elements.push({ name: open.name, start: open.start, end: re.lastIndex }); open = null; }
+      } else if (selfClosing) {
+        if (depth === 1) elements.push({ name, start: m.index, end: re.lastIndex });
+      } else {
+        if (depth === 1) open = { name, start: m.index };
+        depth++;
+      }
+    }
+    return elements;
+  }
+
+  // Insert a child of the root element at its position in `order`. With
+  // replace, existing elements of that name are removed first.
+  function insertElement(xml, order, name, element, { replace = false } = {}) {
+    let out = xml;
+    if (replace) {
+      for (const el of topLevelElements(out).filter(e => e.name === name).reverse()) {
+        out = out.slice(0, el.start) + out.slice(el.end);
+      }
+    }
+    const rank = order.indexOf(name);
+    const next = topLevelElements(out).find(e => order.indexOf(e.name) > rank);
+    const at = next ? next.start : out.lastIndexOf('</');
+    return out.slice(0, at) + element + out.slice(at);
+  }
+
+  function insertWorksheetElement(xml, name, element, options) {
+    return insertElement(xml, WORKSHEET_ORDER, name, element, options);
+  }
+
+  function insertWorkbookElement(xml, name, element, options) {
+    return insertElement(xml, WORKBOOK_ORDER, name, element, options);
+  }
+
+  // Root children of one name, as XML strings
+  function childElements(xml, name) {
+    return topLevelElements(xml).filter(e => e.name === name).map(e => xml.slice(e.start, e.end));
+  }
+
+  // Cells of <sheetData>: rows is Map<r, { tag, cells: Map<c, xml> }> (0-indexed,
+  // `tag` the row's opening tag); used is the filled range, or null when empty
+  function parseSheetData(xml) {
+    const el = topLevelElements(xml).find(e => e.name === 'sheetData');
+    const inner = el ? xml.slice(el.start, el.end).replace(/^<sheetData\b[^>]*?(\/>|>)/, '').replace(/<\/sheetData>$/, '') : '';
+    const rows = new Map();
+    let used = null;
+    let nextRow = 0;
+    for (const [rowXml] of inner.matchAll(/<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g)) {
+      const tag = rowXml.match(/^<row\b[^>]*?(?=\/?>)/)[0] + '>';
+      const r = attr(tag, 'r') ? Number(attr(tag, 'r')) - 1 : nextRow;
+      nextRow = r + 1;
+      const cells = new Map();
+      let nextCol = 0;
+      for (const [cellXml] of rowXml.matchAll(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g)) {
+        const ref = attr(cellXml.match(/^<c\b[^>]*>/)[0], 'r');
+        const c = ref ? decodeCell(ref).c : nextCol;
+        nextCol = c + 1;
+        cells.set(c, ref ? cellXml : cellXml.replace(/^<c\b/, `<c r="${encodeCell(r, c)}"`));
+        if (!used) used = { s: { r, c }, e: { r, c } };
+        used.s.r = Math.min(used.s.r, r); used.s.c = Math.min(used.s.c, c);
+        used.e.r = Math.max(used.e.r, r); used.e.c = Math.max(used.e.c, c);
+      }
+      rows.set(r, { tag: setAttr(tag, 'r', String(r + 1)), cells });
+    }
+    return { rows, used };
+  }
+
+  // Rebuild <sheetData> from parseSheetData's rows, in row and column order,
+  // and the <dimension> to match. Row spans go stale when cells are added, so
+  // they are dropped.
+  function writeSheetData(xml, rows) {
+    let minCol = Infinity, maxCol = -1;
+    const order = [...rows.keys()].sort((a, b) => a - b);
+    const body = order.map(r => {
+      const row = rows.get(r);
+      const cols = [...row.cells.keys()].sort((a, b) => a - b);
+      if (cols.length) { minCol = Math.min(minCol, cols[0]); maxCol = Math.max(maxCol, cols[cols.length - 1]); }
+      return setAttr(row.tag, 'spans', null) + cols.map(c => row.cells.get(c)).join('') + '</row>';
+    }).join('');
+    let out = insertWorksheetElement(xml, 'sheetData', `<sheetData>${body}</sheetData>`, { replace: true });
+    if (maxCol >= 0) {
+      const ref = `${encodeCell(order[0], minCol)}:${encodeCell(order[order.length - 1], maxCol)}`;
+      out = insertWorksheetElement(out, 'dimension', `<dimension ref="${ref}"/>`, { replace: true });
+    }
+    return out;
+  }
+
+  // Opening tag of a cell's XML, and the cell with one attribute changed
+  function cellTag(cellXml) {
+    return cellXml.match(/^<c\b[^>]*?(?=\/?>)/)[0] + '>';
+  }
+
+  function setCellAttr(cellXml, name, value) {
+    const tag = cellXml.match(/^<c\b[^>]*?(?=\/?>)/)[0];
+    return setAttr(tag + '>', name, value).slice(0, -1) + cellXml.slice(tag.length);
+  }
+
+  // Shared string table as plain text, [] when the workbook has none
+  async function sharedStrings(zip) {
+    const file = zip.file('xl/sharedStrings.xml');
+    if (!file) return [];
+    const xml = await file.async('string');
+    return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, si]) => textRuns(si));
+  }
+
+  function textRuns(xml) {
+    return [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(m => unescapeXml(m[1])).join('');
+  }
+
+  // Display text of a cell: shared, inline and formula strings, else the raw value
+  function cellText(cellXml, strings) {
+    const type = attr(cellTag(cellXml), 't');
+    if (type === 'inlineStr') return textRuns(cellXml);
+    const v = cellXml.match(/<v>([\s\S]*?)<\/v>/);
+    if (!v) return '';
+    return type === 's' ? (strings[Number(v[1])] ?? '') : unescapeXml(v[1]);
+  }
+
+  // <c> for a JS value: number, string, boolean, or { f, v } for a formula
+  // with its cached value. Empty values give a style-only cell, or ''.
+  function valueCell(r, c, value, s) {
+    const ref = ` r="${encodeCell(r, c)}"${s ? ` s="${s}"` : ''}`;
+    const formula = value !== null && typeof value === 'object' && 'f' in value;
+    const f = formula ? `<f>${escapeXml(String(value.f).replace(/^=/, ''))}</f>` : '';
+    const v = formula ? value.v : value;
+    if (typeof v === 'number' && Number.isFinite(v)) return `<c${ref}>${f}<v>${v}</v></c>`;
+    if (typeof v === 'boolean') return `<c${ref} t="b">${f}<v>${v ? 1 : 0}</v></c>`;
+    if (typeof v === 'string' && v !== '') {
+      return formula
+        ? `<c${ref} t="str">${f}<v>${escapeXml(v)}</v></c>`
+        : `<c${ref} t="inlineStr"><is><t xml:space="preserve">${escapeXml(v)}</t></is></c>`;
+    }
+    if (formula) return `<c${ref}>${f}</c>`;
+    return s ? `<c${ref}/>` : '';
+  }
+
+  // A standalone worksheet part for rows of values (see valueCell)
+  function worksheetXml(aoa, { merges = [] } = {}) {
+    let maxCol = 0;
+    const rows = aoa.map((row, r) => {
+      const cells = (row || []).map((v, c) => valueCell(r, c, v ?? null)).join('');
+      if (cells) maxCol = Math.max(maxCol, (row || []).length - 1);
+      return cells ? `<row r="${r + 1}">${cells}</row>` : '';
+    }).join('');
+    const ref = aoa.length ? `A1:${encodeCell(Math.max(aoa.length - 1, 0), maxCol)}` : 'A1';
+    const mergeCells = merges.length
+      ? `<mergeCells count="${merges.length}">${merges.map(m => `<mergeCell ref="${encodeCell(m.s.r, m.s.c)}:${encodeCell(m.e.r, m.e.c)}"/>`).join('')}</mergeCells>`
+      : '';
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<dimension ref="${ref}"/><sheetViews><sheetView workbookViewId="0"/></sheetViews><sheetData>${rows}</sheetData>${mergeCells}`
+      + '<pageMargins left="0.7" right="0.7" top="0.75" bottom="0.75" header="0.3" footer="0.3"/></worksheet>';
+  }
+
+  // Append a worksheet part to the workbook; returns { name, path, index }
+  async function addSheet(zip, name, xml) {
+    const parts = await sheetParts(zip);
+    if (!name || name.length > 31 || /[[\]:*?/\\]/.test(name)) {
+      throw new Error(`Invalid sheet name "${name}" (1-31 characters, none of [ ] : * ? / \\)`);
+    }
+    if (parts.some(p => p.name.toLowerCase() === name.toLowerCase())) throw new Error(`Sheet "${name}" already exists`);
+    const path = nextPartPath(zip, 'xl/worksheets/sheet', '.xml');
+    zip.file(path, xml);
+    await addContentType(zip, path, 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml');
+    const rId = await addRelationship(zip, 'xl/workbook.xml', 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet', path);
+    const workbookXml = await zip.file('xl/workbook.xml').async('string');
+    const ids = [...workbookXml.matchAll(/<sheet\b[^>]*\ssheetId="(\d+)"/g)].map(m => Number(m[1]));
+    const sheet = `<sheet name="${escapeXml(name)}" sheetId="${Math.max(0, ...ids) + 1}" r:id="${rId}"/>`;
+    zip.file('xl/workbook.xml', workbookXml.replace('</sheets>', sheet + '</sheets>'));
+    return { name, path, index: parts.length };
+  }
+
+  globalThis.OOXML = {
+    escapeXml, unescapeXml, attr, setAttr, colIndex, colLetter, decodeCell, encodeCell, decodeRange,
+    resolveTarget, sheetParts, relsPath, relativePath, relationships, addRelationship, addContentType, nextPartPath,
+    topLevelElements, insertElement, insertWorksheetElement, insertWorkbookElement, childElements,
+    parseSheetData, writeSheetData, cellTag, setCellAttr, sharedStrings, cellText, valueCell, worksheetXml, addSheet,
+  };
+})();
@@ -0,0 +1,457 @@
+// In-place editing of an uploaded workbook. editWorkbook(buffer) patches the
+// original xlsx zip instead of rebuilding it with SheetJS, so cell styles,
+// column widths, merges, other sheets, defined names, formulas, charts and
+// tables survive. Inserting a column shifts the references to it everywhere.
+// Loaded into the sandbox context after ooxml.js and styles.js.
+(function () {
+  'use strict';
+  const {
+    escapeXml, unescapeXml, attr, setAttr, colIndex, colLetter, decodeCell, encodeCell, sheetParts, relationships,
+    insertWorkbookElement, childElements, parseSheetData, writeSheetData, cellTag, setCellAttr, sharedStrings, cellText,
+    valueCell, worksheetXml, addSheet,
+  } = globalThis.OOXML;
+
+  const REL_TABLE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/table';
+  // Other parts that can hold references into sheets
+  const LINKED_PARTS = /^xl\/(charts\/chart|pivotCache\/pivotCacheDefinition|tables\/table)\d+\.xml$/;
+  // A string literal, or a cell / range / whole-column reference with an optional sheet
+  const REF = /"(?:[^"]|"")*"|(?<![\w.$'])((?:'(?:[^']|'')+'|[A-Za-z_][\w.]*)!)?(\$?[A-Z]{1,3}\$?\d+(?::\$?[A-Z]{1,3}\$?\d+)?|\$?[A-Z]{1,3}:\$?[A-Z]{1,3})(?![\w(!.])/g;
+
+  function fail(where, message) {
+    throw new Error(`editWorkbook: ${where}: ${message}`);
+  }
+
+  function sameSheet(a, b) {
+    return a !== null && b !== null && a.toLowerCase() === b.toLowerCase();
+  }
+
+  // Rewrite the references in a formula. fn({ sheet, c, r, absC, absR }) returns
+  // changes to { c, r }; sheet is null for unqualified references, r null for
+  // whole columns.
+  function mapRefs(formula, fn) {
+    return formula.replace(REF, (match, prefix = '', ref) => {
+      if (ref === undefined) return match;
+      const sheet = prefix ? prefix.slice(0, -1).replace(/^'([\s\S]*)'$/, '$1').replace(/''/g, "'") : null;
+      return prefix + ref.split(':').map(part => {
+        const m = /^(\$?)([A-Z]{1,3})(\$?)(\d+)?$/.exec(part);
+        const end = { sheet, absC: !!m[1], c: colIndex(m[2]), absR: !!m[3], r: m[4] ? Number(m[4]) - 1 : null };
+        const { c, r } = { ...end, ...fn(end) };
+        return (end.absC ? '$' : '') + colLetter(c) + (r === null ? '' : (end.absR ? '$' : '') + (r + 1));
+      }).join(':');
+    });
+  }
+
+  // Rewrite the formula (and an array or shared formula's range) of a cell
+  function mapCellFormula(cellXml, fn) {
+    return cellXml.replace(/(<f\b[^>]*>)([\s\S]*?)(<\/f>)/, (m, open, text, close) => {
+      const ref = attr(open, 'ref');
+      return (ref ? setAttr(open, 'ref', mapRefs(ref, fn)) : open) + escapeXml(mapRefs(unescapeXml(text), fn)) + close;
+    });
+  }
+
+  // Shared formulas keep their text on one cell only; give every cell its own
+  // formula so any of them can be edited or moved
+  function expandSharedFormulas(rows) {
+    const masters = new Map();
+    for (const [r, row] of rows) {
+      for (const [c, xml] of row.cells) {
+        const m = xml.match(/<f\b([^>]*?)>([\s\S]*?)<\/f>/);
+        const tag = m && `<f${m[1]}>`;
+        if (tag && attr(tag, 't') === 'shared' && attr(tag, 'ref')) masters.set(attr(tag, 'si'), { r, c, text: unescapeXml(m[2]) });
+      }
+    }
+    if (!masters.size) return;
+    for (const [r, row] of rows) {
+      for (const [c, xml] of row.cells) {
+        const f = xml.match(/<f\b[^>]*?(?:\/>|>[\s\S]*?<\/f>)/);
+        if (!f || attr(f[0].match(/^<f\b[^>]*>/)[0], 't') !== 'shared') continue;
+        const master = masters.get(attr(f[0].match(/^<f\b[^>]*>/)[0], 'si'));
+        if (!master) continue;
+        const dr = r - master.r, dc = c - master.c;
+        const text = mapRefs(master.text, ({ c: col, r: rw, absC, absR }) => ({
+          c: absC ? col : col + dc,
+          r: rw === null || absR ? rw : rw + dr,
+        }));
+        row.cells.set(c, xml.replace(f[0], `<f>${escapeXml(text)}</f>`));
+      }
+    }
+  }
+
+  function typedValue(cellXml, strings) {
+    const type = attr(cellTag(cellXml), 't');
+    const text = cellText(cellXml, strings);
+    if (type === 'b') return text === '1';
+    if (type === 's' || type === 'str' || type === 'inlineStr' || type === 'e') return text;
+    return text === '' ? null : Number(text);
+  }
+
+  async function editWorkbook(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const strings = await sharedStrings(zip);
+    const parts = new Map(); // path → xml of the workbook and linked parts
+    const changed = new Set();
+    for (const path of ['xl/workbook.xml', ...Object.keys(zip.files).filter(p => LINKED_PARTS.test(p))]) {
+      parts.set(path, await zip.file(path).async('string'));
+    }
+    const setPart = (path, xml) => {
+      if (parts.get(path) !== xml) { parts.set(path, xml); changed.add(path); }
+    };
+    const sheets = new Map(); // lower-case name → sheet state
+    const pivotInserts = []; // columns inserted inside a pivot cache's source: { path, index, count }
+    const styles = new Map(); // sheet name → styleWorkbook ranges to apply on save
+    let edited = false;
+
+    async function loadSheet({ name, path }) {
+      const xml = await zip.file(path).async('string');
+      const { rows } = parseSheetData(xml);
+      expandSharedFormulas(rows);
+      const tables = (await relationships(zip, path)).filter(r => r.type === REL_TABLE && parts.has(r.path)).map(r => r.path);
+      const state = { name, path, xml, rows, tables, dirty: false };
+      sheets.set(name.toLowerCase(), state);
+      return state;
+    }
+    for (const part of await sheetParts(zip)) await loadSheet(part);
+
+    function queueStyle(sheet, range, style) {
+      if (!style) return;
+      if (!styles.has(sheet.name)) styles.set(sheet.name, []);
+      styles.get(sheet.name).push({ range, ...style });
+    }
+
+    // Write one cell. s: style index to give a new cell (an existing cell keeps its own)
+    function put(sheet, r, c, value, s) {
+      let row = sheet.rows.get(r);
+      if (!row) sheet.rows.set(r, (row = { tag: `<row r="${r + 1}">`, cells: new Map() }));
+      const old = row.cells.get(c);
+      const style = old ? attr(cellTag(old), 's') : s;
+      let v = value === undefined ? null : value;
+      if (v instanceof Date) {
+        v = v.getTime() / 864e5 + 25569;
+        if (!style || style === '0') queueStyle(sheet, encodeCell(r, c), { numFmt: 'date' });
+      }
+      const xml = valueCell(r, c, v, style && style !== '0' ? style : null);
+      if (xml) row.cells.set(c, xml);
+      else row.cells.delete(c);
+      sheet.dirty = edited = true;
+    }
+
+    function lastRow(sheet) {
+      let last = -1;
+      for (const [r, row] of sheet.rows) if (row.cells.size && r > last) last = r;
+      return last;
+    }
+
+    function lastColumn(sheet) {
+      let last = -1;
+      for (const row of sheet.rows.values()) for (const c of row.cells.keys()) if (c > last) last = c;
+      return last;
+    }
+
+    const styleOf = (sheet, r, c) => {
+      const xml = sheet.rows.get(r)?.cells.get(c);
+      return xml ? attr(cellTag(xml), 's') : null;
+    };
+
+    // A column by header text in headerRow, else by letter (or 0-indexed number)
+    function columnIndex(sheet, ref, headerRow, where) {
+      if (typeof ref === 'number') return ref;
+      const headers = [];
+      for (let c = 0; c <= lastColumn(sheet); c++) {
+        const xml = sheet.rows.get(headerRow)?.cells.get(c);
+        const text = xml ? String(typedValue(xml, strings) ?? '').trim() : '';
+        if (text && text.toLowerCase() === String(ref).trim().toLowerCase()) return c;
+        if (text) headers.push(text);
+      }
+      if (/^[A-Z]{1,3}$/.test(ref)) return colIndex(ref);
+      fail(where, `no column "${ref}" in row ${headerRow} of "${sheet.name}" (headers: ${headers.join(', ')})`);
+    }
+
+    // Insert count empty columns before column `at` of a sheet, shifting its
+    // cells and everything in the workbook that refers to them
+    function insertColumns(target, at, count) {
+      const shift = context => ({ sheet, c }) => (sameSheet(sheet ?? context, target.name) && c >= at ? { c: c + count } : {});
+      const local = shift(target.name);
+      // Tables move, or widen when the columns land inside them (see growTables)
+      for (const path of target.tables) {
+        setPart(path, parts.get(path).replace(/(<(?:table|autoFilter)\b[^>]*\sref=")([^"]*)"/g, (m, open, r) => `${open}${mapRefs(r, local)}"`));
+      }
+
+      for (const sheet of sheets.values()) {
+        const fn = shift(sheet.name);
+        for (const [r, row] of sheet.rows) {
+          const cells = new Map();
+          for (const [c, xml] of row.cells) {
+            let out = xml.includes('<f') ? mapCellFormula(xml, fn) : xml;
+            const nc = sheet === target && c >= at ? c + count : c;
+            if (nc !== c) out = setCellAttr(out, 'r', encodeCell(r, nc));
+            if (out !== xml) sheet.dirty = true;
+            cells.set(nc, out);
+          }
+          row.cells = cells;
+        }
+      }
+
+      // Column widths, merges, conditional formats, validations, filters, links
+      let xml = target.xml.replace(/<col\b[^>]*>/g, tag => {
+        const min = Number(attr(tag, 'min')), max = Number(attr(tag, 'max'));
+        if (min > at) return setAttr(setAttr(tag, 'min', String(min + count)), 'max', String(max + count));
+        if (max > at) return setAttr(tag, 'max', String(max + count));
+        return tag;
+      });
+      const shiftAttr = name => tag => (attr(tag, name) === null ? tag : setAttr(tag, name, mapRefs(attr(tag, name), local)));
+      xml = xml.replace(/<(mergeCell|autoFilter|hyperlink)\b[^>]*>/g, shiftAttr('ref'))
+        .replace(/<(conditionalFormatting|dataValidation|ignoredError|selection)\b[^>]*>/g, shiftAttr('sqref'))
+        .replace(/(<(formula|formula1|formula2)>)([\s\S]*?)(<\/\2>)/g, (m, open, name, text, close) => open + escapeXml(mapRefs(unescapeXml(text), local)) + close);
+      target.xml = xml;
+      target.dirty = edited = true;
+
+      // Defined names, chart series and pivot sources in other parts
+      setPart('xl/workbook.xml', parts.get('xl/workbook.xml').replace(/(<definedName\b[^>]*>)([\s\S]*?)(<\/definedName>)/g,
+        (m, open, text, close) => open + escapeXml(mapRefs(unescapeXml(text), shift(null))) + close));
+      for (const [path, partXml] of parts) {
+        if (path.startsWith('xl/charts/')) {
+          setPart(path, partXml.replace(/(<c:f>)([\s\S]*?)(<\/c:f>)/g, (m, open, text, close) => open + escapeXml(mapRefs(unescapeXml(text), shift(null))) + close));
+        } else if (path.startsWith('xl/pivotCache/')) {
+          const tag = partXml.match(/<worksheetSource\b[^>]*>/)?.[0];
+          if (!tag || !sameSheet(attr(tag, 'sheet'), target.name) || !attr(tag, 'ref')) continue;
+          const [s, e = s] = attr(tag, 'ref').split(':').map(decodeCell);
+          if (at > s.c && at <= e.c) pivotInserts.push({ path, index: at - s.c, count });
+          setPart(path, partXml.replace(tag, setAttr(tag, 'ref', mapRefs(attr(tag, 'ref'), local))));
+        }
+      }
+    }
+
+    // A pivot cache whose source gained columns needs a field for each, in
+    // its records and in every pivot table built on it, or Excel rejects the
+    // file. New fields start blank and the cache refreshes when opened.
+    async function growPivotCaches() {
+      const byCache = new Map();
+      for (const insert of pivotInserts) byCache.set(insert.path, [...(byCache.get(insert.path) || []), insert]);
+      const pivotTables = Object.keys(zip.files).filter(p => /^xl\/pivotTables\/pivotTable\d+\.xml$/.test(p));
+      for (const [path, inserts] of byCache) {
+        let xml = parts.get(path);
+        const fields = [...xml.matchAll(/<cacheField\b[^>]*?(?:\/>|>[\s\S]*?<\/cacheField>)/g)].map(m => m[0]);
+        const recordsPath = (await relationships(zip, path)).find(r => r.type.endsWith('/pivotCacheRecords'))?.path;
+        let records = recordsPath && zip.file(recordsPath) ? await zip.file(recordsPath).async('string') : null;
+        const tables = [];
+        for (const file of pivotTables) {
+          if ((await relationships(zip, file)).some(r => r.path === path)) tables.push({ file, xml: await zip.file(file).async('string') });
+        }
+        for (const { index, count } of inserts) {
+          const before = fields.length;
+          fields.splice(index, 0, ...Array(count).fill(null));
+          records = records?.replace(/<r>([\s\S]*?)<\/r>/g, (m, body) => {
+            const values = body.match(/<([a-z])\b[^>]*?(?:\/>|>[\s\S]*?<\/\1>)/g) || [];
+            values.splice(index, 0, ...Array(count).fill('<m/>'));
+            return `<r>${values.join('')}</r>`;
+          });
+          for (const table of tables) table.xml = insertPivotFields(table.xml, index, count, before);
+        }
+
+        // New fields are named after their source header cells
+        const source = xml.match(/<worksheetSource\b[^>]*>/)[0];
+        const start = decodeCell(attr(source, 'ref').split(':')[0]);
+        const sheet = sheets.get(attr(source, 'sheet').toLowerCase());
+        const used = new Set(fields.filter(Boolean).map(f => attr(f, 'name').toLowerCase()));
+        const body = fields.map((field, i) => {
+          if (field) return field;
+          const cell = sheet?.rows.get(start.r)?.cells.get(start.c + i);
+          const base = (cell && String(typedValue(cell, strings) ?? '').trim()) || `Column${i + 1}`;
+          let name = base;
+          for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}${n}`;
+          used.add(name.toLowerCase());
+          return `<cacheField name="${escapeXml(name)}" numFmtId="0"><sharedItems containsBlank="1"/></cacheField>`;
+        });
+        xml = xml.replace(/<cacheFields\b[^>]*>[\s\S]*<\/cacheFields>/, `<cacheFields count="${body.length}">${body.join('')}</cacheFields>`)
+          .replace(/<pivotCacheDefinition\b[^>]*>/, tag => setAttr(tag, 'refreshOnLoad', '1'));
+        setPart(path, xml);
+        if (records) zip.file(recordsPath, records);
+        for (const table of tables) zip.file(table.file, table.xml);
+      }
+    }
+
+    // Add count hidden pivotFields at index and shift the field indices after it
+    function insertPivotFields(xml, index, count, total) {
+      const shift = n => (Number(n) >= index && Number(n) < total ? String(Number(n) + count) : n);
+      return xml.replace(/<pivotFields\b[^>]*>([\s\S]*?)<\/pivotFields>|<pivotFields\b[^>]*\/>/, (m, inner = '') => {
+        const items = inner.match(/<pivotField\b[^>]*?(?:\/>|>[\s\S]*?<\/pivotField>)/g) || [];
+        items.splice(index, 0, ...Array(count).fill('<pivotField showAll="0"/>'));
+        return `<pivotFields count="${items.length}">${items.join('')}</pivotFields>`;
+      })
+        .replace(/(<field\s+x=")(\d+)"/g, (m, open, n) => `${open}${shift(n)}"`)
+        .replace(/(<(?:pageField|dataField)\b[^>]*?\sfld=")(\d+)"/g, (m, open, n) => `${open}${shift(n)}"`)
+        .replace(/(<(?:reference|pivotArea)\b[^>]*?\sfield=")(\d+)"/g, (m, open, n) => `${open}${shift(n)}"`);
+    }
+
+    // Give tables a column for a new sheet column c: one inside a table (already
+    // widened by insertColumns), or one just right of it with its header in
+    // the table's header row
+    function growTables(sheet, c, headerRow, header) {
+      for (const path of sheet.tables) {
+        let xml = parts.get(path);
+        const ref = attr(xml.match(/<table\b[^>]*>/)[0], 'ref');
+        const [s, e = s] = ref.split(':').map(decodeCell);
+        const inside = c > s.c && c <= e.c;
+        if (!inside && !(c === e.c + 1 && headerRow === s.r)) continue;
+        if (!inside) {
+          const wider = `${encodeCell(s.r, s.c)}:${encodeCell(e.r, c)}`;
+          xml = xml.replace(/(<(?:table|autoFilter)\b[^>]*\sref=")([^"]*)"/g, (m, open) => `${open}${wider}"`);
+        }
+        const columns = [...xml.matchAll(/<tableColumn\b[^>]*?(?:\/>|>[\s\S]*?<\/tableColumn>)/g)].map(m => m[0]);
+        const names = new Set(columns.map(col => attr(col, 'name').toLowerCase()));
+        let name = String(header ?? '').trim() || `Column${columns.length + 1}`;
+        for (let n = 2; names.has(name.toLowerCase()); n++) name = `${String(header ?? 'Column').trim()}${n}`;
+        const id = Math.max(0, ...columns.map(col => Number(attr(col, 'id')))) + 1;
+        columns.splice(c - s.c, 0, `<tableColumn id="${id}" name="${escapeXml(name)}"/>`);
+        xml = xml.replace(/<tableColumns\b[^>]*>[\s\S]*<\/tableColumns>/, `<tableColumns count="${columns.length}">${columns.join('')}</tableColumns>`);
+        setPart(path, xml);
+        if (header !== null && header !== undefined && String(header).trim() !== name && headerRow === s.r) {
+          put(sheet, headerRow, c, name, styleOf(sheet, headerRow, c));
+        }
+      }
+    }
+
+    function sheetEditor(sheet) {
+      return {
+        name: sheet.name,
+
+        // Value of a cell ("B2"): number, string, boolean or null; formulas give their cached value
+        get(ref) {
+          const { r, c } = decodeCell(ref);
+          const xml = sheet.rows.get(r)?.cells.get(c);
+          return xml ? typedValue(xml, strings) : null;
+        },
+
+        // Set a cell to a value, { f, v } for a formula, or null to clear it. The
+        // cell keeps its style; style (styleWorkbook properties) adds to it.
+        set(ref, value, style) {
+          let cell;
+          try {
+            cell = decodeCell(ref);
+          } catch (err) {
+            fail(`set ${ref}`, err.message);
+          }
+          put(sheet, cell.r, cell.c, value, null);
+          queueStyle(sheet, ref, style);
+        },
+
+        // 0-indexed last row and column holding a cell, -1 when the sheet is empty
+        lastRow: () => lastRow(sheet),
+        lastColumn: () => lastColumn(sheet),
+
+        // Column letter of a header in headerRow (default 0)
+        columnOf(header, headerRow = 0) {
+          return colLetter(columnIndex(sheet, header, headerRow, 'columnOf'));
+        },
+
+        // Add a column: after the last one, or at / after a given column (a
+        // letter or header). Cells copy the style of the cell to their left.
+        // Returns the new column's letter.
+        addColumn(header, values = [], { at, after, headerRow = 0, style, headerStyle } = {}) {
+          if (at !== undefined && after !== undefined) fail('addColumn', 'use at or after, not both');
+          const end = lastColumn(sheet) + 1;
+          let c = end;
+          if (at !== undefined) c = columnIndex(sheet, at, headerRow, 'addColumn');
+          if (after !== undefined) c = columnIndex(sheet, after, headerRow, 'addColumn') + 1;
+          if (c < end) insertColumns(sheet, c, 1);
+          const template = r => (c > 0 ? styleOf(sheet, r, c - 1) : null);
+          if (header !== null && header !== undefined) put(sheet, headerRow, c, header, template(headerRow));
+          values.forEach((v, i) => put(sheet, headerRow + 1 + i, c, v, template(headerRow + 1 + i)));
+          growTables(sheet, c, headerRow, header);
+          const letter = colLetter(c);
+          queueStyle(sheet, `${letter}${headerRow + 1}`, headerStyle);
+          if (values.length) queueStyle(sheet, `${letter}${headerRow + 2}:${letter}${headerRow + 1 + values.length}`, style);
+          return letter;
+        },
+
+        // Append rows below the last one. Cells copy the style of the last row,
+        // and tables ending on that row grow to include the new rows.
+        appendRows(rows, { style } = {}) {
+          const last = lastRow(sheet);
+          const start = last + 1;
+          rows.forEach((values, i) => (values || []).forEach((v, c) => put(sheet, start + i, c, v, last >= 0 ? styleOf(sheet, last, c) : null)));
+          if (!rows.length) return start;
+          for (const path of sheet.tables) {
+            setPart(path, parts.get(path).replace(/(<(?:table|autoFilter)\b[^>]*\sref=")([^"]*)"/g, (m, open, ref) => {
+              const [s, e = s] = ref.split(':');
+              const end = decodeCell(e);
+              return end.r === last ? `${open}${s}:${encodeCell(last + rows.length, end.c)}"` : m;
+            }));
+          }
+          const width = Math.max(...rows.map(r => (r || []).length), 1);
+          queueStyle(sheet, `A${start + 1}:${colLetter(width - 1)}${start + rows.length}`, style);
+          return start;
+        },
+      };
+    }
+
+    function sheet(name) {
+      const state = sheets.get(String(name).toLowerCase());
+      if (!state) fail(`sheet "${name}"`, `not found (sheets: ${[...sheets.values()].map(s => s.name).join(', ')})`);
+      return sheetEditor(state);
+    }
+
+    async function flushParts() {
+      for (const path of changed) zip.file(path, parts.get(path));
+      changed.clear();
+    }
+
+    return {
+      get sheetNames() {
+        return [...sheets.values()].map(s => s.name);
+      },
+      sheet,
+
+      // Append a new sheet of values (see set) and return its editor
+      async addSheet(name, aoa = []) {
+        await flushParts();
+        let part;
+        try {
+          part = await addSheet(zip, name, worksheetXml(aoa.map(row => (row || []).map(v => (v instanceof Date ? v.getTime() / 864e5 + 25569 : v)))));
+        } catch (err) {
+          fail('addSheet', err.message);
+        }
+        parts.set('xl/workbook.xml', await zip.file('xl/workbook.xml').async('string'));
+        const state = await loadSheet(part);
+        aoa.forEach((row, r) => (row || []).forEach((v, c) => {
+          if (v instanceof Date) queueStyle(state, encodeCell(r, c), { numFmt: 'date' });
+        }));
+        return sheetEditor(state);
+      },
+
+      // The edited workbook as an ArrayBuffer
+      async save() {
+        await growPivotCaches();
+        pivotInserts.length = 0;
+        for (const s of sheets.values()) {
+          if (s.dirty) zip.file(s.path, writeSheetData(s.xml, s.rows));
+        }
+        if (edited) {
+          // Cached values of dependent formulas are stale: drop the calc chain
+          // (it may list cells that no longer hold formulas) and recalculate on open
+          if (zip.file('xl/calcChain.xml')) {
+            zip.remove('xl/calcChain.xml');
+            const rels = await zip.file('xl/_rels/workbook.xml.rels').async('string');
+            zip.file('xl/_rels/workbook.xml.rels', rels.replace(/<Relationship\b[^>]*Target="[^"]*calcChain\.xml"[^>]*>/, ''));
+            const types = await zip.file('[Content_Types].xml').async('string');
+            zip.file('[Content_Types].xml', types.replace(/<Override\b[^>]*PartName="\/xl\/calcChain\.xml"[^>]*>/, ''));
+          }
+          const wb = parts.get('xl/workbook.xml');
+          const [calcPr] = childElements(wb, 'calcPr');
+          const tag = calcPr?.match(/^<calcPr\b[^>]*>/)[0];
+          setPart('xl/workbook.xml', tag
+            ? wb.replace(tag, setAttr(tag, 'fullCalcOnLoad', '1'))
+            : insertWorkbookElement(wb, 'calcPr', '<calcPr fullCalcOnLoad="1"/>'));
+        }
+        await flushParts();
+        const out = await zip.generateAsync({ type: 'arraybuffer', compression: 'DEFLATE' });
+        if (!styles.size) return out;
+        const spec = {};
+        for (const [name, ranges] of styles) spec[name] = { ranges };
+        return globalThis.styleWorkbook(out, spec);
+      },
+    };
+  }
+
+  globalThis.editWorkbook = editWorkbook;
+})();
@@ -0,0 +1,502 @@
+// Pivot summaries for generated code. pivot(records, spec) groups rows by
+// row and column fields and aggregates value fields, with subtotals and grand
+// totals, deterministically (blank keys become "(blank)", labels sort in a
+// fixed order). addPivotSheet(buffer, spec) pivots a sheet of the workbook into
+// a new formatted summary sheet, and with pivotTable also adds a native Excel
+// PivotTable and its pivot cache, so users can re-pivot in Excel.
+// Loaded into the sandbox context after ooxml.js and styles.js.
+(function () {
+  'use strict';
+  const {
+    escapeXml, encodeCell, decodeRange, sheetParts, addRelationship, addContentType, nextPartPath,
+    insertWorkbookElement, childElements, worksheetXml, addSheet,
+  } = globalThis.OOXML;
+
+  const AGGREGATES = ['sum', 'count', 'count_distinct', 'avg', 'min', 'max'];
+  const AGGREGATE_LABELS = { sum: 'Sum', count: 'Count', count_distinct: 'Distinct count', avg: 'Average', min: 'Min', max: 'Max' };
+  // PivotTable data field functions; Excel has no distinct count without the data model
+  const EXCEL_SUBTOTALS = { sum: 'sum', count: 'count', avg: 'average', min: 'min', max: 'max' };
+  const SORTS = ['label', 'value_desc', 'value_asc'];
+  const SPEC_KEYS = ['rows', 'columns', 'values', 'subtotals', 'grandTotals', 'sort'];
+  const SHEET_KEYS = ['source', 'sheet', 'headerRow', 'range', 'pivotTable'];
+  const BLANK = '(blank)';
+  const GRAND_TOTAL = 'Grand Total';
+
+  const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/';
+  const CT = 'application/vnd.openxmlformats-officedocument.spreadsheetml.';
+  const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+  function fail(where, message) {
+    throw new Error(`pivot: ${where}: ${message}`);
+  }
+
+  function isEmpty(v) {
+    return v === null || v === undefined || String(v).trim() === '';
+  }
+
+  // Numbers and numeric text aggregate as numbers
+  function asNumber(v) {
+    if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+    if (typeof v === 'string' && /^\s*[-+]?\d+(\.\d+)?\s*$/.test(v)) return Number(v);
+    return null;
+  }
+
+  // Display label of a key value; dates as ISO
+  function label(v) {
+    if (isEmpty(v)) return BLANK;
+    if (v instanceof Date) {
+      const iso = v.toISOString();
+      return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+    }
+    return typeof v === 'string' ? v.trim() : v;
+  }
+
+  // Keys group case-insensitively, like the query tool and Excel
+  function groupKey(v) {
+    return isEmpty(v) ? '' : String(label(v)).toLowerCase();
+  }
+
+  // Numbers ascending, then text, then (blank) last
+  function compareLabels(a, b) {
+    if (a === BLANK || b === BLANK) return (a === BLANK) - (b === BLANK);
+    const x = asNumber(a), y = asNumber(b);
+    if (x !== null && y !== null) return x - y;
+    if (x !== null || y !== null) return x !== null ? -1 : 1;
+    return String(a).localeCompare(String(b), 'en', { numeric: true, sensitivity: 'base' });
+  }
+
+  function aggregate(fn, values) {
+    if (fn === 'count') return values.filter(v => !isEmpty(v)).length;
+    const present = values.filter(v => !isEmpty(v));
+    if (fn === 'count_distinct') return new Set(present.map(groupKey)).size;
+    const nums = present.map(asNumber).filter(n => n !== null);
+    if (fn === 'sum') return nums.reduce((s, n) => s + n, 0);
+    if (!nums.length) return null;
+    if (fn === 'avg') return nums.reduce((s, n) => s + n, 0) / nums.length;
+    if (fn === 'min') return Math.min(...nums);
+    return Math.max(...nums);
+  }
+
+  // Resolve field names against the headers and validate the spec
+  function compile(headers, spec) {
+    if (!spec || typeof spec !== 'object') fail('spec', 'must be an object');
+    for (const key of Object.keys(spec)) {
+      if (!SPEC_KEYS.includes(key) && !SHEET_KEYS.includes(key)) {
+        fail('spec', `unknown property "${key}" (use: ${[...SPEC_KEYS, ...SHEET_KEYS].join(', ')})`);
+      }
+    }
+    const column = (ref, where) => {
+      const q = String(ref ?? '').trim().toLowerCase();
+      const c = headers.findIndex(h => h.toLowerCase() === q);
+      if (c === -1) fail(where, `unknown column ${JSON.stringify(ref)} (columns: ${headers.join(', ')})`);
+      return c;
+    };
+    const fields = (list, where) => {
+      if (list !== undefined && !Array.isArray(list)) list = [list];
+      return (list || []).map(ref => column(ref, where));
+    };
+    const rows = fields(spec.rows, 'rows');
+    const columns = fields(spec.columns, 'columns');
+    let values = spec.values === undefined ? [] : Array.isArray(spec.values) ? spec.values : [spec.values];
+    if (!values.length) fail('values', 'at least one value is required, e.g. [{ column: "Amount", agg: "sum" }]');
+    values = values.map((v, i) => {
+      const where = `values[${i}]`;
+      if (typeof v === 'string') v = { column: v };
+      const agg = v.agg || 'sum';
+      if (!AGGREGATES.includes(agg)) fail(where, `unknown agg "${agg}" (use: ${AGGREGATES.join(', ')})`);
+      if (agg !== 'count' && v.column === undefined) fail(where, `"${agg}" needs a column`);
+      const col = v.column === undefined ? null : column(v.column, where);
+      const name = col === null ? 'Count' : `${AGGREGATE_LABELS[agg]} of ${headers[col]}`;
+      return { agg, col, name: v.as || name, numFmt: v.numFmt };
+    });
+    const sort = spec.sort || 'label';
+    if (!SORTS.includes(sort)) fail('sort', `must be one of: ${SORTS.join(', ')}`);
+    const totals = spec.grandTotals ?? true;
+    return {
+      rows, columns, values, sort,
+      subtotals: spec.subtotals ?? true,
+      grandRows: typeof totals === 'object' ? totals.rows ?? true : Boolean(totals),
+      grandColumns: typeof totals === 'object' ? totals.columns ?? true : Boolean(totals),
+    };
+  }
+
+  // Group the records along the row fields into a tree of { label, records, children }
+  function rowTree(records, fields) {
+    const root = { label: null, records, children: [] };
+    const grow = (node, depth) => {
+      if (depth === fields.length) return;
+      const groups = new Map();
+      for (const rec of node.records) {
+        const key = groupKey(rec[fields[depth]]);
+        if (!groups.has(key)) groups.set(key, { label: label(rec[fields[depth]]), records: [], children: [] });
+        groups.get(key).records.push(rec);
+      }
+      node.children = [...groups.values()];
+      for (const child of node.children) grow(child, depth + 1);
+    };
+    grow(root, 0);
+    return root;
+  }
+
+  // headers: field names; records: arrays of cell values. Returns the summary
+  // grid and where its header, subtotal and total rows are.
+  function build(headers, records, q) {
+    const colId = rec => JSON.stringify(q.columns.map(c => groupKey(rec[c])));
+    const leaves = new Map();
+    for (const rec of records) {
+      const id = colId(rec);
+      if (!leaves.has(id)) leaves.set(id, q.columns.map(c => label(rec[c])));
+    }
+    const colLeaves = [...leaves.entries()].sort(([, a], [, b]) => {
+      for (let i = 0; i < a.length; i++) {
+        const d = compareLabels(a[i], b[i]);
+        if (d) return d;
+      }
+      return 0;
+    });
+
+    const values = (recs, valueIndex) => {
+      const v = q.values[valueIndex];
+      return aggregate(v.agg, v.col === null ? recs.map(() => 1) : recs.map(r => r[v.col]));
+    };
+    // One node's data cells: per column leaf × value, then the grand total columns
+    const cells = recs => {
+      const out = [];
+      if (q.columns.length) {
+        const byCol = new Map();
+        for (const rec of recs) {
+          const id = colId(rec);
+          if (!byCol.has(id)) byCol.set(id, []);
+          byCol.get(id).push(rec);
+        }
+        for (const [id] of colLeaves) {
+          for (let v = 0; v < q.values.length; v++) out.push(byCol.has(id) ? values(byCol.get(id), v) : null);
+        }
+        if (!q.grandColumns) return out;
+      }
+      for (let v = 0; v < q.values.length; v++) out.push(recs.length ? values(recs, v) : null);
+      return out;
+    };
+
+    const root = rowTree(records, q.rows);
+    const sortNodes = nodes => {
+      if (q.sort === 'label') return nodes.sort((a, b) => compareLabels(a.label, b.label));
+      const total = node => values(node.records, 0) ?? -Infinity;
+      const sign = q.sort === 'value_desc' ? -1 : 1;
+      return nodes.sort((a, b) => sign * (total(a) - total(b)) || compareLabels(a.label, b.label));
+    };
+
+    // Header rows: one per column field, plus value names when there are several
+    const labelCols = Math.max(q.rows.length, 1);
+    const aoa = [];
+    const merges = [];
+    const valueRow = !q.columns.length || q.values.length > 1;
+    const headerRows = q.columns.length + (q.columns.length && valueRow ? 1 : 0) || 1;
+    for (let r = 0; r < headerRows; r++) aoa.push(new Array(labelCols).fill(null));
+    const last = aoa[headerRows - 1];
+    q.rows.forEach((c, i) => { last[i] = headers[c]; });
+    if (q.columns.length) {
+      q.columns.forEach((c, level) => {
+        const row = aoa[level];
+        let start = null, prev = null;
+        colLeaves.forEach(([, leaf], i) => {
+          const prefix = JSON.stringify(leaf.slice(0, level + 1));
+          for (let v = 0; v < q.values.length; v++) row.push(prefix === prev ? null : v ? null : leaf[level]);
+          if (prefix !== prev) {
+            if (start !== null) merges.push({ s: { r: level, c: start }, e: { r: level, c: labelCols + i * q.values.length - 1 } });
+            start = labelCols + i * q.values.length;
+          }
+          prev = prefix;
+        });
+        if (start !== null) merges.push({ s: { r: level, c: start }, e: { r: level, c: labelCols + colLeaves.length * q.values.length - 1 } });
+        if (q.grandColumns) {
+          for (let v = 0; v < q.values.length; v++) row.push(level === 0 && v === 0 ? GRAND_TOTAL : null);
+          if (q.values.length > 1) merges.push({ s: { r: 0, c: row.length - q.values.length }, e: { r: 0, c: row.length - 1 } });
+        }
+      });
+      if (valueRow) {
+        const groups = colLeaves.length + (q.grandColumns ? 1 : 0);
+        for (let g = 0; g < groups; g++) last.push(...q.values.map(v => v.name));
+      }
+    } else {
+      last.push(...q.values.map(v => v.name));
+    }
+    // Drop single-cell merges
+    for (let i = merges.length - 1; i >= 0; i--) if (merges[i].s.c === merges[i].e.c) merges.splice(i, 1);
+    if (!q.rows.length && aoa[headerRows - 1][0] === null) aoa[headerRows - 1][0] = '';
+
+    // Body: leaves with their labels repeated, a subtotal after each group
+    const subtotalRows = [];
+    const emit = (node, depth, path) => {
+      if (depth === q.rows.length) {
+        aoa.push([...path, ...cells(node.records)]);
+        return;
+      }
+      for (const child of sortNodes(node.children)) emit(child, depth + 1, [...path, child.label]);
+      if (q.subtotals && depth > 0 && depth < q.rows.length) {
+        const row = [...path.slice(0, -1), `${path[path.length - 1]} Total`];
+        while (row.length < labelCols) row.push(null);
+        subtotalRows.push(aoa.length);
+        aoa.push([...row, ...cells(node.records)]);
+      }
+    };
+    if (q.rows.length) emit(root, 0, []);
+    let totalRow = null;
+    if (q.grandRows || !q.rows.length) {
+      const row = [q.rows.length ? GRAND_TOTAL : 'Total'];
+      while (row.length < labelCols) row.push(null);
+      totalRow = aoa.length;
+      aoa.push([...row, ...cells(records)]);
+    }
+
+    // Per data column: which value it holds, for number formats
+    const valueOf = [];
+    for (let c = labelCols; c < aoa[headerRows - 1].length; c++) valueOf.push((c - labelCols) % q.values.length);
+    return { aoa, headerRows, labelCols, subtotalRows, totalRow, merges, valueOf };
+  }
+
+  // records: objects keyed by header (sheet_to_json's default output)
+  function pivot(records, spec) {
+    if (!Array.isArray(records)) fail('records', 'must be an array of row objects');
+    const headers = [];
+    for (const rec of records) {
+      for (const key of Object.keys(rec || {})) if (!headers.includes(key)) headers.push(key);
+    }
+    const q = compile(headers, spec);
+    const { aoa, headerRows, subtotalRows, totalRow, merges } = build(headers, records.map(rec => headers.map(h => rec?.[h] ?? null)), q);
+    return { aoa, headerRows, subtotalRows, totalRow, merges };
+  }
+
+  // Source rows of a sheet: { headers, records, ref } with dates as Date objects
+  function readSource(buffer, sheet, headerRow, range) {
+    const wb = XLSX.read(buffer, { type: 'array', sheets: [sheet], cellNF: true });
+    const ws = wb.Sheets[sheet];
+    if (!ws || !ws['!ref']) fail(`source "${sheet}"`, 'the sheet is empty');
+    const bounds = range || XLSX.utils.decode_range(ws['!ref']);
+    const top = headerRow ?? bounds.s.r;
+    const value = (r, c) => {
+      const cell = ws[encodeCell(r, c)];
+      if (!cell || cell.t === 'z' || cell.t === 'e') return null;
+      if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) return new Date(Math.round((cell.v - 25569) * 864e5));
+      return cell.v;
+    };
+    const headers = [];
+    for (let c = bounds.s.c; c <= bounds.e.c; c++) {
+      const h = value(top, c);
+      headers.push(isEmpty(h) ? '' : String(label(h)));
+    }
+    let lastRow = top;
+    const records = [];
+    for (let r = top + 1; r <= bounds.e.r; r++) {
+      const rec = headers.map((_, i) => value(r, bounds.s.c + i));
+      records.push(rec);
+      if (rec.some(v => !isEmpty(v))) lastRow = r;
+    }
+    records.length = lastRow - top;
+    const ref = `${encodeCell(top, bounds.s.c)}:${encodeCell(lastRow, bounds.e.c)}`;
+    return { headers, records, ref };
+  }
+
+  // ── Native PivotTable ───────────────────────────
+  // A pivot cache over the source range (definition plus records) and a
+  // pivot table definition on its own sheet. The table is marked to refresh
+  // on load, so Excel lays it out from the cache when the file opens.
+
+  function cacheValue(v) {
+    if (isEmpty(v)) return '<m/>';
+    if (v instanceof Date) return `<d v="${v.toISOString().slice(0, 19)}"/>`;
+    if (typeof v === 'number') return `<n v="${v}"/>`;
+    if (typeof v === 'boolean') return `<b v="${v ? 1 : 0}"/>`;
+    return `<s v="${escapeXml(String(v).trim())}"/>`;
+  }
+
+  // <sharedItems> attributes describing the field's value types
+  function sharedItemsAttrs(values) {
+    const present = values.filter(v => !isEmpty(v));
+    const nums = present.filter(v => typeof v === 'number');
+    const dates = present.filter(v => v instanceof Date);
+    const others = present.length - nums.length - dates.length;
+    const attrs = [];
+    if (present.length < values.length) attrs.push('containsBlank="1"');
+    if (dates.length) {
+      const times = dates.map(d => d.getTime());
+      const iso = t => new Date(t).toISOString().slice(0, 19);
+      if (!others && !nums.length) attrs.push('containsSemiMixedTypes="0"', 'containsNonDate="0"', 'containsString="0"');
+      attrs.push('containsDate="1"', `minDate="${iso(Math.min(...times))}"`, `maxDate="${iso(Math.max(...times))}"`);
+    } else if (nums.length) {
+      if (!others) attrs.push('containsSemiMixedTypes="0"', 'containsString="0"');
+      else attrs.push('containsMixedTypes="1"');
+      attrs.push('containsNumber="1"');
+      if (nums.every(Number.isInteger)) attrs.push('containsInteger="1"');
+      attrs.push(`minValue="${Math.min(...nums)}"`, `maxValue="${Math.max(...nums)}"`);
+    }
+    return attrs.length ? ' ' + attrs.join(' ') : '';
+  }
+
+  async function addPivotTable(zip, { sheet, source, headers, records, q, name }) {
+    const dupes = headers.filter((h, i) => !h || headers.findIndex(x => x.toLowerCase() === h.toLowerCase()) !== i);
+    if (dupes.length) fail('pivotTable', 'every source column needs a unique, non-empty header for a PivotTable');
+    const unsupported = q.values.find(v => !EXCEL_SUBTOTALS[v.agg] || v.col === null);
+    if (unsupported) fail('pivotTable', `"${unsupported.agg}"${unsupported.col === null ? ' without a column' : ''} has no PivotTable equivalent; drop pivotTable or use another agg`);
+
+    // Axis fields enumerate their items; records point at them by index
+    const axis = new Set([...q.rows, ...q.columns]);
+    const items = headers.map((_, c) => {
+      if (!axis.has(c)) return null;
+      const seen = new Map();
+      for (const rec of records) if (!seen.has(groupKey(rec[c]))) seen.set(groupKey(rec[c]), seen.size);
+      return seen;
+    });
+    const firstOf = headers.map((_, c) => {
+      if (!items[c]) return null;
+      const first = new Map();
+      for (const rec of records) if (!first.has(groupKey(rec[c]))) first.set(groupKey(rec[c]), rec[c]);
+      return [...first.values()];
+    });
+    const cacheFields = headers.map((h, c) => {
+      const column = records.map(rec => rec[c]);
+      const attrs = sharedItemsAttrs(column);
+      const shared = items[c]
+        ? `<sharedItems${attrs} count="${firstOf[c].length}">${firstOf[c].map(cacheValue).join('')}</sharedItems>`
+        : `<sharedItems${attrs}/>`;
+      return `<cacheField name="${escapeXml(h)}" numFmtId="0">${shared}</cacheField>`;
+    }).join('');
+    const recordsXml = records.map(rec => '<r>' + rec.map((v, c) => (items[c] ? `<x v="${items[c].get(groupKey(v))}"/>` : cacheValue(v))).join('') + '</r>').join('');
+
+    const workbookXml = await zip.file('xl/workbook.xml').async('string');
+    const cacheIds = [...workbookXml.matchAll(/<pivotCache\b[^>]*\scacheId="(\d+)"/g)].map(m => Number(m[1]));
+    const cacheId = Math.max(0, ...cacheIds) + 1;
+
+    const recordsPath = nextPartPath(zip, 'xl/pivotCache/pivotCacheRecords', '.xml');
+    zip.file(recordsPath, `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<pivotCacheRecords xmlns="${NS_MAIN}" xmlns:r="${NS_R}" count="${records.length}">${recordsXml}</pivotCacheRecords>`);
+    await addContentType(zip, recordsPath, CT + 'pivotCacheRecords+xml');
+    const definitionPath = nextPartPath(zip, 'xl/pivotCache/pivotCacheDefinition', '.xml');
+    const recordsId = await addRelationship(zip, definitionPath, REL + 'pivotCacheRecords', recordsPath);
+    zip.file(definitionPath, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + `<pivotCacheDefinition xmlns="${NS_MAIN}" xmlns:r="${NS_R}" r:id="${recordsId}" refreshOnLoad="1" createdVersion="6" refreshedVersion="6" minRefreshableVersion="3" recordCount="${records.length}">`
+      + `<cacheSource type="worksheet"><worksheetSource ref="${source.ref}" sheet="${escapeXml(source.sheet)}"/></cacheSource>`
+      + `<cacheFields count="${headers.length}">${cacheFields}</cacheFields></pivotCacheDefinition>`);
+    await addContentType(zip, definitionPath, CT + 'pivotCacheDefinition+xml');
+
+    // Register the cache with the workbook
+    const cacheRId = await addRelationship(zip, 'xl/workbook.xml', REL + 'pivotCacheDefinition', definitionPath);
+    let wbXml = await zip.file('xl/workbook.xml').async('string');
+    const [existing] = childElements(wbXml, 'pivotCaches');
+    const entry = `<pivotCache cacheId="${cacheId}" r:id="${cacheRId}"/>`;
+    wbXml = insertWorkbookElement(wbXml, 'pivotCaches',
+      existing ? existing.replace('</pivotCaches>', entry + '</pivotCaches>') : `<pivotCaches>${entry}</pivotCaches>`, { replace: true });
+    zip.file('xl/workbook.xml', wbXml);
+
+    // The table: compact layout at A3, like Excel's own default
+    const colFields = [...q.columns, ...(q.values.length > 1 ? [-2] : [])];
+    const headerRows = colFields.length ? colFields.length + 1 : 1;
+    const rowCount = (node, depth) => (depth === q.rows.length ? 1 : 1 + node.children.reduce((n, ch) => n + rowCount(ch, depth + 1), 0));
+    const bodyRows = q.rows.length ? rowCount(rowTree(records, q.rows), 0) - 1 : 1;
+    const colLeaves = new Set(records.map(rec => JSON.stringify(q.columns.map(c => groupKey(rec[c]))))).size;
+    const width = 1 + (q.columns.length ? colLeaves + (q.grandColumns ? 1 : 0) : 1) * q.values.length;
+    const height = headerRows + bodyRows + (q.grandRows && q.rows.length ? 1 : 0);
+    const location = `<location ref="A3:${encodeCell(2 + height - 1, width - 1)}" firstHeaderRow="1" firstDataRow="${headerRows}" firstDataCol="1"/>`;
+    const pivotFields = headers.map((_, c) => {
+      const data = q.values.some(v => v.col === c) ? ' dataField="1"' : '';
+      if (!items[c]) return `<pivotField${data} showAll="0"/>`;
+      const kind = q.rows.includes(c) ? 'axisRow' : 'axisCol';
+      const subtotal = q.subtotals ? '<item t="default"/>' : '';
+      const list = firstOf[c].map((_, i) => `<item x="${i}"/>`).join('') + subtotal;
+      return `<pivotField axis="${kind}"${data} showAll="0"${q.subtotals ? '' : ' defaultSubtotal="0"'}><items count="${firstOf[c].length + (q.subtotals ? 1 : 0)}">${list}</items></pivotField>`;
+    }).join('');
+    const fieldList = (tag, list) => (list.length ? `<${tag} count="${list.length}">${list.map(x => `<field x="${x}"/>`).join('')}</${tag}>` : '');
+    const dataFields = q.values.map(v => {
+      // Excel rejects a data field named exactly like a source field
+      const fieldName = headers.some(h => h.toLowerCase() === v.name.toLowerCase()) ? `${v.name} ` : v.name;
+      const subtotal = v.agg === 'sum' ? '' : ` subtotal="${EXCEL_SUBTOTALS[v.agg]}"`;
+      return `<dataField name="${escapeXml(fieldName)}" fld="${v.col}"${subtotal} baseField="0" baseItem="0"/>`;
+    }).join('');
+    const tableXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + `<pivotTableDefinition xmlns="${NS_MAIN}" name="${escapeXml(name)}" cacheId="${cacheId}" applyNumberFormats="0" applyBorderFormats="0"`
+      + ' applyFontFormats="0" applyPatternFormats="0" applyAlignmentFormats="0" applyWidthHeightFormats="1" dataCaption="Values"'
+      + ' updatedVersion="6" minRefreshableVersion="3" useAutoFormatting="1" itemPrintTitles="1" createdVersion="6" indent="0" outline="1" outlineData="1"'
+      + `${q.grandRows ? '' : ' rowGrandTotals="0"'}${q.grandColumns ? '' : ' colGrandTotals="0"'}>`
+      + `${location}<pivotFields count="${headers.length}">${pivotFields}</pivotFields>`
+      + fieldList('rowFields', q.rows) + fieldList('colFields', colFields)
+      + `<dataFields count="${q.values.length}">${dataFields}</dataFields>`
+      + '<pivotTableStyleInfo name="PivotStyleLight16" showRowHeaders="1" showColHeaders="1" showRowStripes="0" showColStripes="0" showLastColumn="1"/>'
+      + '</pivotTableDefinition>';
+    const tablePath = nextPartPath(zip, 'xl/pivotTables/pivotTable', '.xml');
+    zip.file(tablePath, tableXml);
+    await addContentType(zip, tablePath, CT + 'pivotTable+xml');
+    await addRelationship(zip, tablePath, REL + 'pivotCacheDefinition', definitionPath);
+    await addRelationship(zip, sheet.path, REL + 'pivotTable', tablePath);
+  }
+
+  // spec: pivot spec plus { source, sheet, headerRow, range, pivotTable }
+  async function addPivotSheet(buffer, spec) {
+    if (!spec || typeof spec !== 'object') fail('spec', 'must be an object');
+    const zip = await JSZip.loadAsync(buffer);
+    const parts = await sheetParts(zip);
+    const sourceName = spec.source;
+    if (!parts.some(p => p.name === sourceName)) {
+      fail('source', `sheet ${JSON.stringify(sourceName)} not found (sheets: ${parts.map(p => p.name).join(', ')})`);
+    }
+    if (!spec.sheet) fail('sheet', 'the name of the summary sheet to add is required');
+    let range = null;
+    if (spec.range) {
+      try {
+        range = decodeRange(spec.range);
+      } catch (err) {
+        fail('range', err.message);
+      }
+      if (range.e.r === null) range.e.r = 1048575;
+    }
+    const source = readSource(buffer, sourceName, spec.headerRow ?? (range ? range.s.r : undefined), range);
+    const headers = source.headers.map((h, i) => h || `Column ${i + 1}`);
+    const q = compile(headers, spec);
+    // Blank rows inside the range stay in the native cache, as Excel would read them
+    const grid = build(headers, source.records.filter(rec => rec.some(v => !isEmpty(v))), q);
+
+    // Summary sheet, then its formatting through styleWorkbook
+    try {
+      await addSheet(zip, spec.sheet, worksheetXml(grid.aoa, { merges: grid.merges }));
+    } catch (err) {
+      fail('sheet', err.message);
+    }
+    if (spec.pivotTable) {
+      const pivotName = spec.pivotTable === true ? `${spec.sheet} PivotTable`.slice(0, 31) : String(spec.pivotTable);
+      let sheet;
+      try {
+        sheet = await addSheet(zip, pivotName, worksheetXml([]));
+      } catch (err) {
+        fail('pivotTable', err.message);
+      }
+      await addPivotTable(zip, { sheet, source: { sheet: sourceName, ref: source.ref }, headers: source.headers, records: source.records, q, name: 'PivotTable1' });
+    }
+    const out = await zip.generateAsync({ type: 'arraybuffer', compression: 'DEFLATE' });
+    return globalThis.styleWorkbook(out, { [spec.sheet]: summaryStyle(grid, q) });
+  }
+
+  function summaryStyle(grid, q) {
+    const { aoa, headerRows, labelCols, subtotalRows, totalRow, valueOf } = grid;
+    const lastCol = encodeCell(0, aoa[headerRows - 1].length - 1).replace(/\d+$/, '');
+    const row = r => `A${r + 1}:${lastCol}${r + 1}`;
+    const ranges = [{ range: `A1:${lastCol}${headerRows}`, bold: true, fill: '#DDEBF7', border: { bottom: 'thin' } }];
+    // Number formats per value: counts as integers, others by their data
+    const body = aoa.slice(headerRows);
+    const formats = q.values.map((value, v) => {
+      if (value.numFmt) return value.numFmt;
+      const numbers = body.flatMap(r => valueOf.flatMap((x, i) => (x === v ? [r[labelCols + i]] : []))).filter(n => typeof n === 'number');
+      return value.agg.startsWith('count') || numbers.every(Number.isInteger) ? 'integer' : 'decimal';
+    });
+    if (body.length) {
+      valueOf.forEach((v, i) => {
+        const col = encodeCell(0, labelCols + i).replace(/\d+$/, '');
+        ranges.push({ range: `${col}${headerRows + 1}:${col}${aoa.length}`, numFmt: formats[v] });
+      });
+    }
+    for (const r of subtotalRows) ranges.push({ range: row(r), bold: true, fill: '#F2F2F2' });
+    if (totalRow !== null) ranges.push({ range: row(totalRow), bold: true, border: { top: 'thin', bottom: 'double' } });
+    return { headerRow: headerRows - 1, ranges, freeze: { rows: headerRows, cols: labelCols }, autoWidth: true };
+  }
+
+  globalThis.pivot = pivot;
+  globalThis.addPivotSheet = addPivotSheet;
+})();
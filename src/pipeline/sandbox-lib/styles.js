@@ -0,0 +1,559 @@
+// Declarative styling for generated workbooks. styleWorkbook(buffer, spec)
+// applies fonts, fills, borders, alignment, number formats, column widths,
+// frozen panes, conditional formats, data validation and autofilters to any
+// sheet, editing styles.xml, workbook.xml and the sheet XML through JSZip.
+// Loaded into the sandbox context after ooxml.js.
+(function () {
+  'use strict';
+  const {
+    escapeXml, attr, setAttr, colIndex, decodeCell, encodeCell, decodeRange, sheetParts,
+    insertElement, insertWorksheetElement, insertWorkbookElement, childElements, parseSheetData, writeSheetData,
+    cellTag, setCellAttr, sharedStrings, cellText,
+  } = globalThis.OOXML;
+
+  const STYLESHEET_ORDER = ['numFmts', 'fonts', 'fills', 'borders', 'cellStyleXfs', 'cellXfs', 'cellStyles', 'dxfs', 'tableStyles', 'colors', 'extLst'];
+  const STYLE_KEYS = ['bold', 'italic', 'underline', 'strike', 'color', 'size', 'font', 'fill', 'border', 'align', 'valign', 'wrap', 'indent', 'rotate', 'numFmt'];
+  const FONT_KEYS = ['bold', 'italic', 'underline', 'strike', 'color', 'size', 'font'];
+  const BORDER_STYLES = ['thin', 'medium', 'thick', 'dashed', 'dotted', 'double', 'hair'];
+  const COLORS = {
+    black: '000000', white: 'FFFFFF', red: 'FF0000', green: '00B050', blue: '0070C0', yellow: 'FFFF00',
+    orange: 'FFC000', gray: '808080', grey: '808080', lightgray: 'D9D9D9', lightgrey: 'D9D9D9',
+  };
+  const NUMBER_FORMATS = {
+    currency: '"$"#,##0.00', integer: '#,##0', decimal: '#,##0.00', percent: '0.0%',
+    date: 'yyyy-mm-dd', datetime: 'yyyy-mm-dd hh:mm',
+  };
+  const BUILTIN_FORMATS = { General: 0, '0': 1, '0.00': 2, '#,##0': 3, '#,##0.00': 4, '0%': 9, '0.00%': 10, '0.00E+00': 11, '@': 49 };
+  const OPERATORS = {
+    '<': 'lessThan', '<=': 'lessThanOrEqual', '>': 'greaterThan', '>=': 'greaterThanOrEqual',
+    '=': 'equal', '!=': 'notEqual', between: 'between', not_between: 'notBetween',
+  };
+  const MIN_AUTO_WIDTH = 8;
+  const MAX_AUTO_WIDTH = 60;
+
+  function fail(where, message) {
+    throw new Error(`styleWorkbook: ${where}: ${message}`);
+  }
+
+  function argb(color, where) {
+    const key = String(color).trim().toLowerCase();
+    let hex = (COLORS[key] || key.replace(/^#/, '')).toLowerCase();
+    if (/^[0-9a-f]{3}$/.test(hex)) hex = hex.replace(/./g, ch => ch + ch);
+    if (/^[0-9a-f]{6}$/.test(hex)) hex = 'ff' + hex;
+    if (!/^[0-9a-f]{8}$/.test(hex)) fail(where, `invalid color "${color}" (use "#RRGGBB" or a name: ${Object.keys(COLORS).join(', ')})`);
+    return hex.toUpperCase();
+  }
+
+  function checkStyle(style, where, extra = []) {
+    if (!style || typeof style !== 'object') fail(where, 'expected a style object');
+    for (const key of Object.keys(style)) {
+      if (!STYLE_KEYS.includes(key) && !extra.includes(key)) {
+        fail(where, `unknown property "${key}" (use ${[...STYLE_KEYS, ...extra].join(', ')})`);
+      }
+    }
+    return style;
+  }
+
+  // Items of a styles.xml collection such as <fonts>, as XML strings
+  function collection(xml, name, item) {
+    const [el] = childElements(xml, name);
+    if (!el) return [];
+    return [...el.matchAll(new RegExp(`<${item}\\b[^>]*?(?:/>|>[\\s\\S]*?</${item}>)`, 'g'))].map(m => m[0]);
+  }
+
+  // ── styles.xml ─────────────────────────────────
+  // Existing fonts, fills, borders, formats and cell formats are kept; new
+  // ones are appended and identical entries reused.
+
+  function readStyleSheet(xml) {
+    const lists = {};
+    const index = {};
+    for (const [name, item] of [['fonts', 'font'], ['fills', 'fill'], ['borders', 'border'], ['cellXfs', 'xf'], ['dxfs', 'dxf']]) {
+      lists[name] = collection(xml, name, item);
+      index[name] = new Map(lists[name].map((x, i) => [x, i]));
+    }
+    const numFmts = new Map(Object.entries(BUILTIN_FORMATS));
+    const custom = [];
+    let nextFmt = 164;
+    for (const tag of collection(xml, 'numFmts', 'numFmt')) {
+      const id = Number(attr(tag, 'numFmtId'));
+      numFmts.set(attr(tag, 'formatCode'), id);
+      custom.push(tag);
+      nextFmt = Math.max(nextFmt, id + 1);
+    }
+    if (!lists.fonts.length) lists.fonts.push('<font><sz val="11"/><name val="Calibri"/></font>');
+    if (!lists.fills.length) lists.fills.push('<fill><patternFill patternType="none"/></fill>', '<fill><patternFill patternType="gray125"/></fill>');
+    if (!lists.borders.length) lists.borders.push('<border><left/><right/><top/><bottom/><diagonal/></border>');
+    if (!lists.cellXfs.length) lists.cellXfs.push('<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>');
+
+    function add(name, itemXml) {
+      if (!index[name].has(itemXml)) {
+        index[name].set(itemXml, lists[name].length);
+        lists[name].push(itemXml);
+      }
+      return index[name].get(itemXml);
+    }
+
+    function numFmtId(code) {
+      if (!numFmts.has(code)) {
+        numFmts.set(code, nextFmt);
+        custom.push(`<numFmt numFmtId="${nextFmt}" formatCode="${escapeXml(code)}"/>`);
+        nextFmt++;
+      }
+      return numFmts.get(code);
+    }
+
+    function toXml() {
+      let out = xml;
+      const put = (name, items) => {
+        out = insertElement(out, STYLESHEET_ORDER, name, `<${name} count="${items.length}">${items.join('')}</${name}>`, { replace: true });
+      };
+      if (custom.length) put('numFmts', custom);
+      put('fonts', lists.fonts);
+      put('fills', lists.fills);
+      put('borders', lists.borders);
+      put('cellXfs', lists.cellXfs);
+      if (lists.dxfs.length) put('dxfs', lists.dxfs);
+      return out;
+    }
+
+    return { lists, add, numFmtId, toXml };
+  }
+
+  function formatCode(numFmt) {
+    return NUMBER_FORMATS[numFmt] || String(numFmt);
+  }
+
+  function parseFont(xml) {
+    const flag = (tag) => new RegExp(`<${tag}\\b(?![^>]*val="(0|false)")[^>]*>`).test(xml);
+    return {
+      bold: flag('b'),
+      italic: flag('i'),
+      strike: flag('strike'),
+      underline: flag('u'),
+      size: xml.match(/<sz\b[^>]*val="([^"]*)"/)?.[1] || '11',
+      color: xml.match(/<color\b[^>]*\/>/)?.[0] || '',
+      name: xml.match(/<name\b[^>]*val="([^"]*)"/)?.[1] || 'Calibri',
+      family: xml.match(/<family\b[^>]*\/>/)?.[0] || '',
+      scheme: xml.match(/<scheme\b[^>]*\/>/)?.[0] || '',
+    };
+  }
+
+  function fontXml(base, style, where) {
+    const font = { ...base };
+    if ('bold' in style) font.bold = !!style.bold;
+    if ('italic' in style) font.italic = !!style.italic;
+    if ('strike' in style) font.strike = !!style.strike;
+    if ('underline' in style) font.underline = !!style.underline;
+    if ('size' in style) font.size = String(Number(style.size));
+    if ('color' in style) font.color = `<color rgb="${argb(style.color, where)}"/>`;
+    // A theme scheme would override an explicit font name
+    if ('font' in style) { font.name = escapeXml(style.font); font.scheme = ''; }
+    return '<font>' + (font.bold ? '<b/>' : '') + (font.italic ? '<i/>' : '') + (font.strike ? '<strike/>' : '')
+      + (font.underline ? '<u/>' : '') + `<sz val="${font.size}"/>` + font.color + `<name val="${font.name}"/>`
+      + font.family + font.scheme + '</font>';
+  }
+
+  function fillXml(fill, where) {
+    if (!fill || fill === 'none') return '<fill><patternFill patternType="none"/></fill>';
+    return `<fill><patternFill patternType="solid"><fgColor rgb="${argb(fill, where)}"/><bgColor indexed="64"/></patternFill></fill>`;
+  }
+
+  // "thin", { style, color }, or per side { top, bottom, left, right }
+  function borderXml(border, where) {
+    const side = (spec) => {
+      if (!spec || spec === 'none') return null;
+      const { style, color } = typeof spec === 'string' ? { style: spec } : spec;
+      if (!BORDER_STYLES.includes(style)) fail(where, `invalid border style "${style}" (use ${BORDER_STYLES.join(', ')})`);
+      return { style, color };
+    };
+    const perSide = border && typeof border === 'object' && ['top', 'bottom', 'left', 'right'].some(k => k in border);
+    const sides = {};
+    for (const name of ['left', 'right', 'top', 'bottom']) sides[name] = side(perSide ? border[name] : border);
+    return '<border>' + ['left', 'right', 'top', 'bottom'].map(name => {
+      const s = sides[name];
+      if (!s) return `<${name}/>`;
+      return `<${name} style="${s.style}">` + (s.color ? `<color rgb="${argb(s.color, where)}"/>` : '<color auto="1"/>') + `</${name}>`;
+    }).join('') + '<diagonal/></border>';
+  }
+
+  function alignmentAttrs(base, style) {
+    const a = { ...base };
+    if ('align' in style) a.horizontal = style.align;
+    if ('valign' in style) a.vertical = style.valign;
+    if ('wrap' in style) a.wrapText = style.wrap ? '1' : null;
+    if ('indent' in style) a.indent = String(style.indent);
+    if ('rotate' in style) a.textRotation = String(style.rotate);
+    return a;
+  }
+
+  // Cell format for a style applied on top of the cell's current format
+  function cellXfId(stylesheet, baseId, style, where) {
+    const base = stylesheet.lists.cellXfs[baseId] || stylesheet.lists.cellXfs[0];
+    const baseAlign = {};
+    const alignTag = base.match(/<alignment\b[^>]*>/)?.[0];
+    for (const key of ['horizontal', 'vertical', 'wrapText', 'indent', 'textRotation']) {
+      const value = alignTag && attr(alignTag, key);
+      if (value !== null && value !== undefined) baseAlign[key] = value;
+    }
+
+    let fontId = Number(attr(base, 'fontId') || 0);
+    if (FONT_KEYS.some(k => k in style)) {
+      fontId = stylesheet.add('fonts', fontXml(parseFont(stylesheet.lists.fonts[fontId] || stylesheet.lists.fonts[0]), style, where));
+    }
+    const fillId = 'fill' in style ? stylesheet.add('fills', fillXml(style.fill, where)) : Number(attr(base, 'fillId') || 0);
+    const borderId = 'border' in style ? stylesheet.add('borders', borderXml(style.border, where)) : Number(attr(base, 'borderId') || 0);
+    const numFmtId = 'numFmt' in style ? stylesheet.numFmtId(formatCode(style.numFmt)) : Number(attr(base, 'numFmtId') || 0);
+    const align = alignmentAttrs(baseAlign, style);
+    const alignAttrs = Object.entries(align).filter(([, v]) => v !== null && v !== undefined)
+      .map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join('');
+
+    const xf = `<xf numFmtId="${numFmtId}" fontId="${fontId}" fillId="${fillId}" borderId="${borderId}" xfId="0"`
+      + (numFmtId ? ' applyNumberFormat="1"' : '') + (fontId ? ' applyFont="1"' : '')
+      + (fillId ? ' applyFill="1"' : '') + (borderId ? ' applyBorder="1"' : '')
+      + (alignAttrs ? ` applyAlignment="1"><alignment${alignAttrs}/></xf>` : '/>');
+    return stylesheet.add('cellXfs', xf);
+  }
+
+  // Differential format for conditional formatting: font, number format, fill, border
+  function dxfId(stylesheet, style, where) {
+    checkStyle(style, where);
+    let xml = '<dxf>';
+    if (FONT_KEYS.some(k => k in style)) {
+      xml += '<font>' + (style.bold ? '<b/>' : '') + (style.italic ? '<i/>' : '') + (style.strike ? '<strike/>' : '')
+        + (style.underline ? '<u/>' : '') + (style.color ? `<color rgb="${argb(style.color, where)}"/>` : '') + '</font>';
+    }
+    if (style.numFmt) {
+      xml += `<numFmt numFmtId="${stylesheet.numFmtId(formatCode(style.numFmt))}" formatCode="${escapeXml(formatCode(style.numFmt))}"/>`;
+    }
+    if (style.fill) xml += `<fill><patternFill><bgColor rgb="${argb(style.fill, where)}"/></patternFill></fill>`;
+    if (style.border) xml += borderXml(style.border, where);
+    return stylesheet.add('dxfs', xml + '</dxf>');
+  }
+
+  // ── Sheet XML ──────────────────────────────────
+
+  // Column index from a header cell's text (case-insensitive) or a letter
+  function resolveColumn(key, headers, where) {
+    const c = headers.findIndex(h => h.trim().toLowerCase() === String(key).trim().toLowerCase());
+    if (c !== -1) return c;
+    if (/^[A-Z]{1,3}$/.test(key)) return colIndex(key);
+    fail(where, `no column "${key}" (use a column letter or one of the headers: ${headers.filter(Boolean).join(', ')})`);
+  }
+
+  // Merge widths into <cols>, splitting existing spans as needed
+  function setColumnWidths(xml, widths) {
+    if (!widths.size) return xml;
+    let spans = [];
+    const [cols] = childElements(xml, 'cols');
+    if (cols) {
+      for (const [tag] of cols.matchAll(/<col\b[^>]*\/>/g)) {
+        spans.push({ min: Number(attr(tag, 'min')), max: Number(attr(tag, 'max')), tag });
+      }
+    }
+    for (const [c, width] of widths) {
+      const n = c + 1;
+      const span = spans.find(s => s.min <= n && n <= s.max);
+      const tag = setAttr(setAttr(span ? span.tag : `<col min="${n}" max="${n}"/>`, 'width', String(width)), 'customWidth', '1');
+      const pieces = [{ min: n, max: n, tag }];
+      if (span) {
+        if (span.min < n) pieces.push({ ...span, max: n - 1 });
+        if (span.max > n) pieces.push({ ...span, min: n + 1 });
+        spans = spans.filter(s => s !== span);
+      }
+      spans.push(...pieces);
+    }
+    const body = spans.sort((a, b) => a.min - b.min)
+      .map(s => setAttr(setAttr(s.tag, 'min', String(s.min)), 'max', String(s.max))).join('');
+    return insertWorksheetElement(xml, 'cols', `<cols>${body}</cols>`, { replace: true });
+  }
+
+  // freeze: { rows, cols } or the top-left scrolling cell ("B2")
+  function setFreeze(xml, freeze, where) {
+    let rows, cols;
+    if (typeof freeze === 'string') ({ r: rows, c: cols } = decodeCell(freeze));
+    else ({ rows = 0, cols = 0 } = freeze);
+    if (!(rows >= 0 && cols >= 0)) fail(where, 'freeze takes { rows, cols } or a cell like "B2"');
+    const [views] = childElements(xml, 'sheetViews');
+    const viewTag = (views && views.match(/<sheetView\b[^>]*?(?=\/?>)/)?.[0]) || '<sheetView workbookViewId="0"';
+    let pane = '';
+    if (rows || cols) {
+      const active = rows && cols ? 'bottomRight' : rows ? 'bottomLeft' : 'topRight';
+      pane = '<pane' + (cols ? ` xSplit="${cols}"` : '') + (rows ? ` ySplit="${rows}"` : '')
+        + ` topLeftCell="${encodeCell(rows, cols)}" activePane="${active}" state="frozen"/>`
+        + `<selection pane="${active}" activeCell="${encodeCell(rows, cols)}" sqref="${encodeCell(rows, cols)}"/>`;
+    }
+    return insertWorksheetElement(xml, 'sheetViews', `<sheetViews>${viewTag}>${pane}</sheetView></sheetViews>`, { replace: true });
+  }
+
+  // A conditional format value: numbers as-is, "=..." as a formula, else quoted text
+  function cfValue(value) {
+    if (typeof value === 'number') return String(value);
+    const s = String(value);
+    if (s.startsWith('=')) return s.slice(1);
+    return `"${s.replace(/"/g, '""')}"`;
+  }
+
+  function conditionalXml(stylesheet, rule, priority, where) {
+    if (!rule.range) fail(where, 'needs a range');
+    const range = decodeRange(rule.range);
+    const topLeft = encodeCell(range.s.r, range.s.c);
+    const kinds = ['op', 'formula', 'contains', 'duplicates', 'top', 'bottom', 'colorScale', 'dataBar'].filter(k => k in rule);
+    if (kinds.length !== 1) fail(where, 'give exactly one of op, formula, contains, duplicates, top, bottom, colorScale, dataBar');
+    let body;
+    switch (kinds[0]) {
+      case 'op': {
+        const operator = OPERATORS[rule.op];
+        if (!operator) fail(where, `unknown op "${rule.op}" (use ${Object.keys(OPERATORS).join(', ')})`);
+        const values = rule.op === 'between' || rule.op === 'not_between' ? [].concat(rule.value) : [rule.value];
+        if (values.length !== (operator.includes('etween') ? 2 : 1) || values.some(v => v === undefined)) {
+          fail(where, `op "${rule.op}" needs ${operator.includes('etween') ? 'value: [low, high]' : 'a value'}`);
+        }
+        body = `<cfRule type="cellIs" dxfId="${dxfId(stylesheet, rule.style || {}, where)}" priority="${priority}" operator="${operator}">`
+          + values.map(v => `<formula>${escapeXml(cfValue(v))}</formula>`).join('') + '</cfRule>';
+        break;
+      }
+      case 'formula':
+        body = `<cfRule type="expression" dxfId="${dxfId(stylesheet, rule.style || {}, where)}" priority="${priority}">`
+          + `<formula>${escapeXml(String(rule.formula).replace(/^=/, ''))}</formula></cfRule>`;
+        break;
+      case 'contains': {
+        const text = String(rule.contains);
+        body = `<cfRule type="containsText" dxfId="${dxfId(stylesheet, rule.style || {}, where)}" priority="${priority}" operator="containsText" text="${escapeXml(text)}">`
+          + `<formula>${escapeXml(`NOT(ISERROR(SEARCH(${cfValue(text)},${topLeft})))`)}</formula></cfRule>`;
+        break;
+      }
+      case 'duplicates':
+        body = `<cfRule type="${rule.duplicates === 'unique' ? 'uniqueValues' : 'duplicateValues'}" dxfId="${dxfId(stylesheet, rule.style || {}, where)}" priority="${priority}"/>`;
+        break;
+      case 'top':
+      case 'bottom': {
+        const rank = Number(rule[kinds[0]]);
+        if (!(rank >= 1)) fail(where, `${kinds[0]} takes a count (or a percentage with percent: true)`);
+        body = `<cfRule type="top10" dxfId="${dxfId(stylesheet, rule.style || {}, where)}" priority="${priority}"`
+          + (kinds[0] === 'bottom' ? ' bottom="1"' : '') + (rule.percent ? ' percent="1"' : '') + ` rank="${rank}"/>`;
+        break;
+      }
+      case 'colorScale': {
+        const colors = [].concat(rule.colorScale);
+        if (colors.length !== 2 && colors.length !== 3) fail(where, 'colorScale takes 2 or 3 colors, low to high');
+        const cfvo = colors.length === 3
+          ? '<cfvo type="min"/><cfvo type="percentile" val="50"/><cfvo type="max"/>'
+          : '<cfvo type="min"/><cfvo type="max"/>';
+        body = `<cfRule type="colorScale" priority="${priority}"><colorScale>${cfvo}`
+          + colors.map(c => `<color rgb="${argb(c, where)}"/>`).join('') + '</colorScale></cfRule>';
+        break;
+      }
+      case 'dataBar':
+        body = `<cfRule type="dataBar" priority="${priority}"><dataBar><cfvo type="min"/><cfvo type="max"/>`
+          + `<color rgb="${argb(rule.dataBar === true ? '#638EC6' : rule.dataBar, where)}"/></dataBar></cfRule>`;
+        break;
+    }
+    return `<conditionalFormatting sqref="${escapeXml(String(rule.range).replace(/\$/g, ''))}">${body}</conditionalFormatting>`;
+  }
+
+  // Validation types that compare against bounds (op and value)
+  const VALIDATION_TYPES = ['whole', 'decimal', 'date', 'time', 'textLength'];
+
+  // A validation bound: numbers as-is, ISO dates as DATE(), "=..." as a formula
+  function validationValue(value, type) {
+    if (typeof value === 'number') return String(value);
+    const s = String(value);
+    if (s.startsWith('=')) return s.slice(1);
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+    if (type === 'date' && iso) return `DATE(${Number(iso[1])},${Number(iso[2])},${Number(iso[3])})`;
+    return s;
+  }
+
+  // { range, list } (values or a range like "Lists!$A$1:$A$9"), { range, type, op, value },
+  // or { range, formula }; plus allowBlank, prompt, error, strict
+  function validationXml(rule, where) {
+    if (!rule.range) fail(where, 'needs a range');
+    const kinds = ['list', 'type', 'formula'].filter(k => k in rule);
+    if (kinds.length !== 1) fail(where, 'give exactly one of list, type (with op and value), formula');
+    let type, operator = null, formulas;
+    if (kinds[0] === 'list') {
+      type = 'list';
+      if (Array.isArray(rule.list)) {
+        const items = rule.list.map(String);
+        if (items.some(v => v.includes(','))) fail(where, 'list values cannot contain commas; put them in cells and give the range instead');
+        const literal = `"${items.join(',').replace(/"/g, '""')}"`;
+        if (literal.length > 257) fail(where, 'list is longer than Excel allows (255 characters); put the values in cells and give the range instead');
+        formulas = [literal];
+      } else {
+        formulas = [String(rule.list).replace(/^=/, '')];
+      }
+    } else if (kinds[0] === 'formula') {
+      type = 'custom';
+      formulas = [String(rule.formula).replace(/^=/, '')];
+    } else {
+      type = rule.type;
+      if (!VALIDATION_TYPES.includes(type)) fail(where, `unknown type "${type}" (use ${VALIDATION_TYPES.join(', ')}, or list / formula)`);
+      const op = rule.op || 'between';
+      operator = OPERATORS[op];
+      if (!operator) fail(where, `unknown op "${op}" (use ${Object.keys(OPERATORS).join(', ')})`);
+      const values = operator.includes('etween') ? [].concat(rule.value) : [rule.value];
+      if (values.length !== (operator.includes('etween') ? 2 : 1) || values.some(v => v === undefined)) {
+        fail(where, `op "${op}" needs ${operator.includes('etween') ? 'value: [low, high]' : 'a value'}`);
+      }
+      formulas = values.map(v => validationValue(v, type));
+    }
+    const strict = rule.strict !== false;
+    return `<dataValidation type="${type}"` + (strict ? '' : ' errorStyle="warning"')
+      + (operator && operator !== 'between' ? ` operator="${operator}"` : '')
+      + (rule.allowBlank === false ? '' : ' allowBlank="1"')
+      + (rule.prompt ? ' showInputMessage="1"' : '') + ' showErrorMessage="1"'
+      + (rule.error ? ` error="${escapeXml(rule.error)}"` : '')
+      + (rule.prompt ? ` prompt="${escapeXml(rule.prompt)}"` : '')
+      + ` sqref="${escapeXml(String(rule.range).replace(/\$/g, ''))}">`
+      + formulas.map((f, i) => `<formula${i + 1}>${escapeXml(f)}</formula${i + 1}>`).join('')
+      + '</dataValidation>';
+  }
+
+  function addValidations(xml, rules, name) {
+    const [existing] = childElements(xml, 'dataValidations');
+    const items = existing ? [...existing.matchAll(/<dataValidation\b[^>]*?(?:\/>|>[\s\S]*?<\/dataValidation>)/g)].map(m => m[0]) : [];
+    rules.forEach((rule, i) => items.push(validationXml(rule, `sheet "${name}" validations[${i}]`)));
+    return insertWorksheetElement(xml, 'dataValidations', `<dataValidations count="${items.length}">${items.join('')}</dataValidations>`, { replace: true });
+  }
+
+  const SHEET_KEYS = ['headerRow', 'header', 'columns', 'ranges', 'freeze', 'autoWidth', 'conditional', 'validations', 'autoFilter'];
+
+  async function styleSheet(zip, path, spec, stylesheet, strings, name) {
+    for (const key of Object.keys(spec)) {
+      if (!SHEET_KEYS.includes(key)) fail(`sheet "${name}"`, `unknown option "${key}" (use ${SHEET_KEYS.join(', ')})`);
+    }
+    let xml = await zip.file(path).async('string');
+    const { rows, used } = parseSheetData(xml);
+    const headerRow = spec.headerRow ?? 0;
+    const headers = [];
+    for (const [c, cell] of rows.get(headerRow)?.cells || []) headers[c] = cellText(cell, strings);
+    for (let c = 0; c < headers.length; c++) headers[c] = headers[c] ?? '';
+
+    // Styles per cell, merged in order: columns, header, ranges
+    const styles = new Map();
+    const apply = (r, c, style) => {
+      const key = r + ':' + c;
+      styles.set(key, { ...styles.get(key), ...style });
+    };
+    const widths = new Map();
+    const lastRow = used ? used.e.r : -1;
+    const lastCol = used ? used.e.c : -1;
+
+    for (const [key, columnSpec] of Object.entries(spec.columns || {})) {
+      const where = `sheet "${name}" columns.${key}`;
+      const { width, ...style } = checkStyle(columnSpec, where, ['width']);
+      const c = resolveColumn(key, headers, where);
+      if (width !== undefined) widths.set(c, width);
+      if (Object.keys(style).length) for (let r = headerRow + 1; r <= lastRow; r++) apply(r, c, style);
+    }
+    if (spec.header) {
+      checkStyle(spec.header, `sheet "${name}" header`);
+      for (let c = used ? used.s.c : 0; c <= lastCol; c++) apply(headerRow, c, spec.header);
+    }
+    (spec.ranges || []).forEach((rangeSpec, i) => {
+      const where = `sheet "${name}" ranges[${i}]`;
+      const { range: ref, ...style } = checkStyle(rangeSpec, where, ['range']);
+      if (!ref) fail(where, 'needs a range like "A1:D1"');
+      const range = decodeRange(ref);
+      // Whole columns stop at the last filled row
+      const endRow = range.e.r === null ? lastRow : range.e.r;
+      for (let r = range.s.r; r <= endRow; r++) {
+        for (let c = range.s.c; c <= range.e.c; c++) apply(r, c, style);
+      }
+    });
+
+    // Most cells share a few (format, style) pairs; resolve each pair once
+    const resolved = new Map();
+    for (const [key, style] of styles) {
+      const [r, c] = key.split(':').map(Number);
+      if (!rows.has(r)) rows.set(r, { tag: `<row r="${r + 1}">`, cells: new Map() });
+      const cells = rows.get(r).cells;
+      const cell = cells.get(c) || `<c r="${encodeCell(r, c)}"/>`;
+      const base = Number(attr(cellTag(cell), 's') || 0);
+      const pair = base + '|' + JSON.stringify(style);
+      if (!resolved.has(pair)) resolved.set(pair, cellXfId(stylesheet, base, style, `sheet "${name}" ${encodeCell(r, c)}`));
+      const s = resolved.get(pair);
+      cells.set(c, setCellAttr(cell, 's', s ? String(s) : null));
+    }
+    if (styles.size) xml = writeSheetData(xml, rows);
+
+    if (spec.autoWidth) {
+      for (let c = used ? used.s.c : 0; c <= lastCol; c++) {
+        if (widths.has(c)) continue;
+        let longest = 0;
+        for (const { cells } of rows.values()) {
+          const cell = cells.get(c);
+          if (cell) longest = Math.max(longest, ...cellText(cell, strings).split('\n').map(line => line.length));
+        }
+        widths.set(c, Math.min(MAX_AUTO_WIDTH, Math.max(MIN_AUTO_WIDTH, longest + 2)));
+      }
+    }
+    xml = setColumnWidths(xml, widths);
+    if (spec.freeze) xml = setFreeze(xml, spec.freeze, `sheet "${name}" freeze`);
+
+    let priority = Math.max(0, ...[...xml.matchAll(/<cfRule\b[^>]*priority="(\d+)"/g)].map(m => Number(m[1])));
+    (spec.conditional || []).forEach((rule, i) => {
+      const element = conditionalXml(stylesheet, rule, ++priority, `sheet "${name}" conditional[${i}]`);
+      xml = insertWorksheetElement(xml, 'conditionalFormatting', element);
+    });
+    if (spec.validations?.length) xml = addValidations(xml, spec.validations, name);
+
+    // autoFilter: true for the header row down to the last row, or an A1 range
+    let filterRef = null;
+    if (spec.autoFilter) {
+      if (spec.autoFilter === true) {
+        if (!used) fail(`sheet "${name}" autoFilter`, 'the sheet is empty');
+        filterRef = `${encodeCell(headerRow, used.s.c)}:${encodeCell(Math.max(lastRow, headerRow), lastCol)}`;
+      } else {
+        const range = decodeRange(spec.autoFilter);
+        filterRef = `${encodeCell(range.s.r, range.s.c)}:${encodeCell(range.e.r ?? lastRow, range.e.c)}`;
+      }
+      xml = insertWorksheetElement(xml, 'autoFilter', `<autoFilter ref="${filterRef}"/>`, { replace: true });
+    }
+    zip.file(path, xml);
+    return filterRef;
+  }
+
+  // Excel keeps each sheet's filter range in a hidden _FilterDatabase name
+  function setFilterNames(workbookXml, filters) {
+    const [existing] = childElements(workbookXml, 'definedNames');
+    let names = existing ? [...existing.matchAll(/<definedName\b[^>]*>[\s\S]*?<\/definedName>/g)].map(m => m[0]) : [];
+    for (const { index, name, ref } of filters) {
+      names = names.filter(n => !(attr(n, 'name') === '_xlnm._FilterDatabase' && attr(n, 'localSheetId') === String(index)));
+      const [a, b] = ref.split(':').map(cell => cell.replace(/^([A-Z]+)(\d+)$/, '$$$1$$$2'));
+      names.push(`<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">${escapeXml(`'${name.replace(/'/g, "''")}'!${a}:${b}`)}</definedName>`);
+    }
+    return insertWorkbookElement(workbookXml, 'definedNames', `<definedNames>${names.join('')}</definedNames>`, { replace: true });
+  }
+
+  // spec: { [sheetName]: sheetSpec }, "*" for every sheet (applied first)
+  async function styleWorkbook(buffer, spec) {
+    if (!spec || typeof spec !== 'object') throw new Error('styleWorkbook: spec must be an object keyed by sheet name');
+    const zip = await JSZip.loadAsync(buffer);
+    const parts = await sheetParts(zip);
+    for (const name of Object.keys(spec)) {
+      if (name !== '*' && !parts.some(p => p.name === name)) {
+        fail(`sheet "${name}"`, `not found (sheets: ${parts.map(p => p.name).join(', ')})`);
+      }
+    }
+    const stylesXml = await zip.file('xl/styles.xml').async('string');
+    const stylesheet = readStyleSheet(stylesXml);
+    const strings = await sharedStrings(zip);
+    const filters = [];
+    for (const [index, part] of parts.entries()) {
+      for (const sheetSpec of [spec['*'], spec[part.name]]) {
+        if (!sheetSpec) continue;
+        const ref = await styleSheet(zip, part.path, sheetSpec, stylesheet, strings, part.name);
+        if (ref) filters.push({ index, name: part.name, ref });
+      }
+    }
+    zip.file('xl/styles.xml', stylesheet.toXml());
+    if (filters.length) {
+      zip.file('xl/workbook.xml', setFilterNames(await zip.file('xl/workbook.xml').async('string'), filters));
+    }
+    return zip.generateAsync({ type: 'arraybuffer', compression: 'DEFLATE' });
+  }
+
+  globalThis.styleWorkbook = styleWorkbook;
+})();
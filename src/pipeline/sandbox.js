@@ -0,0 +1,199 @@
+// Sandbox process for LLM-generated code. Spawned by execute.js under Node's
+// permission model (no file writes or child processes, reads limited to this
+// file and the libraries), with a memory cap and a kill on timeout.
+// SheetJS + JSZip and the helper libraries in sandbox-lib/ are loaded as source
+// text into a fresh vm context, so the generated code runs in a realm with no
+// require, process, fs or network. The vm context is not a security boundary
+// on its own: host objects are never handed to generated code (see BOOTSTRAP),
+// and the permission model and closeNetwork() contain anything that gets out.
+// Protocol: one JSON job on stdin ({ code, files, libraries }); JSON lines on
+// stdout ({ type: 'log' | 'result' | 'error' }).
+// A result carries a base64 `buffer`, or `files` for multi-file outputs.
+
+const fs = require('fs');
+const vm = require('vm');
+
+// The permission model leaves the network open, so code that got out of the
+// vm context could still connect. Every socket, datagram and DNS entry point
+// of this process throws from here on; http, tls and fetch all connect
+// through net.Socket. The originals are not kept anywhere.
+function closeNetwork() {
+  const denied = (name) => function () {
+    throw new Error(`${name}: network access is disabled in the sandbox`);
+  };
+  const deny = (target, prefix, names) => {
+    for (const name of names) {
+      if (name !== 'constructor' && typeof target[name] === 'function') target[name] = denied(prefix + name);
+    }
+  };
+  const net = require('net');
+  deny(net.Socket.prototype, 'net.Socket.', ['connect']);
+  deny(net.Server.prototype, 'net.Server.', ['listen']);
+  deny(require('dgram').Socket.prototype, 'dgram.Socket.', ['bind', 'connect', 'send']);
+  const dns = require('dns');
+  for (const [target, prefix] of [[dns, 'dns.'], [dns.promises, 'dns.promises.'], [dns.Resolver.prototype, 'dns.Resolver.'], [dns.promises.Resolver.prototype, 'dns.promises.Resolver.']]) {
+    deny(target, prefix, Object.getOwnPropertyNames(target).filter(name => name !== 'Resolver'));
+  }
+  for (const name of ['fetch', 'WebSocket', 'EventSource']) delete globalThis[name];
+}
+closeNetwork();
+
+// Runs inside the context, before any generated code. Host functions stay
+// captured in this closure and are only ever called, never passed in, so
+// generated code can't reach the host realm through them (e.g. via
+// fn.constructor). The intrinsics used to report the result are captured here
+// too, so generated code that patches Promise.prototype.then gets nothing.
+const BOOTSTRAP = `(function (hostLog, hostSetTimer, hostClearTimer, hostDone) {
+  'use strict';
+  const then = Promise.prototype.then;
+  const apply = Reflect.apply;
+  const log = (msg) => { hostLog(String(msg)); };
+  const print = (...args) => log(args.map(String).join(' '));
+  globalThis.log = log;
+  globalThis.console = { log: print, info: print, warn: print, error: print, debug: print };
+  globalThis.setTimeout = (fn, ms, ...args) => hostSetTimer(() => fn(...args), Number(ms) || 0);
+  globalThis.clearTimeout = (id) => { hostClearTimer(Number(id)); };
+  globalThis.setImmediate = (fn, ...args) => globalThis.setTimeout(fn, 0, ...args);
+  globalThis.clearImmediate = globalThis.clearTimeout;
+  globalThis.files = [];
+  return {
+    addFile(name, size) {
+      const file = { name: String(name), buffer: new ArrayBuffer(size) };
+      globalThis.files.push(file);
+      return file.buffer;
+    },
+    settle(promise) {
+      apply(then, promise, [(value) => { hostDone(true, value); }, (err) => { hostDone(false, err); }]);
+    },
+  };
+})`;
+
+function send(msg) {
+  process.stdout.write(JSON.stringify(msg) + '\n');
+}
+
+// Exit once everything written so far has been flushed to the parent
+function finish(code) {
+  process.stdout.write('', () => process.exit(code));
+}
+
+function fail(err) {
+  const isError = err && typeof err === 'object' && 'message' in err;
+  send({
+    type: 'error',
+    message: isError ? String(err.message) : String(err),
+    stack: isError && err.stack ? String(err.stack) : '',
+  });
+}
+
+function toBuffer(value) {
+  if (typeof value === 'string') return Buffer.from(value, 'utf-8');
+  if (ArrayBuffer.isView(value)) return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  if (Object.prototype.toString.call(value) === '[object ArrayBuffer]') return Buffer.from(new Uint8Array(value));
+  if (Array.isArray(value)) return Buffer.from(value);
+  throw new Error('Code must return { buffer, filename } — buffer must be an ArrayBuffer (or a string for text formats)');
+}
+
+// Read a result returned by generated code. It may be a Proxy, so no host
+// function is passed to it (no .map callbacks); only primitives go in.
+function readResult(result) {
+  const filename = result && typeof result.filename === 'string' ? result.filename : null;
+  // Multi-file outputs (ZIP bundles) return { files: [{ buffer, filename }] }
+  if (result && Array.isArray(result.files)) {
+    const count = Number(result.files.length);
+    if (!count) throw new Error('Code returned an empty files array');
+    const files = [];
+    for (let i = 0; i < count; i++) {
+      const f = result.files[i];
+      files.push({
+        filename: f && typeof f.filename === 'string' ? f.filename : `file-${i + 1}`,
+        buffer: toBuffer(f && f.buffer).toString('base64'),
+      });
+    }
+    return { type: 'result', files, filename };
+  }
+  if (!result || !result.buffer) {
+    throw new Error('Code must return { buffer, filename }');
+  }
+  return { type: 'result', buffer: toBuffer(result.buffer).toString('base64'), filename };
+}
+
+function run(job) {
+  // A null-prototype global: with {}, lookups that miss the context's own
+  // globals fall through to the host Object.prototype, and
+  // this.constructor.constructor is the host Function
+  const context = vm.createContext(Object.create(null));
+  const timers = new Map();
+  let nextTimer = 1;
+  let done = false;
+
+  const hostLog = (msg) => {
+    try { send({ type: 'log', msg: String(msg) }); } catch {}
+  };
+  const hostSetTimer = (fn, ms) => {
+    const id = nextTimer++;
+    timers.set(id, setTimeout(() => {
+      timers.delete(id);
+      try { fn(); } catch (err) { hostDone(false, err); }
+    }, ms));
+    return id;
+  };
+  const hostClearTimer = (id) => {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+  };
+  const hostDone = (ok, value) => {
+    if (done) return;
+    done = true;
+    for (const timer of timers.values()) clearTimeout(timer);
+    try {
+      if (!ok) throw value;
+      send(readResult(value));
+      finish(0);
+    } catch (err) {
+      fail(err);
+      finish(1);
+    }
+  };
+
+  const sandbox = vm.runInContext(BOOTSTRAP, context)(hostLog, hostSetTimer, hostClearTimer, hostDone);
+  const { addFile, settle } = sandbox;
+  for (const lib of job.libraries) {
+    vm.runInContext(fs.readFileSync(lib, 'utf-8'), context, { filename: lib });
+  }
+  for (const f of job.files) {
+    const bytes = Buffer.from(f.data, 'base64');
+    new Uint8Array(addFile(f.name, bytes.length)).set(bytes);
+  }
+
+  // Keep the wrapper on the first line so stack line numbers match the code
+  let promise;
+  try {
+    promise = vm.runInContext('"use strict"; (async () => { ' + job.code + '\n})()', context, { filename: 'generated.js' });
+  } catch (err) {
+    return hostDone(false, err); // syntax errors
+  }
+  settle(promise);
+}
+
+// Jobs only run when this is the entry point; tests require it to check
+// closeNetwork() from outside the vm context
+if (require.main === module) {
+  const chunks = [];
+  process.stdin.on('data', (chunk) => chunks.push(chunk));
+  process.stdin.on('end', () => {
+    let job;
+    try {
+      job = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+    } catch (err) {
+      fail(new Error(`Invalid sandbox job: ${err.message}`));
+      return finish(1);
+    }
+    try {
+      run(job);
+    } catch (err) {
+      fail(err);
+      finish(1);
+    }
+  });
+}
@@ -0,0 +1,47 @@
+// Session context for follow-up runs: which inputs changed since the last run,
+// and how to fold a partial exploration report into the previous one.
+// A session is { report, inputs: [{ name, hash }], history: [{ prompt, code, ... }] }.
+
+const crypto = require('crypto');
+
+function hashInputs(files) {
+  return files.map(f => ({
+    name: f.name,
+    hash: crypto.createHash('sha256').update(f.buffer).digest('hex'),
+  }));
+}
+
+// Split the current inputs into files the session already explored (same name
+// and contents) and files that are new or changed
+function diffInputs(session, inputs) {
+  const known = new Map((session?.inputs || []).map(i => [i.name, i.hash]));
+  const unchanged = inputs.filter(i => known.get(i.name) === i.hash).map(i => i.name);
+  const changed = inputs.filter(i => known.get(i.name) !== i.hash).map(i => i.name);
+  return { unchanged, changed };
+}
+
+// The previous report narrowed to the given files
+function pickReport(report, names) {
+  const keep = new Set(names);
+  const dropped = (report?.files || []).map(f => f.name).filter(n => !keep.has(n));
+  return {
+    files: (report?.files || []).filter(f => keep.has(f.name)),
+    relationships: (report?.relationships || []).filter(r => keep.has(r.file1) && keep.has(r.file2)),
+    // Issues can't be attributed reliably; drop the ones naming a file that's gone
+    data_issues: (report?.data_issues || []).filter(issue => !dropped.some(n => issue.includes(n))),
+    recommended_approach: report?.recommended_approach || '',
+  };
+}
+
+// Combine the kept part of the previous report with a report on the changed files
+function mergeReports(previous, next) {
+  const names = new Set((next.files || []).map(f => f.name));
+  return {
+    ...next,
+    files: [...previous.files.filter(f => !names.has(f.name)), ...(next.files || [])],
+    relationships: [...previous.relationships, ...(next.relationships || [])],
+    data_issues: [...previous.data_issues, ...(next.data_issues || [])],
+  };
+}
+
+module.exports = { hashInputs, diffInputs, pickReport, mergeReports };
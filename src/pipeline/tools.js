@@ -2,7 +2,12 @@
 // Creates a closure over parsed files and returns an executor function.
 
 const XLSX = require('xlsx');
-const { MAX_READ_ROWS, MAX_UNIQUE_VALUES } = require('./constants');
+const { MAX_READ_ROWS, MAX_FORMULA_CELLS, MAX_TABLES } = require('./constants');
+const { readInput } = require('./ingest');
+const { readLayoutWorkbook, describeLayout } = require('./layout');
+const { profileColumn, cellTextReader } = require('./profile');
+const { NORMALIZATIONS, collectKeyMap, compareKeySets, autoNormalize, fuzzyCandidates } = require('./keys');
+const { runQuery } = require('./query');
 
 const sheetJsonCache = new WeakMap();
 function getSheetRows(ws) {
@@ -12,14 +17,166 @@ function getSheetRows(ws) {
   return rows;
 }
 
+// Formula cells as { cell, r, c, formula, value }, sorted row-major,
+// optionally limited to an A1 range
+function getFormulaCells(ws, range) {
+  const bounds = range ? XLSX.utils.decode_range(range) : null;
+  const cells = [];
+  for (const addr of Object.keys(ws)) {
+    if (addr[0] === '!' || !ws[addr].f) continue;
+    const { r, c } = XLSX.utils.decode_cell(addr);
+    if (bounds && (r < bounds.s.r || r > bounds.e.r || c < bounds.s.c || c > bounds.e.c)) continue;
+    cells.push({ cell: addr, r, c, formula: `=${ws[addr].f}`, value: ws[addr].v ?? null });
+  }
+  return cells.sort((a, b) => a.r - b.r || a.c - b.c);
+}
+
+// Formula with relative row numbers written as offsets from its own row
+// ({r}, {r-1}), so a column filled down with one formula has one pattern.
+// Absolute rows ($1), quoted text and quoted sheet names ('Q1'!A2) are left alone.
+function formulaPattern(formula, row) {
+  return formula.split(/("(?:[^"]|"")*"|'(?:[^']|'')*')/).map((part, i) => (i % 2 ? part : part.replace(
+    /(^|[^A-Za-z0-9_.$])(\$?[A-Z]{1,3})(\d+)(?![\d(A-Za-z_])/g,
+    (m, pre, col, num) => {
+      const offset = Number(num) - 1 - row;
+      return `${pre}${col}{r${offset ? (offset > 0 ? `+${offset}` : offset) : ''}}`;
+    },
+  ))).join('');
+}
+
+// ── Table detection ─────────────────────────────
+// Splits a sheet into table regions from its rows alone. Blank rows separate
+// blocks; a block opens with optional title rows (a single text cell) and a
+// header row (all text, distinct). A block with no header continues the table
+// above it (blank spacer rows inside the data), and a block of only total or
+// note rows is that table's footer.
+
+const TOTAL_LABEL = /\b(total|subtotal|grand total|sum)\b/i;
+
+function filledCells(row) {
+  return (row || []).map((v, c) => [v, c]).filter(([v]) => v !== null && v !== undefined && String(v).trim() !== '');
+}
+
+function isBlankRow(row) {
+  return filledCells(row).length === 0;
+}
+
+function isTotalRow(row) {
+  return filledCells(row).some(([v]) => typeof v === 'string' && TOTAL_LABEL.test(v));
+}
+
+// A lone text cell: a banner above a table or a note below one
+function isTextLine(row) {
+  const cells = filledCells(row);
+  return cells.length === 1 && typeof cells[0][0] === 'string';
+}
+
+function isHeaderRow(row) {
+  const cells = filledCells(row);
+  if (cells.length < 2 || cells.some(([v]) => typeof v !== 'string') || isTotalRow(row)) return false;
+  const names = cells.map(([v]) => v.trim().toLowerCase());
+  return new Set(names).size === names.length;
+}
+
+function detectTables(rows) {
+  const blocks = [];
+  let block = null;
+  rows.forEach((row, r) => {
+    if (isBlankRow(row)) { block = null; return; }
+    if (!block) blocks.push(block = []);
+    block.push(r);
+  });
+
+  // Where a block's header is, after its title rows; null when it has none.
+  // Past the first table, an all-text row only counts as a header when the
+  // row under it has non-text values, so all-text data after a spacer row
+  // doesn't open a new table.
+  // A single-column table's header is a lone text cell, like a title: it is
+  // the last one above a value in the same column, with nothing beside them.
+  // All-text single-column lists stay headerless (their header can't be told
+  // from a title).
+  function findHeader(rowIds, first) {
+    let i = 0;
+    while (i < rowIds.length - 1 && isTextLine(rows[rowIds[i]])) i++;
+    const next = rows[rowIds[i + 1]];
+    const contrast = next && filledCells(next).some(([v]) => typeof v !== 'string');
+    if (isHeaderRow(rows[rowIds[i]]) && (first || contrast)) return i;
+    if (i === 0 || isTotalRow(rows[rowIds[i - 1]])) return null;
+    const column = filledCells(rows[rowIds[i - 1]])[0][1];
+    const below = rowIds.slice(i).map(r => filledCells(rows[r]));
+    const oneColumn = below.every(cells => cells.length === 1 && cells[0][1] === column);
+    return oneColumn && typeof below[0][0][0] !== 'string' ? i - 1 : null;
+  }
+
+  const tables = [];
+  let pendingTitles = [];
+  blocks.forEach((rowIds, b) => {
+    const previous = tables[tables.length - 1];
+    const textOnly = rowIds.every(r => isTextLine(rows[r]));
+    const footerOnly = rowIds.every(r => isTotalRow(rows[r]) || isTextLine(rows[r]));
+
+    // Banner block: titles for the next table, unless nothing with a header follows
+    if (textOnly && blocks[b + 1] && findHeader(blocks[b + 1], !previous) !== null) {
+      pendingTitles.push(...rowIds);
+      return;
+    }
+    const headerAt = textOnly ? null : findHeader(rowIds, !previous);
+    if (previous && headerAt === null && (footerOnly || !isTextLine(rows[rowIds[0]]))) {
+      previous.rows.push(...rowIds);
+      return;
+    }
+    const titleRows = [...pendingTitles, ...rowIds.slice(0, headerAt ?? 0)];
+    pendingTitles = [];
+    tables.push({
+      titleRows,
+      headerRow: headerAt === null ? null : rowIds[headerAt],
+      rows: rowIds.slice(headerAt === null ? 0 : headerAt + 1),
+    });
+  });
+
+  return tables.map(t => {
+    // Trailing totals and notes are the footer; the data ends before them
+    let end = t.rows.length;
+    while (end > 0 && (isTotalRow(rows[t.rows[end - 1]]) || isTextLine(rows[t.rows[end - 1]]))) end--;
+    if (end === 0) end = t.rows.length; // all text lines: a list, not a footer
+    const data = t.rows.slice(0, end);
+    const footer = t.rows.slice(end);
+    let firstCol = null, lastCol = null;
+    for (const r of [t.headerRow, ...t.rows]) {
+      if (r === null) continue;
+      for (const [, c] of filledCells(rows[r])) {
+        if (firstCol === null || c < firstCol) firstCol = c;
+        if (lastCol === null || c > lastCol) lastCol = c;
+      }
+    }
+    const skipRows = [];
+    for (let r = data[0]; r < data[data.length - 1]; r++) if (isBlankRow(rows[r])) skipRows.push(r);
+    return {
+      title: t.titleRows.map(r => String(filledCells(rows[r])[0][0]).trim()).join(' / ') || null,
+      title_rows: t.titleRows,
+      header_row: t.headerRow,
+      headers: t.headerRow === null ? null : (rows[t.headerRow] || []).map(h => (h === null || h === undefined ? '' : String(h).trim())),
+      data_start: data.length ? data[0] : null,
+      data_end: data.length ? data[data.length - 1] : null,
+      data_rows: data.filter(r => !isTotalRow(rows[r])).length,
+      first_col: firstCol,
+      last_col: lastCol,
+      total_rows: t.rows.filter(r => isTotalRow(rows[r])),
+      footer_rows: footer,
+      skip_rows: skipRows,
+    };
+  });
+}
+
+// Any supported input format; delimited text goes through ingest's detection
 function parseWorkbook(buffer) {
-  return XLSX.read(buffer, { type: 'buffer' });
+  return readInput(buffer).wb;
 }
 
 function createToolExecutor(files) {
   const parsed = files.map(f => {
     const wb = parseWorkbook(f.buffer);
-    return { name: f.name, buffer: f.buffer, wb };
+    return { name: f.name, buffer: f.buffer, wb, detected: f.detected };
   });
 
   function findFile(nameQuery) {
@@ -35,6 +192,13 @@ function createToolExecutor(files) {
     return { ws };
   }
 
+  // Layout needs a styles-aware parse; done on first describe_layout per file
+  const layoutWorkbooks = new Map();
+  function getLayoutWorkbook(file) {
+    if (!layoutWorkbooks.has(file)) layoutWorkbooks.set(file, readLayoutWorkbook(file.buffer));
+    return layoutWorkbooks.get(file);
+  }
+
   function fileNotFound(nameQuery) {
     return { error: `File not found: "${nameQuery}". Available: ${parsed.map(f => f.name).join(', ')}` };
   }
@@ -48,9 +212,10 @@ function createToolExecutor(files) {
             const ref = ws['!ref'];
             if (!ref) return { name: n, rows: 0, cols: 0 };
             const range = XLSX.utils.decode_range(ref);
-            return { name: n, rows: range.e.r + 1, cols: range.e.c + 1 };
+            const formulas = getFormulaCells(ws).length;
+            return { name: n, rows: range.e.r + 1, cols: range.e.c + 1, ...(formulas && { formulas }) };
           });
-          return { file: f.name, sheets };
+          return f.detected ? { file: f.name, detected: f.detected, sheets } : { file: f.name, sheets };
         });
 
       case 'read_rows': {
@@ -74,23 +239,19 @@ function createToolExecutor(files) {
         const { ws, error } = getSheet(file, input.sheet);
         if (error) return { error };
         const rows = getSheetRows(ws);
-        const startRow = input.start_row ?? 0;
-        const col = input.column;
-        const types = {};
-        const uniques = new Set();
-        let count = 0, emptyCount = 0;
-        for (let r = startRow; r < rows.length; r++) {
-          const v = (rows[r] || [])[col];
-          if (v === null || v === undefined || v === '') { emptyCount++; continue; }
-          count++;
-          types[typeof v] = (types[typeof v] || 0) + 1;
-          if (uniques.size < MAX_UNIQUE_VALUES) uniques.add(String(v));
+        const headerRow = input.header_row ?? null;
+        const startRow = input.start_row ?? (headerRow === null ? 0 : headerRow + 1);
+        const headerOf = (c) => (headerRow === null ? null : String((rows[headerRow] || [])[c] ?? ''));
+        if (input.column !== undefined && input.column !== null) {
+          return profileColumn(rows, input.column, { startRow, header: headerOf(input.column), cellText: cellTextReader(ws, input.column) });
         }
-        return {
-          column: col, from_row: startRow, non_empty: count, empty: emptyCount, types,
-          unique_count: uniques.size >= MAX_UNIQUE_VALUES ? `${MAX_UNIQUE_VALUES}+` : uniques.size,
-          unique_values: uniques.size <= MAX_UNIQUE_VALUES ? [...uniques] : [...uniques].slice(0, MAX_UNIQUE_VALUES).concat(['...']),
-        };
+        // Batch mode: every column, compact profiles
+        const width = rows.reduce((max, row) => Math.max(max, (row || []).length), 0);
+        const columns = [];
+        for (let c = 0; c < width; c++) {
+          columns.push(profileColumn(rows, c, { startRow, header: headerOf(c), cellText: cellTextReader(ws, c), compact: true }));
+        }
+        return { from_row: startRow, column_count: width, columns };
       }
 
       case 'find_rows': {
@@ -110,6 +271,84 @@ function createToolExecutor(files) {
         return { matches: results.length, rows: results };
       }
 
+      case 'read_formulas': {
+        const file = findFile(input.file);
+        if (!file) return fileNotFound(input.file);
+        const { ws, error } = getSheet(file, input.sheet);
+        if (error) return { error };
+        if (input.range && !/^[A-Z]{1,3}\d+(:[A-Z]{1,3}\d+)?$/i.test(input.range)) {
+          return { error: `Invalid range "${input.range}". Use A1 notation, e.g. "A1:F20"` };
+        }
+        const cells = getFormulaCells(ws, input.range && input.range.toUpperCase());
+        // Per column: how many formula cells, and the distinct filled-down patterns
+        const columns = new Map();
+        for (const cell of cells) {
+          const col = columns.get(cell.c) || { column: cell.c, letter: XLSX.utils.encode_col(cell.c), count: 0, patterns: new Map() };
+          col.count++;
+          const pattern = formulaPattern(cell.formula, cell.r);
+          const p = col.patterns.get(pattern) || { pattern, count: 0, first_row: cell.r };
+          p.count++;
+          col.patterns.set(pattern, p);
+          columns.set(cell.c, col);
+        }
+        return {
+          formula_cells: cells.length,
+          columns: [...columns.values()].map(col => ({ ...col, patterns: [...col.patterns.values()].slice(0, 5) })),
+          cells: cells.slice(0, MAX_FORMULA_CELLS).map(({ cell, r, c, formula, value }) => ({ cell, row: r, column: c, formula, value })),
+          truncated: cells.length > MAX_FORMULA_CELLS,
+        };
+      }
+
+      case 'describe_layout': {
+        const file = findFile(input.file);
+        if (!file) return fileNotFound(input.file);
+        const { error } = getSheet(file, input.sheet);
+        if (error) return { error };
+        return describeLayout(getLayoutWorkbook(file), input.sheet || file.wb.SheetNames[0]);
+      }
+
+      case 'detect_tables': {
+        const file = findFile(input.file);
+        if (!file) return fileNotFound(input.file);
+        const { ws, error } = getSheet(file, input.sheet);
+        if (error) return { error };
+        const rows = getSheetRows(ws);
+        const tables = detectTables(rows);
+        return { sheet_rows: rows.length, table_count: tables.length, tables: tables.slice(0, MAX_TABLES) };
+      }
+
+      case 'query': {
+        const file = findFile(input.file);
+        if (!file) return fileNotFound(input.file);
+        const { ws, error } = getSheet(file, input.sheet);
+        if (error) return { error };
+        const rows = getSheetRows(ws);
+        // Region: an explicit header row, else a detected table (the first by default)
+        let headerRow = input.header_row ?? null;
+        let start, end;
+        if (headerRow === null) {
+          const tables = detectTables(rows).filter(t => t.header_row !== null && t.data_start !== null);
+          const table = tables[input.table ?? 0];
+          if (!table) return { error: `No table ${input.table ?? 0} with a header row found; ${tables.length} detected. Pass header_row instead` };
+          headerRow = table.header_row;
+          start = table.data_start;
+          end = table.data_end;
+        } else {
+          if (headerRow < 0 || headerRow >= rows.length) return { error: `header_row ${headerRow} is outside the sheet (${rows.length} rows)` };
+          start = input.data_start ?? headerRow + 1;
+          end = Math.min(input.data_end ?? rows.length - 1, rows.length - 1);
+        }
+        const headers = (rows[headerRow] || []).map(h => (h === null || h === undefined ? '' : String(h).trim()));
+        // Blank spacers and total rows would skew filters and aggregates
+        const data = [];
+        for (let r = start; r <= end; r++) {
+          if (!isBlankRow(rows[r]) && !isTotalRow(rows[r])) data.push({ row: r, cells: rows[r] || [] });
+        }
+        const result = runQuery(headers, data, input);
+        if (result.error) return result;
+        return { header_row: headerRow, data_start: start, data_end: end, ...result };
+      }
+
       case 'compare_keys': {
         const f1 = findFile(input.file1);
         const f2 = findFile(input.file2);
@@ -121,26 +360,44 @@ function createToolExecutor(files) {
         if (e2) return { error: e2 };
         const rows1 = getSheetRows(ws1);
         const rows2 = getSheetRows(ws2);
-        const keys1 = new Set();
-        for (let r = input.start1; r < rows1.length; r++) {
-          const v = (rows1[r] || [])[input.col1];
-          if (v !== null && v !== undefined && String(v).trim()) keys1.add(String(v).trim());
-        }
-        const keys2 = new Set();
-        for (let r = input.start2; r < rows2.length; r++) {
-          const v = (rows2[r] || [])[input.col2];
-          if (v !== null && v !== undefined && String(v).trim()) keys2.add(String(v).trim());
+        // Composite keys: cols1/cols2 list several columns, joined per row
+        const cols1 = input.cols1?.length ? input.cols1 : input.col1;
+        const cols2 = input.cols2?.length ? input.cols2 : input.col2;
+        if (cols1 === undefined || cols2 === undefined) return { error: 'Give col1 and col2 (or cols1 and cols2 for composite keys)' };
+        if ([].concat(cols1).length !== [].concat(cols2).length) return { error: 'cols1 and cols2 must list the same number of columns' };
+
+        let steps = [];
+        if (input.normalize === 'auto') steps = autoNormalize(rows1, cols1, input.start1, rows2, cols2, input.start2);
+        else if (input.normalize === 'all') steps = NORMALIZATIONS;
+        else if (Array.isArray(input.normalize)) {
+          const unknown = input.normalize.filter(n => !NORMALIZATIONS.includes(n));
+          if (unknown.length) return { error: `Unknown normalization: ${unknown.join(', ')}. Use ${NORMALIZATIONS.join(', ')}, "all" or "auto"` };
+          steps = NORMALIZATIONS.filter(n => input.normalize.includes(n));
         }
-        let shared = 0;
-        const only1 = [];
-        for (const k of keys1) { if (keys2.has(k)) shared++; else only1.push(k); }
-        const only2 = [];
-        for (const k of keys2) { if (!keys1.has(k)) only2.push(k); }
-        return {
-          file1_keys: keys1.size, file2_keys: keys2.size, shared,
+
+        const map1 = collectKeyMap(rows1, cols1, input.start1, steps);
+        const map2 = collectKeyMap(rows2, cols2, input.start2, steps);
+        const { shared, only1, only2 } = compareKeySets(new Set(map1.keys()), new Set(map2.keys()));
+        const result = {
+          normalization: steps,
+          file1_keys: map1.size, file2_keys: map2.size, shared,
           only_in_file1: only1.length, only_in_file2: only2.length,
-          sample_only_file1: only1.slice(0, 5), sample_only_file2: only2.slice(0, 5),
+          sample_only_file1: only1.slice(0, 5).map(k => map1.get(k)), sample_only_file2: only2.slice(0, 5).map(k => map2.get(k)),
         };
+        // Exact comparisons hint when normalizing would match more keys
+        if (!steps.length && (only1.length || only2.length)) {
+          const all = compareKeySets(
+            new Set(collectKeyMap(rows1, cols1, input.start1, NORMALIZATIONS).keys()),
+            new Set(collectKeyMap(rows2, cols2, input.start2, NORMALIZATIONS).keys()),
+          );
+          if (all.shared > shared) result.normalized_shared = all.shared;
+        }
+        if (input.fuzzy && only1.length && only2.length) {
+          const candidates = fuzzyCandidates(only1, only2, map1, map2);
+          result.fuzzy_candidates = candidates.slice(0, 20);
+          result.fuzzy_matched = candidates.length;
+        }
+        return result;
       }
 
       case 'submit_report':
@@ -155,4 +412,4 @@ function createToolExecutor(files) {
   };
 }
 
-module.exports = { createToolExecutor, parseWorkbook, getSheetRows };
+module.exports = { createToolExecutor, parseWorkbook, getSheetRows, detectTables };
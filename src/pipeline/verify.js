@@ -1,4 +1,4 @@
-// Output verification for eval runner.
+// Output verification for eval runs and live self-checks.
 // Three layers: structure (schema), values (data correctness), styling (presentation).
 
 const XLSX = require('xlsx');
@@ -16,6 +16,13 @@ function colIndex(headers, name) {
   return headers.findIndex(h => h.toLowerCase() === lower);
 }
 
+// Rows that look like totals/summaries — excluded from sums to avoid double-counting
+function isSummaryRow(row) {
+  return (row || []).some(v =>
+    typeof v === 'string' && /\b(total|sum|subtotal|grand)\b/i.test(v)
+  );
+}
+
 function approxEqual(a, b, tolerance = 0.01) {
   if (a === b) return true;
   const diff = Math.abs(a - b);
@@ -40,6 +47,9 @@ function checkStructure(wb, rows, headers, expected) {
   if (expected.min_rows && rows.length < expected.min_rows) {
     errors.push(`Too few rows: ${rows.length} < ${expected.min_rows}`);
   }
+  if (expected.max_rows && rows.length > expected.max_rows) {
+    errors.push(`Too many rows: ${rows.length} > ${expected.max_rows}`);
+  }
 
   // Required columns
   if (expected.required_columns) {
@@ -80,11 +90,7 @@ function checkValues(rows, headers, checks) {
       if (ci === -1) { errors.push(`column_sum: column "${colName}" not found`); continue; }
       let sum = 0;
       for (const row of dataRows) {
-        // Skip rows that look like totals/summaries
-        const isSummaryRow = (row || []).some(v =>
-          typeof v === 'string' && /\b(total|sum|subtotal|grand)\b/i.test(v)
-        );
-        if (isSummaryRow) continue;
+        if (isSummaryRow(row)) continue;
         const v = row?.[ci];
         if (typeof v === 'number') sum += v;
       }
@@ -264,6 +270,44 @@ function checkValues(rows, headers, checks) {
   return errors;
 }
 
+// ── Formula Checks ───────────────────────────────
+// Cells written with `f` but no `v` have no cached value: Excel recalculates
+// them on open, but every reader that doesn't (including these checks) sees
+// them as empty. Read with sheetStubs so such cells show up at all.
+
+function checkFormulas(buffer, checks) {
+  if (!checks?.formula_columns) return [];
+  const errors = [];
+  const wb = XLSX.read(buffer, { type: 'buffer', sheetStubs: true });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  const range = XLSX.utils.decode_range(ws['!ref'] || 'A1');
+  const headers = [];
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    headers[c] = String(ws[XLSX.utils.encode_cell({ r: range.s.r, c })]?.v ?? '').trim();
+  }
+
+  for (const name of checks.formula_columns) {
+    const ci = colIndex(headers, name);
+    if (ci === -1) { errors.push(`formula_columns: column "${name}" not found`); continue; }
+    const values = [], uncached = [];
+    for (let r = range.s.r + 1; r <= range.e.r; r++) {
+      const addr = XLSX.utils.encode_cell({ r, c: ci });
+      const cell = ws[addr];
+      if (!cell) continue;
+      if (!cell.f) values.push(addr);
+      else if (cell.t === 'z') uncached.push(addr);
+    }
+    if (values.length) {
+      errors.push(`formula_columns: "${name}" has ${values.length} hardcoded values (${values.slice(0, 5).join(', ')}${values.length > 5 ? '...' : ''})`);
+    }
+    if (uncached.length) {
+      errors.push(`formula_columns: "${name}" has ${uncached.length} formulas without a cached value (${uncached.slice(0, 5).join(', ')}); set v alongside f`);
+    }
+  }
+
+  return errors;
+}
+
 // ── Styling Checks ───────────────────────────────
 
 async function checkStyling(buffer, checks) {
@@ -310,12 +354,134 @@ async function checkStyling(buffer, checks) {
   return errors;
 }
 
+// Conditional formats, autofilters and data validation, on any sheet. `true`
+// asks for one anywhere; an A1 range asks for one overlapping it. Unlike the
+// styling checks these are features the spec asked for, so they fail the pass.
+const SHEET_FEATURES = {
+  has_conditional_format: { label: 'conditional format', pattern: /<conditionalFormatting\b[^>]*\bsqref="([^"]*)"/g },
+  has_autofilter: { label: 'autofilter', pattern: /<autoFilter\b[^>]*\bref="([^"]*)"/g },
+  has_validation: { label: 'data validation', pattern: /<dataValidation\b[^>]*\bsqref="([^"]*)"/g },
+};
+
+function rangesOverlap(a, b) {
+  return a.s.r <= b.e.r && b.s.r <= a.e.r && a.s.c <= b.e.c && b.s.c <= a.e.c;
+}
+
+async function checkSheetFeatures(buffer, checks) {
+  const wanted = Object.keys(SHEET_FEATURES).filter(k => checks?.[k]);
+  if (!wanted.length) return [];
+  const errors = [];
+
+  try {
+    const zip = await JSZip.loadAsync(buffer);
+    const sheets = await Promise.all(zip.file(/^xl\/worksheets\/[^/]+\.xml$/).map(f => f.async('string')));
+    for (const key of wanted) {
+      const { label, pattern } = SHEET_FEATURES[key];
+      const refs = sheets.flatMap(xml => [...xml.matchAll(pattern)].flatMap(m => m[1].split(/\s+/)));
+      if (typeof checks[key] === 'string') {
+        const target = XLSX.utils.decode_range(checks[key].replace(/\$/g, ''));
+        if (!refs.some(ref => rangesOverlap(XLSX.utils.decode_range(ref), target))) {
+          errors.push(`features: no ${label} covering ${checks[key]}${refs.length ? ` (found on ${refs.slice(0, 5).join(', ')})` : ''}`);
+        }
+      } else if (!refs.length) {
+        errors.push(`features: no ${label} in any sheet`);
+      }
+    }
+  } catch (err) {
+    errors.push(`features: verification failed — ${err.message}`);
+  }
+
+  return errors;
+}
+
+// "'Q1 Sales'!$B$2:$B$5" → { sheet: 'Q1 Sales', range }; sheet null when absent
+function parseSheetRef(ref) {
+  const m = /^(?:'((?:[^']|'')+)'|([^'!]+))!(.+)$/.exec(ref.trim());
+  const range = XLSX.utils.decode_range((m ? m[3] : ref).replace(/\$/g, ''));
+  return { sheet: m ? (m[1] ? m[1].replace(/''/g, "'") : m[2]) : null, range };
+}
+
+// has_chart: true for any chart part, or a range ("B2:B5", "Summary!B2:B5")
+// that one of the charts' series or categories must reference
+async function checkCharts(buffer, checks) {
+  if (!checks?.has_chart) return [];
+  try {
+    const zip = await JSZip.loadAsync(buffer);
+    const charts = await Promise.all(zip.file(/^xl\/charts\/[^/]+\.xml$/).map(f => f.async('string')));
+    if (!charts.length) return ['features: no chart in the workbook'];
+    if (typeof checks.has_chart !== 'string') return [];
+    const target = parseSheetRef(checks.has_chart);
+    const refs = [...new Set(charts.flatMap(xml => [...xml.matchAll(/<c:f>([^<]*)<\/c:f>/g)].map(m => m[1].replace(/&apos;/g, "'").replace(/&amp;/g, '&'))))];
+    const hit = refs.some(ref => {
+      const found = parseSheetRef(ref);
+      return (!target.sheet || found.sheet === target.sheet) && rangesOverlap(found.range, target.range);
+    });
+    return hit ? [] : [`features: no chart references ${checks.has_chart}${refs.length ? ` (charts use ${refs.slice(0, 5).join(', ')})` : ''}`];
+  } catch (err) {
+    return [`features: verification failed — ${err.message}`];
+  }
+}
+
+// ── Self-Verification Spec ───────────────────────
+// generate_code may include a `verification` spec for live runs. Input-derived
+// sums are resolved against the uploaded files, producing an expected object
+// in the same shape as an eval's expected.json.
+
+function resolveInputSum(ref, files) {
+  const q = String(ref.file || '').toLowerCase();
+  const file = files.find(f => f.name.toLowerCase() === q)
+    || files.find(f => f.name.toLowerCase().includes(q));
+  if (!file) return null;
+  const wb = XLSX.read(file.buffer, { type: 'buffer' });
+  const ws = wb.Sheets[ref.sheet || wb.SheetNames[0]];
+  if (!ws) return null;
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null });
+  const headerRow = ref.header_row ?? 0;
+  const headers = getHeaders(rows.slice(headerRow));
+  const ci = colIndex(headers, ref.input_column || ref.column);
+  if (ci === -1) return null;
+  const wi = ref.where ? colIndex(headers, ref.where.column) : -1;
+  if (ref.where && wi === -1) return null;
+
+  let sum = 0;
+  for (const row of rows.slice(headerRow + 1)) {
+    if (isSummaryRow(row)) continue;
+    if (ref.where && String(row?.[wi] ?? '').trim().toLowerCase() !== String(ref.where.equals).trim().toLowerCase()) continue;
+    const v = row?.[ci];
+    if (typeof v === 'number') sum += v;
+  }
+  return sum;
+}
+
+function buildExpectedFromSpec(spec, files) {
+  const expected = { checks: {} };
+  const skipped = [];
+  if (spec.sheets?.length) expected.sheets = spec.sheets;
+  if (spec.required_columns?.length) expected.required_columns = spec.required_columns;
+  // Spec row bounds count data rows; verification counts the header row too
+  if (spec.min_rows != null) expected.min_rows = spec.min_rows + 1;
+  if (spec.max_rows != null) expected.max_rows = spec.max_rows + 1;
+  if (spec.formula_columns?.length) expected.checks.formula_columns = spec.formula_columns;
+  for (const key of [...Object.keys(SHEET_FEATURES), 'has_chart']) {
+    if (spec[key]) expected.checks[key] = spec[key];
+  }
+
+  for (const sum of spec.column_sums || []) {
+    const value = typeof sum.value === 'number' ? sum.value : resolveInputSum(sum, files);
+    if (value === null) { skipped.push(`column_sums: cannot resolve "${sum.column}" from ${sum.file || 'inputs'}`); continue; }
+    expected.checks.column_sum = { ...expected.checks.column_sum, [sum.column]: value };
+  }
+
+  return { expected, skipped };
+}
+
 // ── Main Verification ────────────────────────────
 
 async function verifyOutput(buffer, expected) {
   const result = {
     structure: 'pass',
     values: 'pass',
+    features: 'pass',
     styling: 'pass',
     errors: [],
     row_count: 0,
@@ -347,12 +513,22 @@ async function verifyOutput(buffer, expected) {
   }
 
   // Values
-  const valueErrors = checkValues(rows, headers, expected.checks);
+  const valueErrors = [...checkValues(rows, headers, expected.checks), ...checkFormulas(buffer, expected.checks)];
   if (valueErrors.length > 0) {
     result.values = 'fail';
     result.errors.push(...valueErrors);
   }
 
+  // Features the spec asked for: validations, filters, conditional formats, charts
+  const featureErrors = [
+    ...await checkSheetFeatures(buffer, expected.checks),
+    ...await checkCharts(buffer, expected.checks),
+  ];
+  if (featureErrors.length > 0) {
+    result.features = 'fail';
+    result.errors.push(...featureErrors);
+  }
+
   // Styling
   const styleErrors = await checkStyling(buffer, expected.checks);
   if (styleErrors.length > 0) {
@@ -360,7 +536,7 @@ async function verifyOutput(buffer, expected) {
     result.errors.push(...styleErrors);
   }
 
-  result.pass = result.structure === 'pass' && result.values === 'pass';
+  result.pass = result.structure === 'pass' && result.values === 'pass' && result.features === 'pass';
   // Styling failures are warnings — don't fail the overall pass
   result.styling_pass = result.styling === 'pass';
 
@@ -385,4 +561,4 @@ function scoreReport(report, expected) {
   return scores;
 }
 
-module.exports = { verifyOutput, scoreReport };
+module.exports = { verifyOutput, scoreReport, buildExpectedFromSpec };
@@ -0,0 +1,56 @@
+// Saved recipes: a successful run's code, prompt, exploration report and input
+// fingerprint, stored as JSON files so the same transformation can be replayed
+// on new exports without calling the LLM.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { checkFingerprint } = require('./pipeline/fingerprint');
+const { DATA_DIR } = require('./pipeline/constants');
+
+const RECIPES_DIR = path.join(DATA_DIR, 'recipes');
+
+function recipePath(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  return path.join(RECIPES_DIR, `${id}.json`);
+}
+
+// The fingerprint comes from the run's complete event, which reads it from the
+// uploaded files rather than the report
+function saveRecipe({ name, prompt, code, filename, format, explanation, verification, report, fingerprint }) {
+  if (!name || !prompt || !code || !report || !fingerprint) {
+    throw new Error('A recipe needs name, prompt, code, report and fingerprint');
+  }
+  const invalid = checkFingerprint(fingerprint);
+  if (invalid) throw new Error(invalid);
+
+  const recipe = {
+    id: crypto.randomUUID(),
+    name, prompt, code,
+    filename: filename || 'output.xlsx',
+    format: format || 'xlsx',
+    explanation: explanation || '',
+    verification: verification || null,
+    report, fingerprint,
+    created_at: new Date().toISOString(),
+  };
+  fs.mkdirSync(RECIPES_DIR, { recursive: true });
+  fs.writeFileSync(recipePath(recipe.id), JSON.stringify(recipe, null, 2));
+  return recipe;
+}
+
+function getRecipe(id) {
+  const file = recipePath(id);
+  if (!file || !fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function listRecipes() {
+  if (!fs.existsSync(RECIPES_DIR)) return [];
+  return fs.readdirSync(RECIPES_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(RECIPES_DIR, f), 'utf-8')))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+module.exports = { saveRecipe, getRecipe, listRecipes };
@@ -1,26 +1,26 @@
 // HTTP server wrapping the pipeline.
-// POST /api/process streams SSE events as the pipeline runs.
+// POST /api/process streams SSE events as the pipeline runs; /api/runs/:id/cancel stops it.
+// /api/jobs queues runs with persisted, replayable events.
+// /api/recipes saves successful runs and replays them on new files.
 
+const crypto = require('crypto');
 const { Hono } = require('hono');
 const { serveStatic } = require('hono/bun');
-const { runPipeline } = require('./pipeline');
+const { runPipeline, requiresApiKey, diffWorkbooks, tokensSpent } = require('./pipeline');
+const { saveRecipe, getRecipe, listRecipes } = require('./recipes');
+const { createSession, getSession, recordTurn, startRun, finishRun } = require('./sessions');
+const { createJob, cancelJob, getJob, getJobEvents, getJobOutput, subscribe, isTerminal } = require('./jobs');
 
 const app = new Hono();
 
-// Health check
-app.get('/api/health', (c) => c.json({ status: 'ok' }));
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+};
 
-// Pipeline endpoint — streams SSE events
-app.post('/api/process', async (c) => {
-  const formData = await c.req.formData();
-  const apiKey = formData.get('apiKey');
-  const prompt = formData.get('prompt');
-
-  if (!apiKey || !prompt) {
-    return c.json({ error: 'Missing apiKey or prompt' }, 400);
-  }
-
-  // Extract uploaded files
+// Extract uploaded files from multipart form data
+async function readFiles(formData) {
   const files = [];
   for (const [key, value] of formData.entries()) {
     if (key === 'files' && value instanceof File) {
@@ -28,52 +28,309 @@ app.post('/api/process', async (c) => {
       files.push({ name: value.name, buffer: Buffer.from(arrayBuffer) });
     }
   }
+  return files;
+}
 
-  if (files.length === 0) {
-    return c.json({ error: 'No files uploaded' }, 400);
+// Per-request provider/model overrides; unset fields fall back to env vars and defaults
+function readLlmOptions(formData) {
+  const llm = {};
+  if (formData.get('provider')) llm.provider = formData.get('provider');
+  for (const phase of ['explore', 'codegen']) {
+    const provider = formData.get(`${phase}Provider`);
+    const model = formData.get(`${phase}Model`);
+    if (provider || model) llm[phase] = { provider: provider || undefined, model: model || undefined };
   }
+  return llm;
+}
+
+// In-flight streamed runs: run id → AbortController, for POST /api/runs/:id/cancel
+const runs = new Map();
+
+// Run the pipeline and stream its events as an SSE response. The first event
+// (`run`) carries the id to cancel it with; a cancelled run still streams its
+// `cancelled` event before closing. A client disconnect (request abort or
+// stream cancel) aborts the run too. onResult may return extra fields for the
+// complete event; onFinish runs once the run ends, however it ends.
+function streamPipeline(requestSignal, options, { onResult, onFinish } = {}) {
+  const abort = new AbortController();
+  const runId = crypto.randomUUID();
+  requestSignal?.addEventListener('abort', () => abort.abort(), { once: true });
+  let open = true;
 
-  // Stream SSE response
   const encoder = new TextEncoder();
   const stream = new ReadableStream({
     async start(controller) {
       function send(event, data) {
-        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        if (!open) return;
+        try {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        } catch {
+          open = false;
+        }
       }
 
+      runs.set(runId, abort);
+      send('run', { runId });
       try {
         const result = await runPipeline({
-          apiKey, files, prompt,
+          ...options,
+          signal: abort.signal,
           onEvent: (e) => send('phase', e),
         });
 
-        // Send final result with buffer as base64
+        // Send final result with buffer as base64. Non-xlsx outputs also carry
+        // the workbook they came from (if any) for the preview.
+        const { output } = result;
         send('complete', {
-          filename: result.output.filename,
-          buffer: result.output.buffer.toString('base64'),
+          filename: output.filename,
+          format: output.format,
+          mime: output.mime,
+          buffer: output.buffer.toString('base64'),
+          preview: output.format !== 'xlsx' && output.workbook ? output.workbook.toString('base64') : undefined,
           code: result.code.code,
           explanation: result.code.explanation,
           report: result.report,
+          fingerprint: result.fingerprint,
           logs: result.output.logs,
+          verification: result.verification,
           meta: result.meta,
+          ...onResult?.(result),
         });
       } catch (err) {
-        send('error', { message: err.message });
+        if (abort.signal.aborted) {
+          send('cancelled', { message: 'Run cancelled', tokens: tokensSpent(err.meta), meta: err.meta });
+        } else {
+          send('error', { message: err.message, meta: err.meta });
+        }
+      }
+
+      runs.delete(runId);
+      onFinish?.();
+      if (open) controller.close();
+      open = false;
+    },
+    cancel() {
+      open = false;
+      abort.abort();
+    },
+  });
+
+  return new Response(stream, { headers: SSE_HEADERS });
+}
+
+// Health check
+app.get('/api/health', (c) => c.json({ status: 'ok' }));
+
+// Pipeline endpoint — streams SSE events. Optional sessionId continues a session.
+app.post('/api/process', async (c) => {
+  const formData = await c.req.formData();
+  const apiKey = formData.get('apiKey');
+  const prompt = formData.get('prompt');
+  let llm;
+  try {
+    llm = readLlmOptions(formData);
+    if ((!apiKey && requiresApiKey(llm)) || !prompt) {
+      return c.json({ error: 'Missing apiKey or prompt' }, 400);
+    }
+  } catch (err) {
+    return c.json({ error: err.message }, 400);
+  }
+
+  const files = await readFiles(formData);
+  if (files.length === 0) {
+    return c.json({ error: 'No files uploaded' }, 400);
+  }
+
+  // Follow-ups name an existing session; a first run's session is created when it completes
+  const sessionId = formData.get('sessionId');
+  const session = sessionId ? getSession(sessionId) : null;
+  if (sessionId && !session) return c.json({ error: 'Session not found' }, 404);
+  if (session && !startRun(session.id)) {
+    return c.json({ error: 'This session already has a run in progress; wait for it to finish or cancel it' }, 409);
+  }
+
+  return streamPipeline(c.req.raw.signal, { apiKey, files, prompt, llm, session }, {
+    onResult: (result) => {
+      const updated = recordTurn((session || createSession()).id, prompt, result);
+      return { sessionId: updated.id, turn: updated.history.length };
+    },
+    onFinish: () => session && finishRun(session.id),
+  });
+});
+
+// Cancel a streamed run; its stream reports `cancelled` with the tokens spent
+app.post('/api/runs/:id/cancel', (c) => {
+  const abort = runs.get(c.req.param('id'));
+  if (!abort) return c.json({ error: 'Run not found or already finished' }, 404);
+  abort.abort();
+  return c.json({ ok: true });
+});
+
+// Row/cell diff between two workbooks — multipart `before` and `after` files
+app.post('/api/diff', async (c) => {
+  const formData = await c.req.formData();
+  const before = formData.get('before');
+  const after = formData.get('after');
+  if (!(before instanceof File) || !(after instanceof File)) {
+    return c.json({ error: 'Upload both a before and an after file' }, 400);
+  }
+  try {
+    const diff = diffWorkbooks(Buffer.from(await before.arrayBuffer()), Buffer.from(await after.arrayBuffer()));
+    return c.json({ before: before.name, after: after.name, ...diff });
+  } catch (err) {
+    return c.json({ error: `Could not diff workbooks: ${err.message}` }, 400);
+  }
+});
+
+// Session state: latest report, input hashes and prompt/code history
+app.get('/api/sessions/:id', (c) => {
+  const session = getSession(c.req.param('id'));
+  if (!session) return c.json({ error: 'Session not found' }, 404);
+  return c.json(session);
+});
+
+// Enqueue a pipeline run — same form fields as /api/process, plus optional recipeId
+app.post('/api/jobs', async (c) => {
+  const formData = await c.req.formData();
+  const apiKey = formData.get('apiKey');
+  const recipeId = formData.get('recipeId');
+  const recipe = recipeId ? getRecipe(recipeId) : null;
+  const prompt = formData.get('prompt') || recipe?.prompt;
+
+  if (recipeId && !recipe) return c.json({ error: 'Recipe not found' }, 404);
+  let llm;
+  try {
+    llm = readLlmOptions(formData);
+    if ((!apiKey && !recipe && requiresApiKey(llm)) || !prompt) {
+      return c.json({ error: 'Missing apiKey or prompt' }, 400);
+    }
+  } catch (err) {
+    return c.json({ error: err.message }, 400);
+  }
+
+  const files = await readFiles(formData);
+  if (files.length === 0) {
+    return c.json({ error: 'No files uploaded' }, 400);
+  }
+
+  const job = createJob({ apiKey, files, prompt, recipe, llm });
+  return c.json(job, 202);
+});
+
+app.get('/api/jobs/:id', (c) => {
+  const job = getJob(c.req.param('id'));
+  if (!job) return c.json({ error: 'Job not found' }, 404);
+  return c.json(job);
+});
+
+app.post('/api/jobs/:id/cancel', (c) => {
+  const job = getJob(c.req.param('id'));
+  if (!job) return c.json({ error: 'Job not found' }, 404);
+  if (!cancelJob(job.id)) return c.json({ error: `Job already ${job.status}` }, 409);
+  return c.json(getJob(job.id));
+});
+
+// Replays past events, then streams live ones until the job finishes.
+// Reconnecting clients resume after Last-Event-ID (or ?after=<seq>).
+app.get('/api/jobs/:id/events', (c) => {
+  const id = c.req.param('id');
+  if (!getJob(id)) return c.json({ error: 'Job not found' }, 404);
+  const after = Number(c.req.header('Last-Event-ID') || c.req.query('after')) || 0;
+
+  const encoder = new TextEncoder();
+  let unsubscribe = null;
+  const stream = new ReadableStream({
+    start(controller) {
+      let lastSent = after;
+      let closed = false;
+      function send(entry) {
+        // Transient deltas carry no id; only forward them to a caught-up client
+        if (entry.transient) {
+          if (!closed && entry.seq === lastSent) {
+            controller.enqueue(encoder.encode(`event: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`));
+          }
+          return;
+        }
+        if (closed || entry.seq <= lastSent) return;
+        lastSent = entry.seq;
+        controller.enqueue(encoder.encode(`id: ${entry.seq}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`));
+        if (isTerminal(entry)) {
+          closed = true;
+          unsubscribe?.();
+          controller.close();
+        }
       }
 
-      controller.close();
+      // Subscribe before replaying so no event falls between the two
+      const live = [];
+      let replaying = true;
+      unsubscribe = subscribe(id, (entry) => (replaying ? live.push(entry) : send(entry)));
+      for (const entry of getJobEvents(id, after)) send(entry);
+      replaying = false;
+      for (const entry of live) send(entry);
+    },
+    cancel() {
+      unsubscribe?.();
     },
   });
 
-  return new Response(stream, {
+  return new Response(stream, { headers: SSE_HEADERS });
+});
+
+app.get('/api/jobs/:id/output', (c) => {
+  const job = getJob(c.req.param('id'));
+  if (!job) return c.json({ error: 'Job not found' }, 404);
+  const output = getJobOutput(job.id);
+  if (!output) return c.json({ error: `Job has no output (status: ${job.status})` }, 409);
+  return new Response(output.buffer, {
     headers: {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
+      'Content-Type': job.output.mime || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${output.filename.replace(/["\\]/g, '_')}"`,
     },
   });
 });
 
+// Save a successful run as a recipe (JSON: name, prompt, code, filename, format, explanation, verification, report, fingerprint)
+app.post('/api/recipes', async (c) => {
+  const body = await c.req.json().catch(() => null);
+  if (!body) return c.json({ error: 'Expected a JSON body' }, 400);
+  try {
+    const recipe = saveRecipe(body);
+    return c.json({ id: recipe.id, name: recipe.name, fingerprint: recipe.fingerprint }, 201);
+  } catch (err) {
+    return c.json({ error: err.message }, 400);
+  }
+});
+
+app.get('/api/recipes', (c) => c.json(listRecipes().map(r => ({
+  id: r.id,
+  name: r.name,
+  prompt: r.prompt,
+  filename: r.filename,
+  files: r.fingerprint.map(f => f.name),
+  created_at: r.created_at,
+}))));
+
+// Replay a recipe on new files — streams SSE events. Falls back to a full run
+// (apiKey required) when the files don't match the recipe's fingerprint.
+app.post('/api/recipes/:id/run', async (c) => {
+  const recipe = getRecipe(c.req.param('id'));
+  if (!recipe) return c.json({ error: 'Recipe not found' }, 404);
+
+  const formData = await c.req.formData();
+  const files = await readFiles(formData);
+  if (files.length === 0) {
+    return c.json({ error: 'No files uploaded' }, 400);
+  }
+
+  return streamPipeline(c.req.raw.signal, {
+    apiKey: formData.get('apiKey'),
+    prompt: formData.get('prompt') || recipe.prompt,
+    files, recipe,
+    llm: readLlmOptions(formData),
+  });
+});
+
 // Static files — explicit routes so they don't intercept /api/*
 app.get('/', serveStatic({ path: './index.html' }));
 app.get('/index.html', serveStatic({ path: './index.html' }));
@@ -0,0 +1,68 @@
+// Conversation sessions: the latest exploration report, input hashes and the
+// prompt/code history of each run, so follow-up prompts build on earlier ones.
+// Stored as JSON files like recipes; API keys and uploads are never saved.
+// (src/pipeline/session-context.js holds the pipeline's side: input diffs and
+// report merging.)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./pipeline/constants');
+
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+
+function sessionPath(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+function writeSession(session) {
+  fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  fs.writeFileSync(sessionPath(session.id), JSON.stringify(session, null, 2));
+  return session;
+}
+
+function createSession() {
+  const now = new Date().toISOString();
+  return writeSession({ id: crypto.randomUUID(), report: null, inputs: [], history: [], created_at: now, updated_at: now });
+}
+
+function getSession(id) {
+  const file = sessionPath(id);
+  if (!file || !fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// Record a completed run as the session's latest turn
+function recordTurn(id, prompt, result) {
+  const session = getSession(id);
+  if (!session) throw new Error('Session not found');
+  session.report = result.report;
+  session.inputs = result.inputs;
+  session.history.push({
+    prompt,
+    code: result.code.code,
+    filename: result.code.filename,
+    explanation: result.code.explanation,
+    at: new Date().toISOString(),
+  });
+  session.updated_at = new Date().toISOString();
+  return writeSession(session);
+}
+
+// Sessions with a run in progress. A follow-up builds on the session's last turn,
+// so a second run started alongside it would miss the first one's result.
+const activeRuns = new Set();
+
+// Claim the session for a run; false when it already has one in progress
+function startRun(id) {
+  if (activeRuns.has(id)) return false;
+  activeRuns.add(id);
+  return true;
+}
+
+function finishRun(id) {
+  activeRuns.delete(id);
+}
+
+module.exports = { createSession, getSession, recordTurn, startRun, finishRun };
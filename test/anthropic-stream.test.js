@@ -0,0 +1,93 @@
+const { test, expect } = require('bun:test');
+const { readStream, sleep } = require('../src/pipeline/providers/anthropic');
+const { createFieldDecoder } = require('../src/pipeline/codegen');
+
+// Code with every kind of JSON escape, and a \u escape in place of the é
+const CODE = 'const tab = "a\\tb";\nlog(\'héllo 😀\', tab.split("\\t"));\r\n// done/';
+const INPUT = { filename: 'out.xlsx', code: CODE };
+const INPUT_JSON = JSON.stringify(INPUT).replace('é', '\\u00e9');
+
+function split(text, size) {
+  const parts = [];
+  for (let i = 0; i < text.length; i += size) parts.push(text.slice(i, i + size));
+  return parts;
+}
+
+// An SSE response body delivered in `chunkBytes`-sized chunks, so events,
+// UTF-8 characters and escapes are cut at arbitrary points
+async function* sseBody(events, chunkBytes) {
+  const bytes = new TextEncoder().encode(events.map(e => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`).join(''));
+  for (let i = 0; i < bytes.length; i += chunkBytes) yield bytes.slice(i, i + chunkBytes);
+}
+
+function toolUseEvents(partials) {
+  return [
+    { type: 'message_start', message: { id: 'msg_1', role: 'assistant', model: 'claude', usage: { input_tokens: 12, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Here is the code.' } },
+    { type: 'content_block_stop', index: 0 },
+    { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'generate_code', input: {} } },
+    ...partials.map(partial_json => ({ type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json } })),
+    { type: 'content_block_stop', index: 1 },
+    { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 40 } },
+    { type: 'message_stop' },
+  ];
+}
+
+test('the field decoder handles every split point, including inside escapes', () => {
+  for (let i = 0; i <= INPUT_JSON.length; i++) {
+    const push = createFieldDecoder('code');
+    expect(push(INPUT_JSON.slice(0, i)) + push(INPUT_JSON.slice(i))).toBe(CODE);
+  }
+});
+
+test('the field decoder ignores other fields and stops at the closing quote', () => {
+  const push = createFieldDecoder('code');
+  const text = split('{"explanation":"no code here","code":"a\\"b","filename":"x"}', 1).map(push).join('');
+  expect(text).toBe('a"b');
+});
+
+test('a tool input split over many input_json_delta events and SSE chunks is reassembled', async () => {
+  for (const [partSize, chunkBytes] of [[1, 1], [3, 5], [7, 64], [INPUT_JSON.length, 4096]]) {
+    const streamed = [];
+    const message = await readStream(sseBody(toolUseEvents(split(INPUT_JSON, partSize)), chunkBytes), e => streamed.push(e));
+
+    expect(message.content).toEqual([
+      { type: 'text', text: 'Here is the code.' },
+      { type: 'tool_use', id: 'toolu_1', name: 'generate_code', input: INPUT },
+    ]);
+    expect(message.stop_reason).toBe('tool_use');
+    expect(message.usage).toEqual({ input_tokens: 12, output_tokens: 40 });
+
+    const decode = createFieldDecoder('code');
+    const partials = streamed.filter(e => e.type === 'input_json');
+    expect(partials.every(e => e.name === 'generate_code')).toBe(true);
+    expect(partials.map(e => decode(e.partial)).join('')).toBe(CODE);
+  }
+});
+
+test('a truncated tool input becomes {} and a stream error throws', async () => {
+  const truncated = await readStream(sseBody(toolUseEvents([INPUT_JSON.slice(0, 20)]), 16), () => {});
+  expect(truncated.content[1].input).toEqual({});
+
+  const failing = sseBody([{ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }], 8);
+  await expect(readStream(failing, () => {})).rejects.toThrow('Claude API stream error: overloaded_error: Overloaded');
+});
+
+test('sleep removes its abort listener when the delay ends', async () => {
+  const controller = new AbortController();
+  const listeners = new Set();
+  const { signal } = controller;
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (type, fn, options) => { listeners.add(fn); add(type, fn, options); };
+  signal.removeEventListener = (type, fn, options) => { listeners.delete(fn); remove(type, fn, options); };
+
+  await sleep(1, signal);
+  await sleep(1, signal);
+  expect(listeners.size).toBe(0);
+
+  const pending = sleep(10000, signal);
+  controller.abort();
+  await expect(pending).rejects.toThrow('Aborted');
+});
@@ -0,0 +1,64 @@
+const { test, expect } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCassette } = require('../src/pipeline/cassette');
+
+function replayAgainst(recordedContent, actualContent) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-')), 'cassette.json');
+  const request = (content) => ({ phase: 'explore', messages: [{ role: 'user', content }] });
+  fs.writeFileSync(file, JSON.stringify({ version: 2, interactions: [{ request: request(recordedContent), response: {} }] }));
+  try {
+    createCassette(file, 'replay').replay(request(actualContent));
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+}
+
+test('a mismatch names the differing field', () => {
+  expect(replayAgainst('a', 'b')).toBe(
+    'Cassette mismatch at call #1 (explore), field .messages[0].content:\n  recorded: "a"\n  actual:   "b"'
+  );
+});
+
+test('long values are shown around their first difference', () => {
+  const pad = 'x'.repeat(1000);
+  const message = replayAgainst(`${pad}rows: 10${pad}`, `${pad}rows: 12${pad}`);
+  expect(message).toContain('rows: 10');
+  expect(message).toContain('rows: 12');
+  expect(message).toContain('…(');
+});
+
+test('matching requests replay the recorded response', () => {
+  expect(replayAgainst('same', 'same')).toBeNull();
+});
+
+test('replay streams the recorded deltas through onStream', async () => {
+  const { callClaude } = require('../src/pipeline/api-client');
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-')), 'cassette.json');
+  const code = 'return { buffer: new Uint8Array(0), filename: "out.xlsx" };'.repeat(3);
+  const mockScript = { codegen: [{ content: [{ type: 'tool_use', name: 'generate_code', input: { code, filename: 'out.xlsx' } }] }] };
+  const call = async (cassette) => {
+    const events = [];
+    const response = await callClaude({
+      phase: 'codegen', system: 'sys', messages: [{ role: 'user', content: 'go' }],
+      llm: { provider: 'mock', mockScript, cassette }, onStream: (e) => events.push(e),
+    });
+    cassette.finish();
+    return { response, events };
+  };
+
+  const recorded = await call(createCassette(file, 'record'));
+  expect(recorded.events.filter(e => e.type === 'input_json').map(e => e.partial).join('')).toBe(JSON.stringify({ code, filename: 'out.xlsx' }));
+
+  const replayed = await call(createCassette(file, 'replay'));
+  expect(replayed.events).toEqual(recorded.events);
+  expect(replayed.response).toEqual(recorded.response);
+});
+
+test('cassettes from before streamed deltas were recorded must be re-recorded', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-')), 'cassette.json');
+  fs.writeFileSync(file, JSON.stringify({ version: 1, interactions: [] }));
+  expect(() => createCassette(file, 'replay')).toThrow(`Cassette ${file} has version 1, expected 2; re-record it`);
+});
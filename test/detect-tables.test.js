@@ -0,0 +1,84 @@
+const { test, expect } = require('bun:test');
+const { detectTables } = require('../src/pipeline/tools');
+
+// Just the fields a case is about
+const pick = (tables, ...keys) => tables.map(t => Object.fromEntries(keys.map(k => [k, t[k]])));
+
+test('a plain table starts at its header row', () => {
+  const tables = detectTables([['Region', 'Sales'], ['East', 10], ['West', 20]]);
+  expect(pick(tables, 'header_row', 'headers', 'data_start', 'data_end', 'data_rows', 'first_col', 'last_col')).toEqual([
+    { header_row: 0, headers: ['Region', 'Sales'], data_start: 1, data_end: 2, data_rows: 2, first_col: 0, last_col: 1 },
+  ]);
+});
+
+test('title banners above the header become the title', () => {
+  const tables = detectTables([
+    ['Quarterly report'],
+    ['Prepared by finance'],
+    [],
+    ['Region', 'Sales'],
+    ['East', 10],
+  ]);
+  expect(pick(tables, 'title', 'title_rows', 'header_row', 'data_start')).toEqual([
+    { title: 'Quarterly report / Prepared by finance', title_rows: [0, 1], header_row: 3, data_start: 4 },
+  ]);
+});
+
+test('a blank spacer row inside the data is skipped, not a new table', () => {
+  const tables = detectTables([['Item', 'Qty'], ['a', 1], ['b', 2], [], ['c', 3], ['d', 4]]);
+  expect(pick(tables, 'header_row', 'data_start', 'data_end', 'skip_rows', 'data_rows')).toEqual([
+    { header_row: 0, data_start: 1, data_end: 5, skip_rows: [3], data_rows: 4 },
+  ]);
+});
+
+test('stacked tables separated by blank rows are found separately', () => {
+  const tables = detectTables([
+    ['Sales'],
+    ['Region', 'Amount'],
+    ['East', 10],
+    ['West', 20],
+    [],
+    ['Costs'],
+    ['Category', 'Amount'],
+    ['Rent', 5],
+  ]);
+  expect(pick(tables, 'title', 'header_row', 'data_start', 'data_end')).toEqual([
+    { title: 'Sales', header_row: 1, data_start: 2, data_end: 3 },
+    { title: 'Costs', header_row: 6, data_start: 7, data_end: 7 },
+  ]);
+});
+
+test('trailing Total rows and notes are the footer', () => {
+  const tables = detectTables([
+    ['Region', 'Sales'],
+    ['East', 10],
+    ['West', 20],
+    ['Total', 30],
+    [],
+    ['Source: finance export'],
+  ]);
+  expect(pick(tables, 'data_start', 'data_end', 'total_rows', 'footer_rows', 'data_rows')).toEqual([
+    { data_start: 1, data_end: 2, total_rows: [3], footer_rows: [3, 5], data_rows: 2 },
+  ]);
+});
+
+test('a single-column table gets its header', () => {
+  const tables = detectTables([['Monthly amounts'], ['Amount'], [10], [20], [30]]);
+  expect(pick(tables, 'title', 'header_row', 'headers', 'data_start', 'data_end', 'first_col', 'last_col')).toEqual([
+    { title: 'Monthly amounts', header_row: 1, headers: ['Amount'], data_start: 2, data_end: 4, first_col: 0, last_col: 0 },
+  ]);
+});
+
+test('a single-column table with its total row', () => {
+  const tables = detectTables([[null, 'Amount'], [null, 10], [null, 20], [null, 'Total'], [null, 30]]);
+  expect(pick(tables, 'header_row', 'data_start', 'first_col')).toEqual([{ header_row: 0, data_start: 1, first_col: 1 }]);
+});
+
+test('an all-text single-column list has no header', () => {
+  const tables = detectTables([['Names'], ['Alice'], ['Bob']]);
+  expect(pick(tables, 'header_row', 'data_start', 'data_end')).toEqual([{ header_row: null, data_start: 0, data_end: 2 }]);
+});
+
+test('an empty sheet has no tables', () => {
+  expect(detectTables([[], [null, '']])).toEqual([]);
+});
@@ -0,0 +1,59 @@
+const { test, expect } = require('bun:test');
+const XLSX = require('xlsx');
+const { diffWorkbooks } = require('../src/pipeline/diff');
+
+// An xlsx buffer from { sheetName: aoa }
+function book(sheets) {
+  const wb = XLSX.utils.book_new();
+  for (const [name, aoa] of Object.entries(sheets)) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), name);
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+test('rows pair up by a key column, wherever they moved', () => {
+  const before = book({ Orders: [
+    ['Order', 'Customer', 'Amount'],
+    ['A-1', 'Acme', 100],
+    ['A-2', 'Globex', 200],
+    ['A-3', 'Initech', 300],
+    ['A-4', 'Umbrella', 400],
+  ] });
+  const after = book({ Orders: [
+    ['Order', 'Customer', 'Amount', 'Tax'],
+    ['A-4', 'Umbrella', 400, 40],
+    ['A-2', 'Globex', 250, 25],
+    ['A-1', 'Acme', 100, 10],
+    ['A-5', 'Hooli', 500, 50],
+  ] });
+
+  const diff = diffWorkbooks(before, after);
+  expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 2 });
+  expect(diff.added_sheets).toEqual([]);
+  expect(diff.removed_sheets).toEqual([]);
+
+  const [sheet] = diff.sheets;
+  expect(sheet).toMatchObject({ sheet: 'Orders', key: 'Order', added_columns: ['Tax'], removed_columns: [], truncated: false });
+  expect(sheet.rows).toEqual([
+    { status: 'changed', key: 'A-2', row: 3, before_row: 3, values: ['A-2', 'Globex', 250, 25], cells: [{ column: 'Amount', before: 200, after: 250 }] },
+    { status: 'added', key: 'A-5', row: 5, values: ['A-5', 'Hooli', 500, 50] },
+    { status: 'removed', key: 'A-3', before_row: 4, values: ['A-3', 'Initech', 300] },
+  ]);
+});
+
+test('without a unique shared column rows pair up by position', () => {
+  const before = book({ Totals: [['Region', 'Total'], ['North', 10], ['North', 20]] });
+  const after = book({ Totals: [['Region', 'Total'], ['North', 10], ['North', 25], ['South', 5]] });
+  const [sheet] = diffWorkbooks(before, after).sheets;
+  expect(sheet.key).toBeNull();
+  expect(sheet.counts).toEqual({ added: 1, removed: 0, changed: 1, unchanged: 1 });
+  expect(sheet.rows.map(r => [r.status, r.key])).toEqual([['changed', '#2'], ['added', '#3']]);
+});
+
+test('sheets pair up by name and the rest are listed as added or removed', () => {
+  const before = book({ Data: [['id'], [1]], Notes: [['text'], ['old']] });
+  const after = book({ Data: [['id'], [1]], Summary: [['total'], [1]] });
+  const diff = diffWorkbooks(before, after);
+  expect(diff.sheets.map(s => s.sheet)).toEqual(['Data']);
+  expect(diff.added_sheets).toEqual(['Summary']);
+  expect(diff.removed_sheets).toEqual(['Notes']);
+  expect(diff.summary).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 1 });
+});
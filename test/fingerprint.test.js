@@ -0,0 +1,64 @@
+const { test, expect } = require('bun:test');
+const XLSX = require('xlsx');
+const { fingerprintFiles, checkFingerprint, matchFingerprint } = require('../src/pipeline/fingerprint');
+const { saveRecipe } = require('../src/recipes');
+
+// An xlsx upload from { sheetName: aoa }
+function upload(name, sheets) {
+  const wb = XLSX.utils.book_new();
+  for (const [sheet, aoa] of Object.entries(sheets)) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), sheet);
+  return { name, buffer: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }) };
+}
+
+const september = upload('sales-2026-09.xlsx', {
+  Orders: [['Sales report'], [], ['Order', 'Region', 'Amount'], [1, 'North', 10], [2, 'South', 20]],
+  Regions: [['Region', 'Manager'], ['North', 'Ann']],
+});
+
+test('the fingerprint comes from every sheet of the uploaded files', () => {
+  expect(fingerprintFiles([september])).toEqual([{
+    name: 'sales-2026-09.xlsx',
+    sheets: [
+      { name: 'Orders', header_row: 2, headers: ['Order', 'Region', 'Amount'] },
+      { name: 'Regions', header_row: 0, headers: ['Region', 'Manager'] },
+    ],
+  }]);
+});
+
+test('next month\'s export with the same layout matches and takes the recipe\'s file name', () => {
+  const october = upload('sales-2026-10.xlsx', {
+    Orders: [['Sales report, October'], [], [' order', 'REGION', 'Amount'], [3, 'East', 30]],
+    Regions: [['Region', 'Manager'], ['East', 'Bo'], ['West', 'Cy']],
+  });
+  const result = matchFingerprint(fingerprintFiles([september]), [october]);
+  expect(result.match).toBe(true);
+  expect(result.files.map(f => f.name)).toEqual(['sales-2026-09.xlsx']);
+  expect(result.files[0].buffer).toBe(october.buffer);
+});
+
+test('uploads that differ from the fingerprint do not match', () => {
+  const fingerprint = fingerprintFiles([september]);
+  const regions = [['Region', 'Manager']];
+  const cases = [
+    [[upload('sales-2026-10.xlsx', { Orders: [['Sales report'], [], ['Order', 'Region', 'Total']], Regions: regions })], 'Headers changed in "sales-2026-10.xlsx" / "Orders" (row 2)'],
+    [[upload('sales-2026-10.xlsx', { Orders: [['Order', 'Region', 'Amount']], Regions: regions })], 'Headers changed in "sales-2026-10.xlsx" / "Orders" (row 2)'],
+    [[upload('sales-2026-10.xlsx', { Orders: [['Sales report'], [], ['Order', 'Region', 'Amount']] })], '"sales-2026-10.xlsx" has no sheet "Regions"'],
+    [[upload('sales-2026-10.xlsx', { Orders: [['Sales report'], [], ['Order', 'Region', 'Amount']], Regions: regions, Notes: [['x']] })], '"sales-2026-10.xlsx" has sheets the recipe doesn\'t: Notes'],
+    [[upload('returns-2026-10.xlsx', { Orders: [['Sales report'], [], ['Order', 'Region', 'Amount']], Regions: regions })], 'No uploaded file matches "sales-2026-09.xlsx"'],
+    [[september, september], 'Expected 1 file(s), got 2'],
+  ];
+  for (const [files, reason] of cases) {
+    expect(matchFingerprint(fingerprint, files)).toEqual({ match: false, reason });
+  }
+});
+
+test('recipes need a well-formed fingerprint', () => {
+  expect(checkFingerprint(fingerprintFiles([september]))).toBeNull();
+  expect(checkFingerprint([])).toBe('fingerprint: expected a non-empty array of files');
+  expect(checkFingerprint([{ name: 'a.xlsx', sheets: [{ name: 'Sheet1', headers: ['a'] }] }]))
+    .toBe('fingerprint[0].sheets[0]: expected { name, header_row, headers }');
+
+  const recipe = { name: 'Monthly', prompt: 'Sum by region', code: 'return null', report: { files: [] } };
+  expect(() => saveRecipe(recipe)).toThrow('A recipe needs name, prompt, code, report and fingerprint');
+  expect(() => saveRecipe({ ...recipe, fingerprint: [{ name: 'a.xlsx' }] })).toThrow('fingerprint[0]: expected { name, sheets }');
+});
@@ -0,0 +1,76 @@
+const { test, expect } = require('bun:test');
+const JSZip = require('jszip');
+const XLSX = require('xlsx');
+const { finalizeOutput } = require('../src/pipeline/formats');
+
+const bytes = Buffer.from('a,b\n1,2\n');
+
+async function bundle(...filenames) {
+  const output = await finalizeOutput({ files: filenames.map(filename => ({ filename, buffer: bytes })), filename: 'bundle' }, 'zip');
+  return Object.keys((await JSZip.loadAsync(output.buffer)).files);
+}
+
+test('zip bundles keep base names only', async () => {
+  expect(await bundle('../up.csv', '/etc/passwd', 'C:\\tmp\\win.csv', 'dir/ok.csv')).toEqual(['up.csv', 'passwd', 'win.csv', 'ok.csv']);
+});
+
+test('duplicate names in a zip bundle are numbered', async () => {
+  expect(await bundle('east.csv', 'East.csv', 'sub/east.csv')).toEqual(['east.csv', 'East (2).csv', 'east (3).csv']);
+});
+
+test('empty names in a zip bundle are rejected', async () => {
+  await expect(bundle('ok.csv', '')).rejects.toThrow('Output file #2 has no usable filename');
+  await expect(bundle('folder/')).rejects.toThrow('Output file #1 has no usable filename');
+});
+
+function workbook(aoa) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), 'Data');
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+const TRICKY = [['Name', 'Note'], ['Smith, Ann', 'said "hi"'], ['Bob', 'two\nlines'], ['Tab\there', null]];
+
+test('csv output quotes commas, quotes and newlines', async () => {
+  const output = await finalizeOutput({ buffer: workbook(TRICKY), filename: 'people.xlsx' }, 'csv');
+  expect(output.filename).toBe('people.csv');
+  expect(output.buffer.toString()).toBe('Name,Note\n"Smith, Ann","said ""hi"""\nBob,"two\nlines"\nTab\there,');
+  expect(output.workbookDerived).toBe(false);
+});
+
+test('tsv output quotes tabs', async () => {
+  const output = await finalizeOutput({ buffer: workbook(TRICKY), filename: 'people' }, 'tsv');
+  expect(output.buffer.toString().split('\n').slice(-1)).toEqual(['"Tab\there"\t']);
+});
+
+test('csv text returned by the code is checked and read back into a workbook', async () => {
+  const output = await finalizeOutput({ buffer: Buffer.from('a,b\n"x, y",2\n'), filename: 'out.csv' }, 'csv');
+  expect(output.workbookDerived).toBe(true);
+  const wb = XLSX.read(output.workbook);
+  expect(XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1 })).toEqual([['a', 'b'], ['x, y', 2]]);
+  await expect(finalizeOutput({ buffer: Buffer.from([0xff, 0xfe, 0x00]) }, 'csv')).rejects.toThrow('Output declared as csv is not valid UTF-8 text');
+});
+
+test('text starting with "PK" is not mistaken for a ZIP', async () => {
+  const output = await finalizeOutput({ buffer: Buffer.from('PK,Name\n1,Ann\n'), filename: 'keys.csv' }, 'csv');
+  expect(output.buffer.toString()).toBe('PK,Name\n1,Ann\n');
+  expect(output.workbookDerived).toBe(true);
+  await expect(finalizeOutput({ buffer: Buffer.from('PK but not a zip') }, 'xlsx')).rejects.toThrow('Output declared as xlsx is not an xlsx workbook');
+  await expect(finalizeOutput({ buffer: Buffer.from('PK,Name\n') }, 'zip')).rejects.toThrow('Output declared as zip is not a ZIP archive');
+});
+
+test('json output is an array for one sheet and keyed by sheet for several', async () => {
+  const one = await finalizeOutput({ buffer: workbook([['a', 'b'], [1, null]]) }, 'json');
+  expect(JSON.parse(one.buffer.toString())).toEqual([{ a: 1, b: null }]);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['a'], [1]]), 'One');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['b'], [2]]), 'Two');
+  const two = await finalizeOutput({ buffer: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }) }, 'json');
+  expect(JSON.parse(two.buffer.toString())).toEqual({ One: [{ a: 1 }], Two: [{ b: 2 }] });
+});
+
+test('a lone xlsx declared as zip is wrapped, not treated as a bundle', async () => {
+  const output = await finalizeOutput({ buffer: workbook([['a'], [1]]), filename: 'report.xlsx' }, 'zip');
+  expect(Object.keys((await JSZip.loadAsync(output.buffer)).files)).toEqual(['report.xlsx']);
+  await expect(finalizeOutput({ buffer: Buffer.from('x') }, 'docx')).rejects.toThrow('Unknown output format "docx"');
+});
@@ -0,0 +1,47 @@
+const { test, expect } = require('bun:test');
+const XLSX = require('xlsx');
+const { createToolExecutor } = require('../src/pipeline/tools');
+
+const formula = (f, v = 0) => ({ t: 'n', v, f });
+
+// Qty × Price filled down, a running total, and a total row under the data
+function linesBook() {
+  const aoa = [['Qty', 'Price', 'Line', 'Running', 'Rate']];
+  for (let r = 2; r <= 4; r++) {
+    aoa.push([r, 10, formula(`A${r}*B${r}`, r * 10), formula(`SUM($C$2:C${r})`), formula(`'Q1'!B${r}*IF(A${r}>2,"B2",LOG10(A${r}))`)]);
+  }
+  aoa.push(['Total', null, formula('SUM(C2:C4)', 90), null, formula('E4&"!"')]);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), 'Lines');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Rate'], [1], [2], [3]]), 'Q1');
+  return createToolExecutor([{ name: 'lines.xlsx', buffer: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }) }]);
+}
+
+test('a filled-down formula collapses to one {r} pattern per column', async () => {
+  const result = await linesBook()('read_formulas', { file: 'lines.xlsx' });
+  expect(result.formula_cells).toBe(11);
+  expect(result.truncated).toBe(false);
+  expect(result.columns.map(({ letter, count, patterns }) => ({ letter, count, patterns }))).toEqual([
+    { letter: 'C', count: 4, patterns: [
+      { pattern: '=A{r}*B{r}', count: 3, first_row: 1 },
+      { pattern: '=SUM(C{r-3}:C{r-1})', count: 1, first_row: 4 },
+    ] },
+    // Absolute rows stay as written
+    { letter: 'D', count: 3, patterns: [{ pattern: '=SUM($C$2:C{r})', count: 3, first_row: 1 }] },
+    // Quoted sheet names and text, and function names ending in digits, are not cell references
+    { letter: 'E', count: 4, patterns: [
+      { pattern: '=\'Q1\'!B{r}*IF(A{r}>2,"B2",LOG10(A{r}))', count: 3, first_row: 1 },
+      { pattern: '=E{r-1}&"!"', count: 1, first_row: 4 },
+    ] },
+  ]);
+  expect(result.cells[0]).toEqual({ cell: 'C2', row: 1, column: 2, formula: '=A2*B2', value: 20 });
+});
+
+test('read_formulas can be limited to a range', async () => {
+  const read = linesBook();
+  const result = await read('read_formulas', { file: 'lines.xlsx', range: 'c2:c5' });
+  expect(result.cells.map(c => c.cell)).toEqual(['C2', 'C3', 'C4', 'C5']);
+  expect(result.columns.map(c => c.letter)).toEqual(['C']);
+  expect(await read('read_formulas', { file: 'lines.xlsx', range: 'C2-C5' }))
+    .toEqual({ error: 'Invalid range "C2-C5". Use A1 notation, e.g. "A1:F20"' });
+});
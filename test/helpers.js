@@ -0,0 +1,60 @@
+// Shared helpers for tests that run sandbox code and inspect the xlsx it returns
+const JSZip = require('jszip');
+const { execute } = require('../src/pipeline/execute');
+
+// Sandbox code that starts from a workbook built from { sheetName: aoa }
+function bookCode(sheets, body) {
+  return `
+    const wb = XLSX.utils.book_new();
+    for (const [name, aoa] of Object.entries(${JSON.stringify(sheets)})) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), name);
+    }
+    let buf = XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+    ${body}
+    return { buffer: buf, filename: 'out.xlsx' };`;
+}
+
+// Run code returning an xlsx; resolves { zip, logs, read(path) }
+async function runWorkbook(code, files = []) {
+  const output = await execute(code, files);
+  const zip = await JSZip.loadAsync(output.buffer);
+  return {
+    zip,
+    buffer: output.buffer,
+    logs: output.logs,
+    read: path => zip.file(path)?.async('string') ?? null,
+  };
+}
+
+// The error message a run fails with, or null
+async function errorOf(code, files = []) {
+  try {
+    await execute(code, files);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+const attr = (tag, name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1] ?? null;
+const items = (xml, list, item) => [...(xml.match(new RegExp(`<${list}\\b[^>]*>([\\s\\S]*?)</${list}>`))?.[1] || '')
+  .matchAll(new RegExp(`<${item}\\b[^>]*?(?:/>|>[\\s\\S]*?</${item}>)`, 'g'))].map(m => m[0]);
+
+// What a cell's style amounts to: { bold, fill, numFmt } read from styles.xml
+async function cellStyle(book, sheetPath, ref) {
+  const sheet = await book.read(sheetPath);
+  const cell = sheet.match(new RegExp(`<c r="${ref}"[^>]*>`))?.[0];
+  const styles = await book.read('xl/styles.xml');
+  const xf = items(styles, 'cellXfs', 'xf')[Number(attr(cell || '', 's') || 0)];
+  const font = items(styles, 'fonts', 'font')[Number(attr(xf, 'fontId'))] || '';
+  const fill = items(styles, 'fills', 'fill')[Number(attr(xf, 'fillId'))] || '';
+  const numFmtId = attr(xf, 'numFmtId');
+  const custom = items(styles, 'numFmts', 'numFmt').find(f => attr(f, 'numFmtId') === numFmtId);
+  return {
+    bold: /<b\/>|<b val="1"\/>/.test(font),
+    fill: fill.match(/<fgColor rgb="([^"]+)"/)?.[1] ?? null,
+    numFmt: custom ? attr(custom, 'formatCode').replace(/&quot;/g, '"') : Number(numFmtId),
+  };
+}
+
+module.exports = { bookCode, runWorkbook, errorOf, cellStyle, attr };
@@ -0,0 +1,70 @@
+const { test, expect } = require('bun:test');
+const XLSX = require('xlsx');
+const { readInput, ingestFiles } = require('../src/pipeline/ingest');
+
+function read(buffer) {
+  const { wb, detected } = readInput(buffer);
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  return { ws, detected, rows: XLSX.utils.sheet_to_json(ws, { header: 1, defval: null }) };
+}
+
+test('UTF-16LE without a BOM is found by its NUL bytes', () => {
+  const { detected, rows } = read(Buffer.from('Name,City\nJosé,Zürich\nAnn,Łódź\n', 'utf16le'));
+  expect(detected).toEqual({ format: 'csv', encoding: 'utf-16le', delimiter: ',', quote: '"', decimal: '.' });
+  expect(rows).toEqual([['Name', 'City'], ['José', 'Zürich'], ['Ann', 'Łódź']]);
+});
+
+test('a BOM wins over the content', () => {
+  const { detected, rows } = read(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('a,b\n1,2\n')]));
+  expect(detected.encoding).toBe('utf-8');
+  expect(rows).toEqual([['a', 'b'], [1, 2]]);
+});
+
+test('bytes that are not UTF-8 are read as Windows-1252', () => {
+  // "Crème brûlée;5 €" in Windows-1252: è=E8, û=FB, é=E9, €=80
+  const body = Buffer.from([...Buffer.from('Dessert;Price\nCr'), 0xe8, ...Buffer.from('me br'), 0xfb, ...Buffer.from('l'), 0xe9, 0x65, ...Buffer.from(';5 '), 0x80, 0x0a]);
+  const { detected, rows } = read(body);
+  expect(detected.encoding).toBe('windows-1252');
+  expect(rows).toEqual([['Dessert', 'Price'], ['Crème brûlée', '5 €']]);
+});
+
+test('semicolons with decimal commas and dot thousands', () => {
+  const { detected, rows } = read(Buffer.from('Item;Price;Qty\nA;1.234,50;2\nB;0,75;10\nC;12;1.000\n'));
+  expect(detected).toMatchObject({ delimiter: ';', decimal: ',' });
+  expect(rows).toEqual([['Item', 'Price', 'Qty'], ['A', 1234.5, 2], ['B', 0.75, 10], ['C', 12, 1000]]);
+});
+
+test('ambiguous "1,234" values keep the dot convention', () => {
+  const { detected, rows } = read(Buffer.from('Id,Amount\n1,"1,234"\n2,"5,678"\n'));
+  expect(detected).toMatchObject({ delimiter: ',', decimal: '.' });
+  expect(rows).toEqual([['Id', 'Amount'], [1, 1234], [2, 5678]]);
+});
+
+test('quoted fields hold delimiters, newlines and doubled quotes', () => {
+  const { detected, rows } = read(Buffer.from('Name,Address,Amount\r\n"Smith, Ann","1 Main St\r\nApt 2",5\r\nBob,"He said ""hi""",6\r\n'));
+  expect(detected).toMatchObject({ delimiter: ',', quote: '"' });
+  expect(rows).toEqual([['Name', 'Address', 'Amount'], ['Smith, Ann', '1 Main St\r\nApt 2', 5], ['Bob', 'He said "hi"', 6]]);
+});
+
+test('a single column has no delimiter', () => {
+  const { detected, rows } = read(Buffer.from('Email\nann@example.com\nbob@example.com\n'));
+  expect(detected).toMatchObject({ format: 'csv', delimiter: null });
+  expect(rows).toEqual([['Email'], ['ann@example.com'], ['bob@example.com']]);
+});
+
+test('ZIP codes and IDs with leading zeros stay text', () => {
+  const { ws, rows } = read(Buffer.from('Zip,Town,Count\n02134,Boston,0\n10001,New York,7\n00501,Holtsville,-0.5\n'));
+  expect(rows.map(r => r[0])).toEqual(['Zip', '02134', 10001, '00501']);
+  expect([ws.A2.t, ws.A4.t]).toEqual(['s', 's']);
+  expect(rows.map(r => r[2]).slice(1)).toEqual([0, 7, -0.5]);
+});
+
+test('tab-separated files are detected as tsv; xlsx passes through untouched', () => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['x']]), 'Data');
+  const book = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+  const [tsv, xlsx] = ingestFiles([{ name: 'a.tsv', buffer: Buffer.from('a\tb\n1\t2\n') }, { name: 'b.xlsx', buffer: book }]);
+  expect(tsv.detected).toMatchObject({ format: 'tsv', delimiter: '\t' });
+  expect(xlsx.detected).toEqual({ format: 'xlsx' });
+  expect(xlsx.buffer).toBe(book);
+});
@@ -0,0 +1,106 @@
+const { test, expect } = require('bun:test');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// EXCELIUS_DATA_DIR is a temporary dir set by test/setup.js
+const JOBS_DIR = path.join(process.env.EXCELIUS_DATA_DIR, 'jobs');
+const JOBS_MODULE = require.resolve('../src/jobs');
+
+function upload() {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Region', 'Amount'], ['North', 10], ['South', 20]]), 'Sales');
+  return { name: 'sales.xlsx', buffer: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }) };
+}
+
+// A one-turn explore and codegen run of the mock provider; `code` is the generated code
+function mockScript(code) {
+  const report = {
+    files: [{ name: 'sales.xlsx', sheets: [{ name: 'Sales', row_count: 3, col_count: 2, headers: ['Region', 'Amount'], header_row: 0 }] }],
+    data_issues: [],
+    recommended_approach: 'Copy the sheet.',
+  };
+  return {
+    explore: [{ content: [{ type: 'tool_use', name: 'submit_report', input: report }] }],
+    codegen: [{ content: [{ type: 'tool_use', name: 'generate_code', input: { code, filename: 'out.xlsx', explanation: 'Copies the sheet.' } }] }],
+  };
+}
+
+const COPY_CODE = `const wb = XLSX.read(files[0].buffer, { type: 'array' });
+return { buffer: XLSX.write(wb, { type: 'array', bookType: 'xlsx' }), filename: 'out.xlsx' };`;
+
+// Resolves once the job's terminal event arrives
+function finished(jobs, id) {
+  return new Promise(resolve => {
+    const unsubscribe = jobs.subscribe(id, entry => {
+      if (jobs.isTerminal(entry)) { unsubscribe(); resolve(entry); }
+    });
+  });
+}
+
+// A fresh copy of the jobs module, as a restarted server would load it
+function reloadJobs() {
+  delete require.cache[JOBS_MODULE];
+  return require(JOBS_MODULE);
+}
+
+test('a job streams its events, stores them without deltas and replays them from an event id', async () => {
+  const jobs = require(JOBS_MODULE);
+  const live = [];
+  const job = jobs.createJob({ files: [upload()], prompt: 'Copy the sheet', llm: { provider: 'mock', mockScript: mockScript(COPY_CODE) } });
+  const unsubscribe = jobs.subscribe(job.id, entry => live.push(entry));
+  const terminal = await finished(jobs, job.id);
+  unsubscribe();
+
+  expect(terminal.event).toBe('complete');
+  expect(terminal.data.fingerprint[0].sheets[0].headers).toEqual(['Region', 'Amount']);
+  expect(jobs.getJob(job.id)).toMatchObject({ status: 'complete', output: { filename: 'out.xlsx' } });
+  expect(jobs.getJobOutput(job.id).buffer.length).toBeGreaterThan(0);
+
+  // Deltas reach live subscribers but not events.jsonl
+  expect(live.some(e => e.transient && e.data.status === 'delta')).toBe(true);
+  const stored = jobs.getJobEvents(job.id);
+  expect(stored.some(e => e.data?.status === 'delta')).toBe(false);
+  expect(stored.map(e => e.seq)).toEqual(stored.map((_, i) => i + 1));
+  expect(stored[0].data).toMatchObject({ phase: 'queued', status: 'queued' });
+  const persisted = live.filter(e => !e.transient);
+  expect(persisted.at(-1).event).toBe('complete');
+  expect(persisted).toEqual(stored.slice(-persisted.length));
+
+  // After a reload the log replays in full, or after a Last-Event-ID
+  const reloaded = reloadJobs();
+  expect(reloaded.getJob(job.id).status).toBe('complete');
+  expect(reloaded.getJobEvents(job.id)).toEqual(stored);
+  expect(reloaded.getJobEvents(job.id, 2)).toEqual(stored.slice(2));
+  expect(reloaded.getJobEvents(job.id, stored.length)).toEqual([]);
+});
+
+test('jobs running when the server stopped are marked failed on restart', async () => {
+  // A server process whose job sits in the sandbox until the process is killed
+  const script = `
+    const jobs = require(${JSON.stringify(JOBS_MODULE)});
+    const job = jobs.createJob({
+      files: [{ name: 'sales.xlsx', buffer: Buffer.from(process.env.UPLOAD, 'base64') }],
+      llm: { provider: 'mock', mockScript: ${JSON.stringify(mockScript('await new Promise(r => setTimeout(r, 5000));\n' + COPY_CODE))} },
+    });
+    jobs.subscribe(job.id, e => { if (e.data?.phase === 'executing') console.log(job.id); });`;
+  const server = Bun.spawn(['bun', '-e', script], {
+    env: { ...process.env, UPLOAD: upload().buffer.toString('base64') },
+    stdout: 'pipe',
+  });
+  const reader = server.stdout.getReader();
+  const { value } = await reader.read();
+  const id = new TextDecoder().decode(value).trim();
+  server.kill('SIGKILL');
+  await server.exited;
+
+  const before = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, id, 'job.json'), 'utf-8'));
+  expect(before.status).toBe('running');
+
+  const jobs = reloadJobs();
+  expect(jobs.getJob(id)).toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+  const events = jobs.getJobEvents(id);
+  expect(events.at(-1)).toMatchObject({ event: 'error', data: { message: 'Interrupted by a server restart' } });
+  expect(events.map(e => e.seq)).toEqual(events.map((_, i) => i + 1));
+  expect(jobs.isTerminal(events.at(-1))).toBe(true);
+}, 20000);
@@ -0,0 +1,77 @@
+const { test, expect } = require('bun:test');
+const { NORMALIZATIONS, normalizeKey, collectKeyMap, autoNormalize, fuzzyCandidates } = require('../src/pipeline/keys');
+const { createToolExecutor } = require('../src/pipeline/tools');
+
+const csv = (name, text) => ({ name, buffer: Buffer.from(text) });
+
+test('the README examples match once normalized', () => {
+  expect(normalizeKey(' ACC-001 ')).toBe('ACC-001');
+  expect(normalizeKey('ACC-001', ['case', 'punctuation'])).toBe(normalizeKey('acc001', ['case', 'punctuation']));
+  expect(normalizeKey('ACC-001', ['case'])).not.toBe(normalizeKey('acc001', ['case']));
+  expect(normalizeKey('1001.0', ['numeric'])).toBe('1001');
+  expect(normalizeKey(1001.0, ['numeric'])).toBe(normalizeKey('1001', ['numeric']));
+  expect(normalizeKey('1001.5', ['numeric'])).toBe('1001.5');
+  expect(normalizeKey('1001.0', [])).toBe('1001.0');
+});
+
+test('leading_zeros drops zeros that start a digit run only', () => {
+  const strip = (v) => normalizeKey(v, ['leading_zeros']);
+  expect(['007', 'INV-0042', 'A0012B003', '100', '0', '000', 'X-000'].map(strip)).toEqual(['7', 'INV-42', 'A12B3', '100', '0', '0', 'X-0']);
+});
+
+test('auto picks the fewest cumulative steps that reach the best overlap', () => {
+  const rows = (...keys) => keys.map(k => [k]);
+  expect(autoNormalize(rows('a', 'b'), 0, 0, rows('a', 'b'), 0, 0)).toEqual([]);
+  expect(autoNormalize(rows('1.0', '2'), 0, 0, rows('1', '2.00'), 0, 0)).toEqual(['numeric']);
+  expect(autoNormalize(rows('ACC-001', 'ACC-002'), 0, 0, rows('acc-001', 'acc-002'), 0, 0)).toEqual(['numeric', 'case']);
+  expect(autoNormalize(rows('ACC-001', 'ACC-002'), 0, 0, rows('acc001', 'acc 002'), 0, 0)).toEqual(['numeric', 'case', 'punctuation']);
+  expect(autoNormalize(rows('ACC-001'), 0, 0, rows('acc1'), 0, 0)).toEqual(NORMALIZATIONS);
+  // Nothing ever matches: no steps
+  expect(autoNormalize(rows('x'), 0, 0, rows('y'), 0, 0)).toEqual([]);
+});
+
+test('fuzzy candidates pair each key with its best match, highest score first', () => {
+  const display = (...keys) => new Map(keys.map(k => [k, k]));
+  const only1 = ['Jon Smith', 'Smith, Ann', 'Qwerty'];
+  const only2 = ['Ann Smith', 'John Smith', 'Zed'];
+  expect(fuzzyCandidates(only1, only2, display(...only1), display(...only2))).toEqual([
+    { key1: 'Smith, Ann', key2: 'Ann Smith', score: 1, method: 'tokens' },
+    { key1: 'Jon Smith', key2: 'John Smith', score: 0.9, method: 'edit_distance' },
+  ]);
+});
+
+test('composite keys collect several columns and skip rows with an empty part', () => {
+  const keys = collectKeyMap([['East', 'A-1'], ['east', 'a1'], ['West', null], ['West', 'B-2']], [0, 1], 0, ['case', 'punctuation']);
+  expect([...keys]).toEqual([['east | a1', 'East | A-1'], ['west | b2', 'West | B-2']]);
+});
+
+test('compare_keys matches composite keys across column orders', () => {
+  const executeTool = createToolExecutor([
+    csv('accounts.csv', 'Region,Account,Amount\nEast,ACC-001,1\nEast,ACC-002,2\nWest,ACC-001,3\n'),
+    csv('balances.csv', 'account,region,Debit\nacc001,east,5\nacc002,EAST,6\nacc001,north,7\n'),
+  ]);
+  const spec = { file1: 'accounts', file2: 'balances', cols1: [0, 1], cols2: [1, 0], start1: 1, start2: 1 };
+  expect(executeTool('compare_keys', spec)).toMatchObject({ normalization: [], shared: 0, normalized_shared: 2 });
+  expect(executeTool('compare_keys', { ...spec, normalize: 'auto' })).toEqual({
+    normalization: ['numeric', 'case', 'punctuation'],
+    file1_keys: 3, file2_keys: 3, shared: 2,
+    only_in_file1: 1, only_in_file2: 1,
+    sample_only_file1: ['West | ACC-001'], sample_only_file2: ['north | acc001'],
+  });
+  expect(executeTool('compare_keys', { ...spec, cols2: [1] })).toEqual({ error: 'cols1 and cols2 must list the same number of columns' });
+  expect(executeTool('compare_keys', { ...spec, normalize: ['case', 'accents'] }).error).toBe('Unknown normalization: accents. Use numeric, case, punctuation, leading_zeros, "all" or "auto"');
+});
+
+test('compare_keys with fuzzy lists candidates for the keys left over', () => {
+  const executeTool = createToolExecutor([
+    csv('crm.csv', 'Customer\nAcme Corp.\nGlobex\nInitech\n'),
+    csv('billing.csv', 'Client\nAcme Corp\nGlobex\nInitrode\n'),
+  ]);
+  const result = executeTool('compare_keys', { file1: 'crm', file2: 'billing', col1: 0, col2: 0, start1: 1, start2: 1, fuzzy: true });
+  expect(result.shared).toBe(1);
+  expect(result.fuzzy_candidates).toEqual([
+    { key1: 'Acme Corp.', key2: 'Acme Corp', score: 1, method: 'tokens' },
+  ]);
+  // Initech / Initrode scores 0.5, under the 0.6 cut-off
+  expect(result.fuzzy_matched).toBe(1);
+});
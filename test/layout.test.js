@@ -0,0 +1,63 @@
+const { test, expect } = require('bun:test');
+const JSZip = require('jszip');
+const XLSX = require('xlsx');
+const { createToolExecutor } = require('../src/pipeline/tools');
+
+// A report sheet with a merged title, a hidden row and column and a dated,
+// currency-formatted table, next to a plain sheet. SheetJS doesn't write
+// frozen panes, so the pane is patched into the report's sheet XML.
+async function reportFile({ frozen = true } = {}) {
+  const ws = XLSX.utils.aoa_to_sheet([
+    ['Q3 sales report', null, null, null],
+    ['Date', 'Region', 'Amount', 'Internal'],
+    [new Date(Date.UTC(2026, 6, 1)), 'North', 1200.5, 'x'],
+    [new Date(Date.UTC(2026, 6, 2)), 'South', 880, 'y'],
+  ], { cellDates: true });
+  ws['!merges'] = [XLSX.utils.decode_range('A1:D1')];
+  ws['!rows'] = [undefined, undefined, { hidden: true }];
+  ws['!cols'] = [{ wch: 12 }, undefined, { wch: 14 }, { hidden: true }];
+  for (const addr of ['A3', 'A4']) ws[addr].z = 'yyyy-mm-dd';
+  for (const addr of ['C3', 'C4']) ws[addr].z = '"$"#,##0.00';
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['a'], [1]]), 'Notes');
+  XLSX.utils.book_append_sheet(wb, ws, 'Report');
+  const zip = await JSZip.loadAsync(XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }));
+  if (frozen) {
+    const sheetPath = 'xl/worksheets/sheet2.xml';
+    const pane = '<sheetViews><sheetView workbookViewId="0"><pane xSplit="1" ySplit="2" topLeftCell="B3" activePane="bottomRight" state="frozen"/></sheetView></sheetViews>';
+    let xml = await zip.file(sheetPath).async('string');
+    xml = xml.includes('<sheetViews') ? xml.replace(/<sheetViews>[\s\S]*?<\/sheetViews>/, pane) : xml.replace('<sheetFormatPr', `${pane}<sheetFormatPr`);
+    zip.file(sheetPath, xml);
+  }
+  return { name: 'report.xlsx', buffer: await zip.generateAsync({ type: 'nodebuffer' }) };
+}
+
+test('describe_layout reports merges, frozen panes, hidden rows and columns, and formats', async () => {
+  const describe = createToolExecutor([await reportFile()]);
+  const layout = await describe('describe_layout', { file: 'report.xlsx', sheet: 'Report' });
+  expect(layout).toMatchObject({
+    sheet: 'Report',
+    range: 'A1:D4',
+    merges: ['A1:D1'],
+    merge_count: 1,
+    frozen: { rows: 2, cols: 1 },
+    hidden_rows: [2],
+    hidden_columns: [{ column: 3, letter: 'D' }],
+    comments: [],
+  });
+  expect(layout.column_widths.map(w => w.letter)).toEqual(['A', 'C']);
+  expect(layout.column_formats).toEqual([
+    { column: 0, letter: 'A', types: { s: 2, n: 2 }, formats: ['yyyy-mm-dd'], date: true },
+    { column: 2, letter: 'C', types: { s: 1, n: 2 }, formats: ['"$"#,##0.00'], date: false },
+  ]);
+});
+
+test('frozen panes are read from the requested sheet only', async () => {
+  const describe = createToolExecutor([await reportFile()]);
+  const notes = await describe('describe_layout', { file: 'report.xlsx', sheet: 'Notes' });
+  expect(notes).toMatchObject({ frozen: null, merges: [], hidden_rows: [], hidden_columns: [] });
+
+  const unfrozen = createToolExecutor([await reportFile({ frozen: false })]);
+  expect((await unfrozen('describe_layout', { file: 'report.xlsx', sheet: 'Report' })).frozen).toBeNull();
+});
@@ -0,0 +1,53 @@
+const { test, expect } = require('bun:test');
+const XLSX = require('xlsx');
+const { parquetMetadata, parquetReadObjects } = require('hyparquet');
+const { writeParquet, isParquet } = require('../src/pipeline/parquet');
+const { finalizeOutput } = require('../src/pipeline/formats');
+
+const arrayBuffer = (buf) => buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+
+async function readBack(buf) {
+  const file = arrayBuffer(buf);
+  return { rows: await parquetReadObjects({ file }), metadata: parquetMetadata(file) };
+}
+
+test('nulls, numbers, strings, booleans and dates read back with a parquet reader', async () => {
+  const when = new Date(Date.UTC(2024, 0, 5, 13, 30));
+  const buf = writeParquet(['Name', 'Amount', 'Active', 'When', ''], [
+    ['Ann', 1.5, true, when, 'x'],
+    [null, -2, null, null, 'é, "quoted"\nline'],
+    ['', null, false, new Date(Date.UTC(1999, 11, 31)), 3],
+  ]);
+  expect(isParquet(buf)).toBe(true);
+  const { rows, metadata } = await readBack(buf);
+  expect(Number(metadata.num_rows)).toBe(3);
+  expect(metadata.schema.slice(1).map(c => [c.name, c.type])).toEqual([
+    ['Name', 'BYTE_ARRAY'], ['Amount', 'DOUBLE'], ['Active', 'BOOLEAN'], ['When', 'INT64'], ['column_5', 'BYTE_ARRAY'],
+  ]);
+  expect(rows).toEqual([
+    { Name: 'Ann', Amount: 1.5, Active: true, When: when, column_5: 'x' },
+    { Name: null, Amount: -2, Active: null, When: null, column_5: 'é, "quoted"\nline' },
+    { Name: null, Amount: null, Active: false, When: new Date(Date.UTC(1999, 11, 31)), column_5: '3' },
+  ]);
+});
+
+test('wide and long tables keep every column and row', async () => {
+  const headers = Array.from({ length: 20 }, (_, c) => `c${c}`);
+  const data = Array.from({ length: 50 }, (_, r) => headers.map((h, c) => ((r + c) % 7 === 0 ? null : r * 100 + c)));
+  const { rows } = await readBack(writeParquet(headers, data));
+  expect(rows.map(row => headers.map(h => row[h]))).toEqual(data);
+});
+
+test('an xlsx declared as parquet keeps date cells as timestamps, or ISO text in mixed columns', async () => {
+  const ws = XLSX.utils.aoa_to_sheet([['Region', 'Day', 'Sales', 'Booked']]);
+  XLSX.utils.sheet_add_aoa(ws, [['East', { t: 'n', v: 45296.5625, z: 'yyyy-mm-dd hh:mm' }, 10, { t: 'n', v: 45292, z: 'm/d/yy' }], ['West', null, 2.5, 'n/a']], { origin: 'A2' });
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'Data');
+  const output = await finalizeOutput({ buffer: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }), filename: 'sales.xlsx' }, 'parquet');
+  expect(output.filename).toBe('sales.parquet');
+  const { rows } = await readBack(output.buffer);
+  expect(rows).toEqual([
+    { Region: 'East', Day: new Date(Date.UTC(2024, 0, 5, 13, 30)), Sales: 10, Booked: '2024-01-01T00:00:00.000Z' },
+    { Region: 'West', Day: null, Sales: 2.5, Booked: 'n/a' },
+  ]);
+});
@@ -0,0 +1,105 @@
+const { test, expect } = require('bun:test');
+const XLSX = require('xlsx');
+const { runWorkbook, errorOf } = require('./helpers');
+
+// Data!A1:D5 with a Total formula column, a sheet and a defined name that
+// refer to it, a validation, a conditional format, a chart and a native pivot
+const SETUP = `
+  const wb = XLSX.utils.book_new();
+  const data = XLSX.utils.aoa_to_sheet([['Region', 'Qty', 'Price', 'Total']]);
+  [['East', 2, 3], ['West', 4, 5], ['East', 1, 7], ['West', 3, 2]].forEach(([region, qty, price], i) => {
+    const r = i + 2;
+    XLSX.utils.sheet_add_aoa(data, [[region, qty, price, { t: 'n', f: 'B' + r + '*C' + r, v: qty * price }]], { origin: 'A' + r });
+  });
+  data['!merges'] = [XLSX.utils.decode_range('C7:D7')];
+  XLSX.utils.book_append_sheet(wb, data, 'Data');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Sum', { t: 'n', f: 'SUM(Data!D2:D5)&"D2"', v: 0 }]]), 'Report');
+  wb.Workbook = { Names: [{ Name: 'Totals', Ref: 'Data!$D$2:$D$5' }] };
+  let buf = XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+  buf = await styleWorkbook(buf, { Data: {
+    validations: [{ range: 'C2:C5', type: 'decimal', op: '>=', value: 0 }],
+    conditional: [{ range: 'D2:D5', formula: '$D2>10', style: { bold: true } }],
+  } });
+  buf = await addCharts(buf, { sheet: 'Data', type: 'column', categories: 'A2:A5', series: [{ name: 'Data!D1', values: 'D2:D5' }] });
+  buf = await addPivotSheet(buf, { source: 'Data', sheet: 'Summary', rows: ['Region'], values: ['Total', { column: 'Qty', agg: 'avg' }], pivotTable: true });
+`;
+
+async function edit(body) {
+  return runWorkbook(`${SETUP}
+    const book = await editWorkbook(buf);
+    ${body}
+    return { buffer: await book.save(), filename: 'edited.xlsx' };`);
+}
+
+const inserted = edit(`log(book.sheet('data').addColumn('Discount', [0.1, 0.2, 0.3, 0.4], { after: 'Region' }));`);
+
+test('addColumn inserts the column and returns its letter', async () => {
+  const book = await inserted;
+  expect(book.logs).toEqual(['B']);
+  const rows = XLSX.utils.sheet_to_json(XLSX.read(book.buffer).Sheets.Data, { header: 1 });
+  expect(rows.slice(0, 3)).toEqual([['Region', 'Discount', 'Qty', 'Price', 'Total'], ['East', 0.1, 2, 3, 6], ['West', 0.2, 4, 5, 20]]);
+});
+
+test('formulas, defined names and merges shift', async () => {
+  const book = await inserted;
+  const data = await book.read('xl/worksheets/sheet1.xml');
+  expect(data).toContain('<c r="E2"><f>C2*D2</f><v>6</v></c>');
+  expect(data).toContain('<mergeCell ref="D7:E7"/>');
+  expect(await book.read('xl/worksheets/sheet2.xml')).toContain('<f>SUM(Data!E2:E5)&amp;&quot;D2&quot;</f>');
+  expect(await book.read('xl/workbook.xml')).toContain('<definedName name="Totals">Data!$E$2:$E$5</definedName>');
+});
+
+test('validations and conditional formats shift', async () => {
+  const data = await (await inserted).read('xl/worksheets/sheet1.xml');
+  expect(data).toMatch(/<dataValidation\b[^>]*sqref="D2:D5">/);
+  expect(data).toContain('<conditionalFormatting sqref="E2:E5">');
+  expect(data).toContain('<formula>$E2&gt;10</formula>');
+});
+
+test('chart series shift', async () => {
+  const chart = await (await inserted).read('xl/charts/chart1.xml');
+  const refs = [...chart.matchAll(/<c:f>([^<]*)<\/c:f>/g)].map(m => m[1]);
+  expect(refs).toEqual(["'Data'!$E$1", "'Data'!$A$2:$A$5", "'Data'!$E$2:$E$5"]);
+});
+
+test('the pivot source widens and its cache gains a field', async () => {
+  const book = await inserted;
+  const cache = await book.read('xl/pivotCache/pivotCacheDefinition1.xml');
+  expect(cache).toContain('<worksheetSource ref="A1:E5" sheet="Data"/>');
+  expect([...cache.matchAll(/<cacheField name="([^"]*)"/g)].map(m => m[1])).toEqual(['Region', 'Discount', 'Qty', 'Price', 'Total']);
+  expect(cache).toContain('<cacheFields count="5">');
+  expect(cache).toContain('refreshOnLoad="1"');
+  const records = await book.read('xl/pivotCache/pivotCacheRecords1.xml');
+  expect(records).toContain('<r><x v="0"/><m/><n v="2"/><n v="3"/><n v="6"/></r>');
+  const table = await book.read('xl/pivotTables/pivotTable1.xml');
+  expect(table).toContain('<pivotFields count="5">');
+  expect(table).toContain('<rowFields count="1"><field x="0"/></rowFields>');
+  expect([...table.matchAll(/<dataField\b[^>]*fld="(\d+)"/g)].map(m => m[1])).toEqual(['4', '2']);
+});
+
+test('edits drop the calc chain and recalculate on open', async () => {
+  const workbook = await (await inserted).read('xl/workbook.xml');
+  expect(workbook).toContain('fullCalcOnLoad="1"');
+});
+
+test('appending a column, rows and a sheet', async () => {
+  const book = await edit(`
+    const ws = book.sheet('Data');
+    log(ws.addColumn('Note', ['a', 'b']));
+    ws.appendRows([['North', 1, 1, { f: 'B6*C6', v: 1 }]]);
+    await book.addSheet('Log', [['When'], [new Date(Date.UTC(2024, 0, 5))]]);`);
+  expect(book.logs).toEqual(['E']);
+  const wb = XLSX.read(book.buffer, { cellDates: true });
+  expect(wb.SheetNames).toEqual(['Data', 'Report', 'Summary', 'Summary PivotTable', 'Log']);
+  expect(XLSX.utils.sheet_to_json(wb.Sheets.Data, { header: 1 })[5]).toEqual(['North', 1, 1, 1]);
+  expect(wb.Sheets.Log.A2.v.toISOString().slice(0, 10)).toBe('2024-01-05');
+  // Nothing was inserted inside the pivot source, so its cache is untouched
+  expect(await book.read('xl/pivotCache/pivotCacheDefinition1.xml')).toContain('<cacheFields count="4">');
+});
+
+test('mistakes throw, naming them', async () => {
+  expect(await errorOf(`${SETUP} (await editWorkbook(buf)).sheet('Nope'); return { buffer: buf };`))
+    .toBe('editWorkbook: sheet "Nope": not found (sheets: Data, Report, Summary, Summary PivotTable)');
+  expect(await errorOf(`${SETUP} (await editWorkbook(buf)).sheet('Data').addColumn('X', [], { after: 'Nope' }); return { buffer: buf };`))
+    .toBe('editWorkbook: addColumn: no column "Nope" in row 0 of "Data" (headers: Region, Qty, Price, Total)');
+});
@@ -0,0 +1,95 @@
+const { test, expect } = require('bun:test');
+const XLSX = require('xlsx');
+const { execute } = require('../src/pipeline/execute');
+const { bookCode, runWorkbook, errorOf } = require('./helpers');
+
+const RECORDS = [
+  { Region: 'East', Rep: 'Ann', Quarter: 'Q1', Amount: 10 },
+  { Region: 'east ', Rep: 'Bob', Quarter: 'Q2', Amount: 5 },
+  { Region: '', Rep: 'Cy', Quarter: 'Q1', Amount: 7 },
+  { Region: null, Rep: 'Cy', Quarter: 'Q2', Amount: 1 },
+  { Region: 'West', Rep: 'Ann', Quarter: 'Q1', Amount: 2 },
+];
+
+async function pivotOf(spec) {
+  const { logs } = await execute(`log(JSON.stringify(pivot(${JSON.stringify(RECORDS)}, ${JSON.stringify(spec)}))); return { buffer: 'x' };`, []);
+  return JSON.parse(logs[0]);
+}
+
+test('blank keys group as (blank), sorted last; keys ignore case and spaces', async () => {
+  const { aoa } = await pivotOf({ rows: ['Region'], values: ['Amount'] });
+  expect(aoa).toEqual([
+    ['Region', 'Sum of Amount'],
+    ['East', 15],
+    ['West', 2],
+    ['(blank)', 8],
+    ['Grand Total', 25],
+  ]);
+});
+
+test('subtotals follow each group of the outer row field', async () => {
+  const result = await pivotOf({ rows: ['Region', 'Rep'], values: ['Amount'] });
+  expect(result.aoa).toEqual([
+    ['Region', 'Rep', 'Sum of Amount'],
+    ['East', 'Ann', 10],
+    ['East', 'Bob', 5],
+    ['East Total', null, 15],
+    ['West', 'Ann', 2],
+    ['West Total', null, 2],
+    ['(blank)', 'Cy', 8],
+    ['(blank) Total', null, 8],
+    ['Grand Total', null, 25],
+  ]);
+  expect(result).toMatchObject({ headerRows: 1, subtotalRows: [3, 5, 7], totalRow: 8 });
+  const flat = await pivotOf({ rows: ['Region', 'Rep'], values: ['Amount'], subtotals: false });
+  expect(flat.subtotalRows).toEqual([]);
+  expect(flat.aoa.length).toBe(6);
+});
+
+test('grand totals aggregate the rows themselves, across columns too', async () => {
+  const result = await pivotOf({ rows: ['Region'], columns: ['Quarter'], values: [{ column: 'Amount', agg: 'avg' }, { agg: 'count', as: 'N' }] });
+  expect(result.aoa).toEqual([
+    [null, 'Q1', null, 'Q2', null, 'Grand Total', null],
+    ['Region', 'Average of Amount', 'N', 'Average of Amount', 'N', 'Average of Amount', 'N'],
+    ['East', 10, 1, 5, 1, 7.5, 2],
+    ['West', 2, 1, null, null, 2, 1],
+    ['(blank)', 7, 1, 1, 1, 4, 2],
+    ['Grand Total', 19 / 3, 3, 3, 2, 5, 5],
+  ]);
+  expect(result).toMatchObject({ headerRows: 2, totalRow: 5 });
+  expect(result.merges).toHaveLength(3);
+});
+
+test('grand totals can be turned off', async () => {
+  const none = await pivotOf({ rows: ['Region'], columns: ['Quarter'], values: ['Amount'], grandTotals: false });
+  expect(none.totalRow).toBeNull();
+  expect(none.aoa[0]).toEqual(['Region', 'Q1', 'Q2']);
+  const columnOnly = await pivotOf({ rows: ['Region'], columns: ['Quarter'], values: ['Amount'], grandTotals: { rows: false, columns: true } });
+  expect(columnOnly.totalRow).toBeNull();
+  expect(columnOnly.aoa[0]).toEqual(['Region', 'Q1', 'Q2', 'Grand Total']);
+});
+
+test('sort by value', async () => {
+  const { aoa } = await pivotOf({ rows: ['Region'], values: ['Amount'], grandTotals: false, sort: 'value_desc' });
+  expect(aoa.slice(1).map(r => r[0])).toEqual(['East', '(blank)', 'West']);
+});
+
+test('unknown columns and aggregates throw', async () => {
+  const code = spec => `pivot(${JSON.stringify(RECORDS)}, ${JSON.stringify(spec)}); return { buffer: 'x' };`;
+  expect(await errorOf(code({ rows: ['Nope'], values: ['Amount'] }))).toBe('pivot: rows: unknown column "Nope" (columns: Region, Rep, Quarter, Amount)');
+  expect(await errorOf(code({ rows: ['Region'], values: [{ column: 'Amount', agg: 'median' }] }))).toStartWith('pivot: values[0]: ');
+});
+
+test('addPivotSheet writes the summary sheet and a native pivot table', async () => {
+  const rows = [['Region', 'Amount'], ...RECORDS.map(r => [r.Region, r.Amount])];
+  const book = await runWorkbook(bookCode({ Data: rows }, `
+    buf = await addPivotSheet(buf, { source: 'Data', sheet: 'Summary', rows: ['Region'], values: ['Amount'], pivotTable: true });`));
+  const wb = XLSX.read(book.buffer);
+  expect(wb.SheetNames).toEqual(['Data', 'Summary', 'Summary PivotTable']);
+  expect(XLSX.utils.sheet_to_json(wb.Sheets.Summary, { header: 1 }).pop()).toEqual(['Grand Total', 25]);
+  const cache = await book.read('xl/pivotCache/pivotCacheDefinition1.xml');
+  expect(cache).toContain('<worksheetSource ref="A1:B6" sheet="Data"/>');
+  expect(cache).toContain('refreshOnLoad="1"');
+  expect(cache).toContain('<cacheFields count="2">');
+  expect(await book.read('xl/workbook.xml')).toMatch(/<pivotCaches><pivotCache cacheId="\d+" r:id="rId\d+"\/><\/pivotCaches>/);
+});
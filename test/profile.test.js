@@ -0,0 +1,70 @@
+const { test, expect } = require('bun:test');
+const XLSX = require('xlsx');
+const { profileColumn } = require('../src/pipeline/profile');
+const { createToolExecutor } = require('../src/pipeline/tools');
+
+// One-column rows under a header
+const column = (...values) => [['Header'], ...values.map(v => [v])];
+
+// Header plus one formatted column, written and read back so cells carry their formatted text
+function formattedColumn(cells) {
+  const ws = XLSX.utils.aoa_to_sheet([['Header'], ...cells.map(([v]) => [v])]);
+  cells.forEach(([, z], i) => { ws[XLSX.utils.encode_cell({ r: i + 1, c: 0 })].z = z; });
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'Data');
+  return createToolExecutor([{ name: 'data.xlsx', buffer: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }) }]);
+}
+
+const stats = (exec) => exec('get_column_stats', { file: 'data.xlsx', column: 0, header_row: 0 });
+
+test('percentages come from the cells\' number format', async () => {
+  const profile = await stats(formattedColumn([[0.125, '0.0%'], [0.5, '0%'], [0.75, '0%']]));
+  expect(profile).toMatchObject({ header: 'Header', from_row: 1, semantic_type: 'percentage', non_empty: 3, types: { number: 3 } });
+  expect(profile.numeric).toEqual({ min: 0.125, max: 0.75, mean: 0.4583, median: 0.5, stddev: 0.2569 });
+});
+
+test('date-formatted serials become a date range, not numeric stats', async () => {
+  // 45658 = 2025-01-01, 45688 = 2025-01-31
+  const profile = await stats(formattedColumn([[45688, 'm/d/yy'], [45658, 'm/d/yy'], [45670, 'yyyy-mm-dd']]));
+  expect(profile.semantic_type).toBe('date');
+  expect(profile.date_range).toEqual({ min: '2025-01-01', max: '2025-01-31' });
+  expect(profile.numeric).toBeUndefined();
+});
+
+test('text semantic types: email, currency, percentage, date and boolean', () => {
+  const type = (...values) => profileColumn(column(...values), 0, { startRow: 1 }).semantic_type;
+  expect(type('ann@example.com', 'bo@example.org')).toBe('email');
+  expect(type('$1,200.00', '$85.50', '($12.00)')).toBe('currency');
+  expect(type('12%', '7.5 %')).toBe('percentage');
+  expect(type('2026-01-05', '05/01/2026', '5-Jan-26')).toBe('date');
+  expect(type('yes', 'no', 'Y')).toBe('boolean');
+  expect(type('North', 12, 'South', 3.5)).toBe('mixed');
+  expect(type()).toBe('empty');
+});
+
+test('unique fixed-shape codes are IDs; unique amounts are not', () => {
+  const ids = profileColumn(column('INV-0001', 'INV-0002', 'INV-0010'), 0, { startRow: 1 });
+  expect(ids).toMatchObject({ semantic_type: 'id', id_pattern: 'AAA-9999' });
+  expect(profileColumn(column(10001, 10002, 10003), 0, { startRow: 1 })).toMatchObject({ semantic_type: 'id', id_pattern: '99999' });
+  expect(profileColumn(column(5, 120, 3), 0, { startRow: 1 }).semantic_type).toBe('integer');
+});
+
+test('whitespace, repeated values, numeric text and mixed types are reported', () => {
+  const profile = profileColumn(column(' North', 'South ', 'North', 'North', null, '42', 42), 0, { startRow: 1, header: 'Region' });
+  expect(profile).toMatchObject({
+    header: 'Region',
+    non_empty: 6,
+    empty: 1,
+    distinct_count: 4, // '42' and 42 count as one value
+    types: { string: 5, number: 1 },
+    whitespace: { leading: 1, trailing: 1 },
+    numeric_strings: 1,
+  });
+  expect(profile.top_values[0]).toEqual({ value: 'North', count: 2 });
+  expect(profile.mixed_examples.number).toEqual([{ row: 7, value: 42 }]);
+  expect(profile.unique_values).toHaveLength(4);
+
+  const compact = profileColumn(column('a', 'a', 'b', 1, 2), 0, { startRow: 1, compact: true });
+  expect(compact.unique_values).toBeUndefined();
+  expect(compact.mixed_examples).toEqual({ string: [{ row: 1, value: 'a' }], number: [{ row: 4, value: 1 }] });
+});
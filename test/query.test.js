@@ -0,0 +1,68 @@
+const { test, expect } = require('bun:test');
+const { runQuery } = require('../src/pipeline/query');
+
+const headers = ['Region', 'Rep', 'Amount'];
+const rows = [
+  ['East', 'Ann', 10],
+  ['east ', 'Bob', 5],
+  ['West', 'Cy', 7],
+  ['West', null, '3'],
+].map((cells, i) => ({ row: i + 1, cells }));
+
+test('group by with aggregates', () => {
+  const result = runQuery(headers, rows, {
+    group_by: ['Region'],
+    aggregates: [{ fn: 'sum', column: 'Amount', as: 'total' }, { fn: 'count_distinct', column: 'Rep' }],
+    sort: [{ column: 'total', desc: true }],
+  });
+  expect(result.columns).toEqual(['Region', 'total', 'count_distinct(Rep)']);
+  expect(result.rows).toEqual([['East', 15, 2], ['West', 10, 1]]);
+});
+
+test('where and in filters', () => {
+  const result = runQuery(headers, rows, { where: [{ column: 'Region', op: 'in', value: ['west'] }, { column: 'Amount', op: '>', value: 5 }] });
+  expect(result.rows).toEqual([[3, 'West', 'Cy', 7]]);
+});
+
+test('fields that must be arrays are rejected with the field name', () => {
+  expect(runQuery(headers, rows, { group_by: 'Region' })).toEqual({ error: 'group_by: must be an array, got "Region"' });
+  expect(runQuery(headers, rows, { select: 'Rep' }).error).toBe('select: must be an array, got "Rep"');
+  expect(runQuery(headers, rows, { where: {} }).error).toBe('where: must be an array, got {}');
+  expect(runQuery(headers, rows, { where_any: 'x' }).error).toBe('where_any: must be an array, got "x"');
+  expect(runQuery(headers, rows, { sort: { column: 'Rep' } }).error).toBe('sort: must be an array, got {"column":"Rep"}');
+  expect(runQuery(headers, rows, { aggregates: { fn: 'count' } }).error).toBe('aggregates: must be an array, got {"fn":"count"}');
+});
+
+test('array items are checked too', () => {
+  expect(runQuery(headers, rows, { where: ['Region = East'] }).error).toBe('where[0]: must be an object, got "Region = East"');
+  expect(runQuery(headers, rows, { group_by: ['Nope'] }).error).toBe('group_by[0]: unknown column "Nope". Columns: Region, Rep, Amount');
+  expect(runQuery(headers, rows, { where: [{ column: 'Region', op: 'in', value: 'East' }] }).error).toBe('where[0]: "in" needs an array value');
+  expect(runQuery(headers, rows, { where: [{ column: 'Region', op: 'not_in', value: null }] }).error).toBe('where[0]: "not_in" needs an array value');
+});
+
+test('limit must be a positive integer', () => {
+  expect(runQuery(headers, rows, { limit: 0 })).toEqual({ error: 'limit: must be a positive integer, got 0' });
+  expect(runQuery(headers, rows, { limit: 'abc' }).error).toBe('limit: must be a positive integer, got "abc"');
+  expect(runQuery(headers, rows, { limit: -1 }).error).toBe('limit: must be a positive integer, got -1');
+  expect(runQuery(headers, rows, { limit: 1.5 }).error).toBe('limit: must be a positive integer, got 1.5');
+  const result = runQuery(headers, rows, { limit: 1 });
+  expect(result.rows).toEqual([[1, 'East', 'Ann', 10]]);
+  expect(result.truncated).toBe(true);
+  expect(runQuery(headers, rows, { limit: 1000 }).rows).toHaveLength(4);
+});
+
+test('ops that compare against a value need one', () => {
+  for (const op of ['=', '<', 'contains', 'starts_with', 'ends_with']) {
+    expect(runQuery(headers, rows, { where: [{ column: 'Rep', op }] }).error)
+      .toBe(`where[0]: "${op}" needs a value; use is_empty / not_empty to test for blanks`);
+  }
+  expect(runQuery(headers, rows, { where_any: [{ column: 'Rep', op: 'contains', value: null }] }).error)
+    .toBe('where_any[0]: "contains" needs a value; use is_empty / not_empty to test for blanks');
+  expect(runQuery(headers, rows, { where: [{ column: 'Rep', op: 'is_empty' }] }).rows).toEqual([[4, 'West', null, '3']]);
+});
+
+test('min and max work on columns too long to spread into Math.min', () => {
+  const many = Array.from({ length: 1000000 }, (_, i) => ({ row: i + 1, cells: [i % 7 - 3] }));
+  const result = runQuery(['n'], many, { aggregates: [{ fn: 'min', column: 'n' }, { fn: 'max', column: 'n' }] });
+  expect(result.rows).toEqual([[-3, 3]]);
+});
@@ -0,0 +1,126 @@
+// The sandbox must not hand host objects to generated code. Each case tries a
+// known vm escape and logs what it reached.
+const { test, expect } = require('bun:test');
+const net = require('net');
+const { execute, spawnSandbox, networkNamespace, SANDBOX_PATH } = require('../src/pipeline/execute');
+
+const BUFFER = 'return { buffer: new ArrayBuffer(1) };';
+
+async function logsOf(code) {
+  try {
+    return (await execute(code, [])).logs;
+  } catch (err) {
+    return [...err.logs, `error: ${err.message}`];
+  }
+}
+
+test('this.constructor.constructor does not reach the host process', async () => {
+  const logs = await logsOf(`log(typeof this.constructor.constructor('return process')()); ${BUFFER}`);
+  expect(logs).toEqual(['error: process is not defined']);
+});
+
+test('host callbacks are not exposed through globals', async () => {
+  const logs = await logsOf(`
+    for (const fn of [log, setTimeout, clearTimeout, console.log]) {
+      try { log(typeof fn.constructor('return process')()); } catch (e) { log(e.message); }
+    }
+    ${BUFFER}`);
+  expect(logs).toEqual(Array(4).fill('process is not defined'));
+});
+
+test('a patched Promise.prototype.then is not called with host functions', async () => {
+  const logs = await logsOf(`
+    Promise.prototype.then = function (resolve) { log(typeof resolve.constructor('return process')()); };
+    ${BUFFER}`);
+  expect(logs).toEqual([]);
+});
+
+test('a Proxy result is read without passing it host callbacks', async () => {
+  const result = await execute(`
+    const files = new Proxy([{ buffer: 'a', filename: 'a.txt' }], {
+      get: (t, k) => (typeof t[k] === 'function' ? (cb) => log(typeof cb.constructor('return process')()) : t[k]),
+    });
+    return { files, filename: 'out.zip' };`, []);
+  expect(result.logs).toEqual([]);
+  expect(result.files.map(f => f.filename)).toEqual(['a.txt']);
+});
+
+test('stack frames do not expose host functions', async () => {
+  const logs = await logsOf(`
+    Error.prepareStackTrace = (e, frames) => frames.map(f => (f.getFunction() ? 'leak' : 'none')).join();
+    let stack;
+    setTimeout(() => { try { null.x; } catch (e) { stack = e.stack; } }, 0);
+    await new Promise(r => setTimeout(r, 10));
+    log(stack.includes('leak'));
+    ${BUFFER}`);
+  expect(logs).toEqual(['false']);
+});
+
+test('no require, process or fetch in the context', async () => {
+  const logs = await logsOf(`log([typeof require, typeof process, typeof fetch].join()); ${BUFFER}`);
+  expect(logs).toEqual(['undefined,undefined,undefined']);
+});
+
+test('generated code still gets its files and libraries', async () => {
+  const result = await execute(`
+    log(files[0].name + ' ' + String.fromCharCode(...new Uint8Array(files[0].buffer)));
+    log([typeof XLSX, typeof JSZip, typeof styleWorkbook, typeof editWorkbook].join());
+    return { buffer: 'ok', filename: 'ok.txt' };`, [{ name: 'in.txt', buffer: Buffer.from('hello') }]);
+  expect(result.logs).toEqual(['in.txt hello', 'object,function,function,function']);
+  expect(result.buffer.toString()).toBe('ok');
+});
+
+// Code that got out of the vm context runs in the sandbox process itself:
+// simulate that with node -e under the same launcher and permissions
+function escaped(script) {
+  return new Promise((resolve) => {
+    const child = spawnSandbox(['-e', script]);
+    let out = '';
+    child.stdout.on('data', (chunk) => { out += chunk; });
+    child.stderr.on('data', (chunk) => { out += chunk; });
+    child.on('close', () => resolve(out.trim().split('\n')));
+    child.stdin.end();
+  });
+}
+
+async function withServer(fn) {
+  const server = net.createServer(socket => socket.end('reached'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(server.address().port);
+  } finally {
+    server.close();
+  }
+}
+
+test('code outside the vm context cannot connect, resolve names or fetch', async () => {
+  const lines = await withServer(port => escaped(`
+    require(${JSON.stringify(SANDBOX_PATH)});
+    const attempt = async (what, fn) => {
+      try { await fn(); console.log(what + ': connected'); } catch (e) { console.log(what + ': ' + e.message); }
+    };
+    (async () => {
+      await attempt('net', () => require('net').connect(${port}, '127.0.0.1'));
+      await attempt('import', async () => (await import('node:net')).createConnection(${port}, '127.0.0.1'));
+      await attempt('http', () => require('http').get('http://127.0.0.1:${port}/'));
+      await attempt('udp', () => require('dgram').createSocket('udp4').send('x', ${port}, '127.0.0.1'));
+      await attempt('dns', () => require('dns').promises.lookup('example.com'));
+      console.log('fetch: ' + typeof fetch);
+    })();`));
+  expect(lines).toEqual([
+    'net: net.Socket.connect: network access is disabled in the sandbox',
+    'import: net.Socket.connect: network access is disabled in the sandbox',
+    'http: net.Socket.connect: network access is disabled in the sandbox',
+    'udp: dgram.Socket.send: network access is disabled in the sandbox',
+    'dns: dns.promises.lookup: network access is disabled in the sandbox',
+    'fetch: undefined',
+  ]);
+});
+
+test.skipIf(!networkNamespace())('the sandbox process has no network even without the in-process guard', async () => {
+  const lines = await withServer(port => escaped(`
+    require('net').connect(${port}, '127.0.0.1')
+      .on('data', d => console.log(String(d)))
+      .on('error', e => console.log(e.code));`));
+  expect(lines).toEqual(['ENETUNREACH']);
+});
@@ -0,0 +1,62 @@
+const { test, expect, beforeAll, afterAll } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const { createSession, getSession } = require('../src/sessions');
+const server = require('../src/server').default;
+
+// The mock provider reads its script from EXCELIUS_MOCK_SCRIPT; the generated
+// code waits a moment so a second request arrives while the first still runs
+const report = {
+  files: [{ name: 'sales.xlsx', sheets: [{ name: 'Sales', row_count: 2, col_count: 2, headers: ['Region', 'Amount'], header_row: 0 }] }],
+  data_issues: [],
+  recommended_approach: 'Copy the sheet.',
+};
+const code = `await new Promise(r => setTimeout(r, 300));
+const wb = XLSX.read(files[0].buffer, { type: 'array' });
+return { buffer: XLSX.write(wb, { type: 'array', bookType: 'xlsx' }), filename: 'out.xlsx' };`;
+let previousScript;
+
+beforeAll(() => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mock-')), 'mock.json');
+  fs.writeFileSync(file, JSON.stringify({
+    explore: [{ content: [{ type: 'tool_use', name: 'submit_report', input: report }] }],
+    codegen: [{ content: [{ type: 'tool_use', name: 'generate_code', input: { code, filename: 'out.xlsx' } }] }],
+  }));
+  previousScript = process.env.EXCELIUS_MOCK_SCRIPT;
+  process.env.EXCELIUS_MOCK_SCRIPT = file;
+});
+
+afterAll(() => {
+  if (previousScript === undefined) delete process.env.EXCELIUS_MOCK_SCRIPT;
+  else process.env.EXCELIUS_MOCK_SCRIPT = previousScript;
+});
+
+function processRequest(sessionId, prompt) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Region', 'Amount'], ['North', 10]]), 'Sales');
+  const form = new FormData();
+  form.append('prompt', prompt);
+  form.append('provider', 'mock');
+  form.append('sessionId', sessionId);
+  form.append('files', new File([XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' })], 'sales.xlsx'));
+  return server.fetch(new Request('http://localhost/api/process', { method: 'POST', body: form }));
+}
+
+test('a session rejects a second run while one is in progress', async () => {
+  const session = createSession();
+
+  const first = await processRequest(session.id, 'Copy the sheet');
+  expect(first.status).toBe(200);
+  const second = await processRequest(session.id, 'Copy it again');
+  expect(second.status).toBe(409);
+  expect(await second.json()).toEqual({ error: 'This session already has a run in progress; wait for it to finish or cancel it' });
+  expect(await first.text()).toContain('event: complete');
+
+  // Once the first run ends the session takes the follow-up
+  const third = await processRequest(session.id, 'Copy it again');
+  expect(third.status).toBe(200);
+  expect(await third.text()).toContain('event: complete');
+  expect(getSession(session.id).history.map(turn => turn.prompt)).toEqual(['Copy the sheet', 'Copy it again']);
+});
@@ -0,0 +1,12 @@
+// Preloaded by bun test (bunfig.toml). The job and recipe stores read
+// EXCELIUS_DATA_DIR once, when first required, and test files share one module
+// cache, so the temporary data dir is set here before any test file loads.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { afterAll } = require('bun:test');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'excelius-data-'));
+process.env.EXCELIUS_DATA_DIR = dataDir;
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
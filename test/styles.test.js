@@ -0,0 +1,87 @@
+const { test, expect } = require('bun:test');
+const { bookCode, runWorkbook, errorOf, cellStyle } = require('./helpers');
+
+const SALES = {
+  Sales: [
+    ['Region', 'Amount', 'Share'],
+    ['East', 1200.5, 0.6],
+    ['West', -80, 0.4],
+  ],
+  Notes: [['Note'], ['Checked']],
+};
+
+const style = (spec) => bookCode(SALES, `buf = await styleWorkbook(buf, ${JSON.stringify(spec)});`);
+
+test('header, fills and number formats', async () => {
+  const book = await runWorkbook(style({
+    '*': { header: { bold: true, fill: '#4472C4' } },
+    Sales: { columns: { Amount: { numFmt: 'currency' }, C: { numFmt: 'percent' } } },
+  }));
+  expect(await cellStyle(book, 'xl/worksheets/sheet1.xml', 'A1')).toMatchObject({ bold: true, fill: 'FF4472C4' });
+  expect(await cellStyle(book, 'xl/worksheets/sheet2.xml', 'A1')).toMatchObject({ bold: true, fill: 'FF4472C4' });
+  expect((await cellStyle(book, 'xl/worksheets/sheet1.xml', 'B2')).numFmt).toBe('"$"#,##0.00');
+  expect(await cellStyle(book, 'xl/worksheets/sheet1.xml', 'C3')).toMatchObject({ bold: false, numFmt: '0.0%' });
+  expect(await cellStyle(book, 'xl/worksheets/sheet1.xml', 'A2')).toMatchObject({ bold: false, fill: null });
+});
+
+test('ranges apply after columns and header', async () => {
+  const book = await runWorkbook(style({
+    Sales: { header: { bold: true }, ranges: [{ range: 'A1:A3', fill: 'yellow' }] },
+  }));
+  expect(await cellStyle(book, 'xl/worksheets/sheet1.xml', 'A1')).toMatchObject({ bold: true, fill: 'FFFFFF00' });
+  expect(await cellStyle(book, 'xl/worksheets/sheet1.xml', 'A3')).toMatchObject({ bold: false, fill: 'FFFFFF00' });
+});
+
+test('widths and frozen panes', async () => {
+  const book = await runWorkbook(style({
+    Sales: { columns: { Region: { width: 30 } }, autoWidth: true, freeze: { rows: 1, cols: 1 } },
+  }));
+  const xml = await book.read('xl/worksheets/sheet1.xml');
+  expect(xml).toContain('<col min="1" max="1" width="30" customWidth="1"/>');
+  expect(xml).toMatch(/<col min="2" max="2" width="\d+" customWidth="1"\/>/);
+  expect(xml).toContain('<pane xSplit="1" ySplit="1" topLeftCell="B2" activePane="bottomRight" state="frozen"/>');
+  expect(xml.indexOf('<sheetViews>')).toBeLessThan(xml.indexOf('<cols>'));
+  expect(xml.indexOf('<cols>')).toBeLessThan(xml.indexOf('<sheetData>'));
+});
+
+test('conditional formats', async () => {
+  const book = await runWorkbook(style({
+    Sales: {
+      conditional: [
+        { range: 'B2:B3', op: '<', value: 0, style: { color: '#9C0006', fill: '#FFC7CE' } },
+        { range: 'A2:C3', formula: '$A2="East"', style: { bold: true } },
+        { range: 'C2:C3', colorScale: ['red', 'green'] },
+      ],
+    },
+  }));
+  const xml = await book.read('xl/worksheets/sheet1.xml');
+  expect(xml).toMatch(/<conditionalFormatting sqref="B2:B3"><cfRule type="cellIs" dxfId="0" priority="1" operator="lessThan"><formula>0<\/formula><\/cfRule><\/conditionalFormatting>/);
+  expect(xml).toContain('<formula>$A2=&quot;East&quot;</formula>');
+  expect(xml).toContain('<cfRule type="colorScale" priority="3">');
+  const styles = await book.read('xl/styles.xml');
+  expect(styles).toMatch(/<dxfs count="2">/);
+  expect(styles).toContain('FF9C0006');
+});
+
+test('the output is still readable by SheetJS', async () => {
+  const book = await runWorkbook(style({ '*': { header: { bold: true }, autoWidth: true, freeze: { rows: 1 } } }));
+  const XLSX = require('xlsx');
+  const wb = XLSX.read(book.buffer);
+  expect(wb.SheetNames).toEqual(['Sales', 'Notes']);
+  expect(XLSX.utils.sheet_to_json(wb.Sheets.Sales, { header: 1 })).toEqual(SALES.Sales);
+});
+
+test('mistakes in the spec throw, naming them', async () => {
+  expect(await errorOf(style({ Salse: { header: { bold: true } } })))
+    .toBe('styleWorkbook: sheet "Salse": not found (sheets: Sales, Notes)');
+  expect(await errorOf(style({ Sales: { columns: { Amout: { bold: true } } } })))
+    .toBe('styleWorkbook: sheet "Sales" columns.Amout: no column "Amout" (use a column letter or one of the headers: Region, Amount, Share)');
+  expect(await errorOf(style({ Sales: { header: { weight: 'bold' } } })))
+    .toStartWith('styleWorkbook: sheet "Sales" header: unknown property "weight" (use ');
+  expect(await errorOf(style({ Sales: { freezePanes: 1 } })))
+    .toStartWith('styleWorkbook: sheet "Sales": unknown option "freezePanes" (use ');
+  expect(await errorOf(style({ Sales: { conditional: [{ range: 'B2:B3', op: '~', value: 1, style: {} }] } })))
+    .toStartWith('styleWorkbook: sheet "Sales" conditional[0]: unknown op "~"');
+  expect(await errorOf(style({ Sales: { header: { fill: 'blurple' } } })))
+    .toStartWith('styleWorkbook: sheet "Sales" A1: invalid color "blurple"');
+});
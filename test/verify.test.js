@@ -0,0 +1,46 @@
+const { test, expect } = require('bun:test');
+const { runWorkbook, bookCode } = require('./helpers');
+const { verifyOutput } = require('../src/pipeline/verify');
+
+const SALES = { Sales: [['Region', 'Amount'], ['East', 10], ['West', 20]] };
+
+test('a missing feature the spec asked for fails the pass', async () => {
+  const { buffer } = await runWorkbook(bookCode(SALES, ''));
+  const check = await verifyOutput(buffer, { checks: { has_chart: 'Sales!B2:B3', has_validation: true, has_autofilter: 'A1:B3', has_conditional_format: true } });
+  expect(check.pass).toBe(false);
+  expect(check.features).toBe('fail');
+  expect(check.errors).toEqual([
+    'features: no conditional format in any sheet',
+    'features: no autofilter covering A1:B3',
+    'features: no data validation in any sheet',
+    'features: no chart in the workbook',
+  ]);
+});
+
+test('features that are present pass', async () => {
+  const { buffer } = await runWorkbook(bookCode(SALES, `
+    buf = await styleWorkbook(buf, { Sales: {
+      autoFilter: true,
+      validations: [{ range: 'B2:B3', type: 'decimal', op: '>=', value: 0 }],
+      conditional: [{ range: 'B2:B3', op: '>', value: 15, style: { bold: true } }],
+    } });
+    buf = await addCharts(buf, [{ sheet: 'Sales', type: 'column', data: 'A1:B3' }]);`));
+  const check = await verifyOutput(buffer, { checks: { has_chart: 'Sales!B2:B3', has_validation: 'B3', has_autofilter: 'A1:B3', has_conditional_format: 'B2:B3' } });
+  expect(check.errors).toEqual([]);
+  expect(check.pass).toBe(true);
+});
+
+test('a chart over other cells fails, naming the ranges it uses', async () => {
+  const { buffer } = await runWorkbook(bookCode(SALES, `buf = await addCharts(buf, [{ sheet: 'Sales', type: 'column', data: 'A1:B3' }]);`));
+  const check = await verifyOutput(buffer, { checks: { has_chart: 'Other!B2:B3' } });
+  expect(check.pass).toBe(false);
+  expect(check.errors[0]).toStartWith('features: no chart references Other!B2:B3 (charts use ');
+});
+
+test('styling misses stay warnings', async () => {
+  const { buffer } = await runWorkbook(bookCode(SALES, ''));
+  const check = await verifyOutput(buffer, { checks: { has_bold_headers: true } });
+  expect(check.styling).toBe('fail');
+  expect(check.styling_pass).toBe(false);
+  expect(check.pass).toBe(true);
+});